@@ -0,0 +1,96 @@
+#!/usr/bin/env node
+// Add a user or API token to the users file.
+//
+// Usage: npm run add-user -- <username> <viewer|admin>
+//        npm run add-user -- <token-name> <viewer|admin> --token
+//        npm run add-user -- <probe-id> probe --token
+// Prompts for the password (or reads it from stdin when piped). Tokens are
+// generated and printed once; only their hash is stored. Adding an existing
+// name replaces it.
+
+require('dotenv').config();
+const fs = require('fs');
+const path = require('path');
+const crypto = require('crypto');
+const readline = require('readline');
+const { ROLES, PROBE_ROLE, hashPassword, hashToken } = require('../services/authService');
+const { LOCAL_PROBE } = require('../services/probeService');
+
+const args = process.argv.slice(2).filter(arg => arg !== '--token');
+const isToken = process.argv.includes('--token');
+const [name, role] = args;
+const usersPath = process.env.AUTH_USERS_PATH || path.join(__dirname, '../../config/users.json');
+
+if (!name || !(ROLES.includes(role) || (role === PROBE_ROLE && isToken))) {
+  console.error(`Usage: add-user <name> <${ROLES.join('|')}> [--token]`);
+  console.error(`       add-user <probe-id> ${PROBE_ROLE} --token`);
+  process.exit(1);
+}
+
+// Probe ids are referenced from services' probes lists
+if (role === PROBE_ROLE && (!/^[A-Za-z0-9][A-Za-z0-9_-]*$/.test(name) || name === LOCAL_PROBE)) {
+  console.error(`✗ Probe ids may only contain letters, numbers, "-" and "_", and "${LOCAL_PROBE}" is reserved`);
+  process.exit(1);
+}
+
+function readAccounts() {
+  if (!fs.existsSync(usersPath)) return { users: [], tokens: [] };
+
+  const data = JSON.parse(fs.readFileSync(usersPath, 'utf8'));
+  return { users: data.users || [], tokens: data.tokens || [] };
+}
+
+function writeAccounts(accounts) {
+  fs.mkdirSync(path.dirname(usersPath), { recursive: true });
+  fs.writeFileSync(usersPath, JSON.stringify(accounts, null, 2) + '\n', { encoding: 'utf8', mode: 0o600 });
+}
+
+function promptPassword() {
+  return new Promise(resolve => {
+    const rl = readline.createInterface({ input: process.stdin, output: process.stdout, terminal: process.stdin.isTTY });
+
+    if (process.stdin.isTTY) {
+      process.stdout.write('Password: ');
+      rl._writeToOutput = () => {};
+    }
+
+    rl.once('line', line => {
+      rl.close();
+      if (process.stdin.isTTY) process.stdout.write('\n');
+      resolve(line);
+    });
+  });
+}
+
+async function main() {
+  const accounts = readAccounts();
+
+  if (isToken) {
+    const token = crypto.randomBytes(24).toString('base64url');
+    accounts.tokens = accounts.tokens.filter(entry => entry.name !== name);
+    accounts.tokens.push({ name: name, tokenHash: hashToken(token), role: role });
+    writeAccounts(accounts);
+
+    console.log(`✓ Token "${name}" (${role}) saved to ${usersPath}`);
+    console.log(`  ${token}`);
+    console.log('  Send it as "Authorization: Bearer <token>". It will not be shown again.');
+    return;
+  }
+
+  const password = await promptPassword();
+  if (password.length < 8) {
+    console.error('✗ Password must be at least 8 characters');
+    process.exit(1);
+  }
+
+  accounts.users = accounts.users.filter(entry => entry.username !== name);
+  accounts.users.push({ username: name, passwordHash: hashPassword(password), role: role });
+  writeAccounts(accounts);
+
+  console.log(`✓ User "${name}" (${role}) saved to ${usersPath}`);
+}
+
+main().catch(error => {
+  console.error(`✗ ${error.message}`);
+  process.exit(1);
+});
@@ -0,0 +1,103 @@
+#!/usr/bin/env node
+// Propose services.json entries from a docker-compose file, Kubernetes
+// manifests or an OpenAPI spec, show the change and add them on confirmation.
+//
+// Usage: npm run import-services -- <file> [--format compose|kubernetes|openapi]
+//          [--host localhost] [--cluster-domain cluster.local] [--base-url URL]
+//          [--type internal] [--category core] [--yes]
+// Writes CONFIG_WRITE_PATH (default CONFIG_PATH, then config/services.json);
+// a running dashboard picks the change up from the file.
+
+require('dotenv').config();
+const fs = require('fs');
+const path = require('path');
+const readline = require('readline');
+const healthCheckService = require('../services/healthCheck');
+const configHistory = require('../services/configHistory');
+const { ConfigValidationError } = require('../services/configValidator');
+const { ImportError, proposeServices, planImport, importFormats } = require('../services/importers');
+
+const OPTIONS = {
+  '--format': 'format',
+  '--host': 'host',
+  '--cluster-domain': 'clusterDomain',
+  '--base-url': 'baseUrl',
+  '--type': 'type',
+  '--category': 'category'
+};
+
+function parseArgs(argv) {
+  const args = { file: null, options: {}, yes: false };
+
+  for (let index = 0; index < argv.length; index++) {
+    const arg = argv[index];
+    if (arg === '--yes' || arg === '-y') {
+      args.yes = true;
+    } else if (OPTIONS[arg]) {
+      args.options[OPTIONS[arg]] = argv[++index];
+    } else if (!args.file && !arg.startsWith('--')) {
+      args.file = arg;
+    } else {
+      return null;
+    }
+  }
+
+  return args.file ? args : null;
+}
+
+function confirm(question) {
+  return new Promise(resolve => {
+    const rl = readline.createInterface({ input: process.stdin, output: process.stdout });
+    rl.question(question, answer => {
+      rl.close();
+      resolve(/^y(es)?$/i.test(answer.trim()));
+    });
+  });
+}
+
+async function main() {
+  const args = parseArgs(process.argv.slice(2));
+  if (!args) {
+    console.error(`Usage: import-services <file> [--format ${importFormats.join('|')}] [--host HOST] [--cluster-domain DOMAIN] [--base-url URL] [--type TYPE] [--category CATEGORY] [--yes]`);
+    process.exit(1);
+  }
+
+  const { format, proposals, skipped } = proposeServices(fs.readFileSync(args.file, 'utf8'), args.options);
+  healthCheckService.applyConfiguration(healthCheckService.readConfiguration());
+  const { services, conflicts } = planImport(proposals, healthCheckService.services);
+
+  console.log(`Read ${path.basename(args.file)} as ${format}`);
+  skipped.forEach(item => console.log(`  - skipped ${item.source}: ${item.reason}`));
+  conflicts.forEach(item => console.log(`  - skipped ${item.source}: ${item.reason}`));
+
+  if (services.length === 0) {
+    console.log('Nothing to import');
+    return;
+  }
+
+  const result = healthCheckService.addServices(services, { dryRun: true });
+
+  console.log(`\nChanges to ${healthCheckService.getConfigPath()}:`);
+  configHistory.diff(result.before, result.after).forEach(change => {
+    console.log(`  + ${change.path}: ${JSON.stringify(change.after)}`);
+  });
+
+  if (!args.yes && !(await confirm(`\nAdd ${services.length} service${services.length === 1 ? '' : 's'}? [y/N] `))) {
+    console.log('Nothing changed');
+    return;
+  }
+
+  healthCheckService.addServices(services, { actor: 'cli', action: 'import' });
+  console.log(`✓ Added ${services.map(service => service.id).join(', ')}`);
+}
+
+main().catch(error => {
+  if (error instanceof ConfigValidationError) {
+    error.errors.forEach(item => console.error(`✗ ${item.path ? `${item.path}: ` : ''}${item.message}`));
+  } else if (error instanceof ImportError || error.code === 'ENOENT') {
+    console.error(`✗ ${error.message}`);
+  } else {
+    throw error;
+  }
+  process.exit(1);
+});
@@ -0,0 +1,37 @@
+#!/usr/bin/env node
+// Validate the configuration against the schema, with ${NAME} references
+// resolved from the environment.
+//
+// Usage: npm run validate-config [-- path/to/services.json|yaml|directory]
+// Defaults to CONFIG_PATH, then config/services.json; files in CONFIG_DIR
+// (or conf.d next to the file) are checked with it. Exits 1 on any error.
+
+require('dotenv').config();
+const path = require('path');
+const configSource = require('../services/configSource');
+const { ConfigValidationError } = require('../services/configValidator');
+
+const paths = configSource.getConfigPaths(process.argv[2] || undefined);
+const displayPath = path.relative(process.cwd(), paths.configPath) || paths.configPath;
+
+try {
+  const { config, sources } = configSource.loadConfiguration(paths);
+  sources.forEach(source => {
+    console.log(`✓ ${path.relative(process.cwd(), source.file) || source.file} is valid`);
+  });
+  console.log('✓ Found', config.services.length, 'services configured');
+} catch (error) {
+  if (error.code === 'ENOENT') {
+    console.error(`✗ Cannot read ${displayPath}: ${error.message}`);
+    process.exit(1);
+  }
+  if (!(error instanceof ConfigValidationError)) throw error;
+
+  error.errors.forEach(item => {
+    const file = item.file || displayPath;
+    const location = item.line ? `${file}:${item.line}` : file;
+    console.error(`✗ ${location} ${item.path ? `${item.path}: ` : ''}${item.message}`);
+  });
+  console.error(`\n${error.errors.length} problem${error.errors.length === 1 ? '' : 's'} found`);
+  process.exit(1);
+}
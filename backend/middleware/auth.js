@@ -0,0 +1,58 @@
+const authService = require('../services/authService');
+
+// Sets req.user from an "Authorization: Bearer <token>" header or the session
+// cookie. Requests without either continue anonymously.
+function authenticate(req, res, next) {
+  const header = req.headers.authorization || '';
+
+  if (header.startsWith('Bearer ')) {
+    req.user = authService.verifyToken(header.slice(7).trim());
+  } else {
+    req.sessionId = parseCookies(req.headers.cookie)[authService.SESSION_COOKIE] || null;
+    req.user = authService.getSession(req.sessionId);
+  }
+
+  next();
+}
+
+// Anonymous requests get 401, signed-in users without the role get 403
+function requireRole(role) {
+  return (req, res, next) => {
+    if (!req.user) {
+      return res.status(401).json({
+        success: false,
+        error: 'Authentication required',
+        message: 'Sign in to continue'
+      });
+    }
+
+    if (!authService.hasRole(req.user, role)) {
+      return res.status(403).json({
+        success: false,
+        error: 'Forbidden',
+        message: `This action requires the ${role} role`
+      });
+    }
+
+    next();
+  };
+}
+
+function parseCookies(header) {
+  const cookies = {};
+
+  (header || '').split(';').forEach(part => {
+    const index = part.indexOf('=');
+    if (index < 0) return;
+    const name = part.slice(0, index).trim();
+    try {
+      cookies[name] = decodeURIComponent(part.slice(index + 1).trim());
+    } catch (error) {
+      cookies[name] = part.slice(index + 1).trim();
+    }
+  });
+
+  return cookies;
+}
+
+module.exports = { authenticate, requireRole };
@@ -0,0 +1,48 @@
+// Limits how often each client can call a route: at most max requests per
+// window, counted per signed-in user or, for anonymous requests, per address.
+// Further requests get 429 with a Retry-After header. max may be a function
+// so it can follow the current settings, and key replaces how clients are
+// told apart. Counts are kept in memory.
+function rateLimit({ windowMs, max, key = clientKey }) {
+  const clients = new Map();
+
+  const sweep = setInterval(() => {
+    const cutoff = Date.now() - windowMs;
+    clients.forEach((client, key) => {
+      if (client.start <= cutoff) clients.delete(key);
+    });
+  }, windowMs);
+  sweep.unref();
+
+  return (req, res, next) => {
+    const now = Date.now();
+    const id = key(req);
+    const limit = typeof max === 'function' ? max() : max;
+    let client = clients.get(id);
+
+    if (!client || now - client.start >= windowMs) {
+      client = { start: now, count: 0 };
+      clients.set(id, client);
+    }
+
+    client.count++;
+
+    if (client.count > limit) {
+      const retryAfter = Math.ceil((client.start + windowMs - now) / 1000);
+      res.set('Retry-After', String(retryAfter));
+      return res.status(429).json({
+        success: false,
+        error: 'Too many requests',
+        message: `Try again in ${retryAfter}s`
+      });
+    }
+
+    next();
+  };
+}
+
+function clientKey(req) {
+  return req.user ? `user:${req.user.username}` : `ip:${req.ip}`;
+}
+
+module.exports = { rateLimit };
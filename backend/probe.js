@@ -0,0 +1,168 @@
+require('dotenv').config();
+const os = require('os');
+const healthCheckService = require('./services/healthCheck');
+const { resolveConfig } = require('./services/configSource');
+const { version } = require('../package.json');
+
+// Probe agent: runs the checks the dashboard server assigns to this probe
+// from wherever the agent runs, and reports the raw results back. Nothing
+// is configured here; each heartbeat returns the current service
+// definitions, so services are still added and changed on the server.
+//
+//   PROBE_SERVER_URL          dashboard server, e.g. http://status.internal:3000
+//   PROBE_TOKEN               from "npm run add-user -- <probe-id> probe --token"
+//   PROBE_HEARTBEAT_INTERVAL  seconds between heartbeats (default 30)
+//
+// Secrets referenced by tokenEnv, passwordEnv and headersEnv, and ${NAME}
+// references in the definitions, are read from this agent's environment. Results that can't be delivered are kept (the
+// latest per service) and sent once the server is reachable again.
+
+const serverUrl = (process.env.PROBE_SERVER_URL || '').replace(/\/+$/, '');
+const token = process.env.PROBE_TOKEN;
+const heartbeatInterval = (parseFloat(process.env.PROBE_HEARTBEAT_INTERVAL) || 30) * 1000;
+
+const pollers = new Map();
+const undelivered = new Map();
+let probeId = null;
+let sending = false;
+let serverReachable = true;
+
+if (!serverUrl || !token) {
+  console.error('PROBE_SERVER_URL and PROBE_TOKEN must be set');
+  process.exit(1);
+}
+
+async function post(path, body) {
+  const response = await fetch(`${serverUrl}/api/probes${path}`, {
+    method: 'POST',
+    headers: {
+      'Content-Type': 'application/json',
+      'Authorization': `Bearer ${token}`
+    },
+    body: JSON.stringify(body)
+  });
+
+  const data = await response.json().catch(() => ({}));
+
+  if (response.status === 401 || response.status === 403) {
+    console.error(`✗ The server rejected the probe token: ${data.message || response.status}`);
+    process.exit(1);
+  }
+
+  if (!response.ok) {
+    throw new Error(data.message || `HTTP ${response.status}`);
+  }
+
+  return data;
+}
+
+async function heartbeat() {
+  try {
+    const data = await post('/heartbeat', { hostname: os.hostname(), version: version });
+
+    if (probeId !== data.probe) {
+      probeId = data.probe;
+      console.log(`Probe "${probeId}" reporting to ${serverUrl}`);
+    }
+
+    reachable(true);
+    healthCheckService.settings = data.settings;
+    syncPollers(data.services);
+  } catch (error) {
+    reachable(false, error);
+  }
+}
+
+// Start, restart and stop pollers to match the assigned services
+function syncPollers(services) {
+  const assigned = new Set(services.map(service => service.id));
+
+  services.forEach(service => {
+    const poller = pollers.get(service.id);
+    const key = JSON.stringify(service);
+
+    if (!poller || poller.key !== key) {
+      stopPoller(service.id);
+      startPoller(service, key);
+    }
+  });
+
+  Array.from(pollers.keys())
+    .filter(serviceId => !assigned.has(serviceId))
+    .forEach(serviceId => {
+      stopPoller(serviceId);
+      undelivered.delete(serviceId);
+    });
+}
+
+function startPoller(definition, key) {
+  const { config: service, errors } = resolveConfig(definition);
+  errors.forEach(error => console.error(`✗ ${definition.id}: ${error.path} - ${error.message}`));
+
+  const poller = { key: key, timer: null };
+  const poll = async () => {
+    const result = await healthCheckService.checkWithRetries(service);
+
+    // Dropped or changed while it was being checked
+    if (pollers.get(service.id) !== poller) return;
+
+    undelivered.set(service.id, result);
+    sendResults();
+  };
+
+  poller.timer = setInterval(poll, healthCheckService.getPollInterval(service));
+  pollers.set(service.id, poller);
+  poll();
+}
+
+function stopPoller(serviceId) {
+  const poller = pollers.get(serviceId);
+
+  if (poller) {
+    clearInterval(poller.timer);
+    pollers.delete(serviceId);
+  }
+}
+
+async function sendResults() {
+  if (sending || undelivered.size === 0) return;
+
+  sending = true;
+  const results = Array.from(undelivered.values());
+
+  try {
+    const data = await post('/results', { results: results });
+
+    // Keep results that were checked again while these were being sent
+    results.forEach(result => {
+      if (undelivered.get(result.id) === result) undelivered.delete(result.id);
+    });
+    (data.rejected || []).forEach(item => console.warn(`Result for ${item.id} rejected: ${item.reason}`));
+    reachable(true);
+  } catch (error) {
+    reachable(false, error);
+  } finally {
+    sending = false;
+  }
+}
+
+// Log when the server goes away and comes back, not on every attempt
+function reachable(ok, error) {
+  if (ok && !serverReachable) {
+    console.log('Server reachable again');
+  } else if (!ok && serverReachable) {
+    console.error(`Unable to reach ${serverUrl}: ${(error.cause && error.cause.code) || error.message}`);
+  }
+  serverReachable = ok;
+}
+
+heartbeat();
+setInterval(async () => {
+  await heartbeat();
+  sendResults();
+}, heartbeatInterval);
+
+process.on('SIGTERM', () => {
+  console.log('SIGTERM received, stopping probe...');
+  process.exit(0);
+});
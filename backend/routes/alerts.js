@@ -0,0 +1,71 @@
+const express = require('express');
+const router = express.Router();
+const alertService = require('../services/alertService');
+const { requireRole } = require('../middleware/auth');
+
+const DEFAULT_ALERT_LIMIT = 50;
+const MAX_ALERT_LIMIT = 500;
+
+// GET /api/alerts - Get recently sent alerts
+router.get('/', (req, res) => {
+  try {
+    const limit = Math.min(Math.max(parseInt(req.query.limit) || DEFAULT_ALERT_LIMIT, 1), MAX_ALERT_LIMIT);
+    const alerts = alertService.getRecentAlerts(limit, req.query.serviceId || null);
+    
+    res.json({
+      success: true,
+      alerts: alerts,
+      count: alerts.length,
+      timestamp: new Date().toISOString()
+    });
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      error: 'Failed to get alerts',
+      message: error.message
+    });
+  }
+});
+
+// POST /api/alerts/test/:notifier - Send a test alert through a notifier
+router.post('/test/:notifier', requireRole('admin'), async (req, res) => {
+  try {
+    const record = await alertService.deliver(req.params.notifier, {
+      id: 'test',
+      event: 'down',
+      serviceId: 'test',
+      serviceName: 'Test Alert',
+      type: 'internal',
+      category: 'core',
+      criticalService: false,
+      location: null,
+      status: 'down',
+      message: 'Test notification',
+      responseTime: 0,
+      downtimeSeconds: null,
+      timestamp: new Date().toISOString()
+    });
+    
+    if (!record.success) {
+      return res.status(502).json({
+        success: false,
+        error: 'Failed to send test alert',
+        message: record.error
+      });
+    }
+    
+    res.json({
+      success: true,
+      message: 'Test alert sent successfully',
+      timestamp: new Date().toISOString()
+    });
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      error: 'Failed to send test alert',
+      message: error.message
+    });
+  }
+});
+
+module.exports = router;
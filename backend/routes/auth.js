@@ -0,0 +1,68 @@
+const express = require('express');
+const router = express.Router();
+const authService = require('../services/authService');
+const { rateLimit } = require('../middleware/rateLimit');
+
+// Sign-in attempts per address, so passwords can't be guessed at speed
+const limitLogins = rateLimit({
+  windowMs: 15 * 60 * 1000,
+  max: 20,
+  key: req => `ip:${req.ip}`
+});
+
+// POST /api/auth/login - Sign in and start a session
+router.post('/login', limitLogins, (req, res) => {
+  const { username, password } = req.body || {};
+  const user = authService.verifyPassword(username, password);
+
+  if (!user) {
+    console.warn(`Failed sign-in for "${username}" from ${req.ip}`);
+    return res.status(401).json({
+      success: false,
+      error: 'Sign in failed',
+      message: 'Invalid username or password'
+    });
+  }
+
+  if (req.sessionId) {
+    authService.destroySession(req.sessionId);
+  }
+
+  res.cookie(authService.SESSION_COOKIE, authService.createSession(user), {
+    httpOnly: true,
+    sameSite: 'strict',
+    secure: req.secure,
+    maxAge: authService.sessionTtl,
+    path: '/'
+  });
+
+  res.json({
+    success: true,
+    user: user,
+    timestamp: new Date().toISOString()
+  });
+});
+
+// POST /api/auth/logout - End the current session
+router.post('/logout', (req, res) => {
+  if (req.sessionId) {
+    authService.destroySession(req.sessionId);
+  }
+
+  res.clearCookie(authService.SESSION_COOKIE, { path: '/' });
+  res.json({
+    success: true,
+    timestamp: new Date().toISOString()
+  });
+});
+
+// GET /api/auth/me - Current user, or null when signed out
+router.get('/me', (req, res) => {
+  res.json({
+    success: true,
+    user: req.user || null,
+    timestamp: new Date().toISOString()
+  });
+});
+
+module.exports = router;
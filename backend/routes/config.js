@@ -1,11 +1,24 @@
 const express = require('express');
 const router = express.Router();
 const healthCheckService = require('../services/healthCheck');
+const { resolveConfig } = require('../services/configSource');
+const configHistory = require('../services/configHistory');
+const { checkTypes } = require('../services/checks');
+const { redactService } = require('../services/redact');
+const { ConfigValidationError, validateRequestConfig, hasInlineSecret } = require('../services/configValidator');
+const { ImportError, proposeServices, planImport } = require('../services/importers');
+const { bundleFormats, createBundle, serializeBundle, parseBundle, planBundle } = require('../services/configBundle');
+const { requireRole } = require('../middleware/auth');
+
+const DEFAULT_HISTORY_LIMIT = 50;
+const MAX_HISTORY_LIMIT = 500;
+
+// Every route here needs at least the viewer role (see server.js); changes need admin
 
 // POST /api/config/reload - Reload configuration
-router.post('/reload', (req, res) => {
+router.post('/reload', requireRole('admin'), (req, res) => {
   try {
-    healthCheckService.reloadConfiguration();
+    healthCheckService.reloadConfiguration({ actor: req.user.username });
     
     res.json({
       success: true,
@@ -13,65 +26,89 @@ router.post('/reload', (req, res) => {
       timestamp: new Date().toISOString()
     });
   } catch (error) {
-    res.status(500).json({
+    res.status(error instanceof ConfigValidationError ? 400 : 500).json({
       success: false,
       error: 'Failed to reload configuration',
-      message: error.message
+      message: error.message,
+      ...(error.errors && { errors: error.errors })
     });
   }
 });
 
 // POST /api/config/service - Add a new service
-router.post('/service', (req, res) => {
+router.post('/service', requireRole('admin'), (req, res) => {
   try {
-    const { name, endpoint, type, category, pollInterval, criticalService, metadata } = req.body;
-    
-    // Validate required fields
-    if (!name || !endpoint) {
+    const validationError = validateServiceInput(req.body);
+    if (validationError) {
       return res.status(400).json({
         success: false,
-        error: 'Missing required fields',
-        message: 'Name and endpoint are required'
+        ...validationError
       });
     }
     
-    // Validate endpoint URL
-    try {
-      new URL(endpoint);
-    } catch (error) {
-      return res.status(400).json({
+    const newService = healthCheckService.addService(toServiceData(req.body), { actor: req.user.username });
+    
+    res.json({
+      success: true,
+      message: 'Service added successfully',
+      service: redactService(newService),
+      timestamp: new Date().toISOString()
+    });
+  } catch (error) {
+    res.status(error instanceof ConfigValidationError ? 400 : 500).json({
+      success: false,
+      error: 'Failed to add service',
+      message: error.message,
+      ...(error.errors && { errors: error.errors })
+    });
+  }
+});
+
+// PUT /api/config/service/:serviceId - Replace a service's settings
+// PATCH /api/config/service/:serviceId - Update only the fields provided
+router.put('/service/:serviceId', requireRole('admin'), (req, res) => updateService(req, res, { replace: true }));
+router.patch('/service/:serviceId', requireRole('admin'), (req, res) => updateService(req, res, { replace: false }));
+
+function updateService(req, res, { replace }) {
+  try {
+    const { serviceId } = req.params;
+    
+    if (!healthCheckService.hasService(serviceId)) {
+      return res.status(404).json({
         success: false,
-        error: 'Invalid endpoint URL',
-        message: 'Endpoint must be a valid URL'
+        error: 'Service not found',
+        message: `Service with ID "${serviceId}" not found`
       });
     }
     
-    const serviceData = {
-      name,
-      endpoint,
-      type,
-      category,
-      pollInterval: pollInterval ? parseInt(pollInterval) : undefined,
-      criticalService,
-      metadata
-    };
+    const validationError = validateServiceInput(req.body, { partial: !replace });
+    if (validationError) {
+      return res.status(400).json({
+        success: false,
+        ...validationError
+      });
+    }
     
-    const newService = healthCheckService.addService(serviceData);
+    const updatedService = healthCheckService.updateService(serviceId, toServiceData(req.body), {
+      replace,
+      actor: req.user.username
+    });
     
     res.json({
       success: true,
-      message: 'Service added successfully',
-      service: newService,
+      message: 'Service updated successfully',
+      service: redactService(updatedService),
       timestamp: new Date().toISOString()
     });
   } catch (error) {
-    res.status(500).json({
+    res.status(error instanceof ConfigValidationError ? 400 : 500).json({
       success: false,
-      error: 'Failed to add service',
-      message: error.message
+      error: 'Failed to update service',
+      message: error.message,
+      ...(error.errors && { errors: error.errors })
     });
   }
-});
+}
 
 // GET /api/config/services - Get all configured services
 router.get('/services', (req, res) => {
@@ -94,7 +131,7 @@ router.get('/services', (req, res) => {
 });
 
 // DELETE /api/config/service/:serviceId - Delete a service
-router.delete('/service/:serviceId', (req, res) => {
+router.delete('/service/:serviceId', requireRole('admin'), (req, res) => {
   try {
     const { serviceId } = req.params;
     
@@ -106,21 +143,325 @@ router.delete('/service/:serviceId', (req, res) => {
       });
     }
     
-    const deletedService = healthCheckService.deleteService(serviceId);
+    const deletedService = healthCheckService.deleteService(serviceId, { actor: req.user.username });
     
     res.json({
       success: true,
       message: 'Service deleted successfully',
-      service: deletedService,
+      service: redactService(deletedService),
       timestamp: new Date().toISOString()
     });
   } catch (error) {
-    res.status(500).json({
+    res.status(error instanceof ConfigValidationError ? 400 : 500).json({
       success: false,
       error: 'Failed to delete service',
+      message: error.message,
+      ...(error.errors && { errors: error.errors })
+    });
+  }
+});
+
+// GET /api/config/history - Audit log of configuration changes, newest first
+router.get('/history', (req, res) => {
+  try {
+    const limit = Math.min(Math.max(parseInt(req.query.limit) || DEFAULT_HISTORY_LIMIT, 1), MAX_HISTORY_LIMIT);
+    const entries = configHistory.getEntries(limit);
+    
+    res.json({
+      success: true,
+      currentVersion: configHistory.latestVersion,
+      history: entries,
+      count: entries.length,
+      timestamp: new Date().toISOString()
+    });
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      error: 'Failed to get configuration history',
       message: error.message
     });
   }
 });
 
+// GET /api/config/history/:version - A stored configuration version
+router.get('/history/:version', (req, res) => {
+  try {
+    const version = parseInt(req.params.version);
+    
+    if (!configHistory.hasVersion(version)) {
+      return res.status(404).json({
+        success: false,
+        error: 'Version not found',
+        message: `Configuration version "${req.params.version}" not found`
+      });
+    }
+    
+    res.json({
+      success: true,
+      version: version,
+      entry: configHistory.getEntry(version),
+      config: configHistory.getVersionConfig(version),
+      timestamp: new Date().toISOString()
+    });
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      error: 'Failed to get configuration version',
+      message: error.message
+    });
+  }
+});
+
+// POST /api/config/rollback/:version - Restore a previous configuration
+router.post('/rollback/:version', requireRole('admin'), (req, res) => {
+  try {
+    const version = parseInt(req.params.version);
+    
+    if (!configHistory.hasVersion(version)) {
+      return res.status(404).json({
+        success: false,
+        error: 'Version not found',
+        message: `Configuration version "${req.params.version}" not found`
+      });
+    }
+    
+    const entry = configHistory.rollback(version, req.user.username);
+    
+    res.json({
+      success: true,
+      message: entry
+        ? `Rolled back to version ${version}`
+        : `Configuration already matches version ${version}`,
+      version: configHistory.latestVersion,
+      entry: entry,
+      timestamp: new Date().toISOString()
+    });
+  } catch (error) {
+    res.status(error instanceof ConfigValidationError ? 400 : 500).json({
+      success: false,
+      error: 'Failed to roll back configuration',
+      message: error.message,
+      ...(error.errors && { errors: error.errors })
+    });
+  }
+});
+
+// GET /api/config/export - The configuration as a versioned bundle
+// ?format=json (default) or yaml; secrets are redacted
+router.get('/export', (req, res) => {
+  try {
+    const format = req.query.format || 'json';
+    
+    if (!bundleFormats.includes(format)) {
+      return res.status(400).json({
+        success: false,
+        error: 'Invalid format',
+        message: `format must be one of: ${bundleFormats.join(', ')}`
+      });
+    }
+    
+    const bundle = createBundle(healthCheckService.readRawConfiguration(), { exportedBy: req.user.username });
+    const filename = `status-dashboard-${bundle.exportedAt.slice(0, 10)}.${format === 'yaml' ? 'yaml' : 'json'}`;
+    
+    res.set('Content-Disposition', `attachment; filename="${filename}"`);
+    res.type(format === 'yaml' ? 'application/yaml' : 'application/json');
+    res.send(serializeBundle(bundle, format));
+  } catch (error) {
+    res.status(error instanceof ConfigValidationError ? 400 : 500).json({
+      success: false,
+      error: 'Failed to export configuration',
+      message: error.message,
+      ...(error.errors && { errors: error.errors })
+    });
+  }
+});
+
+// POST /api/config/import - Import a configuration bundle, or propose
+// services from a docker-compose file, Kubernetes manifests or an OpenAPI
+// spec and add them
+// Body: { content, format?, dryRun?, mode? (bundles), host?, clusterDomain?,
+//         baseUrl?, type?, category?, include? (service proposals) }
+// dryRun returns the result and the diff without changing anything;
+// include limits the import to some of the proposed ids.
+router.post('/import', requireRole('admin'), (req, res) => {
+  try {
+    const { content, format, host, clusterDomain, baseUrl, type, category, include, dryRun } = req.body || {};
+    
+    if (typeof content !== 'string' || !content.trim()) {
+      return res.status(400).json({
+        success: false,
+        error: 'Invalid import',
+        message: 'content must be the text of the file to import'
+      });
+    }
+    
+    const bundle = !format || format === 'bundle' ? parseBundle(content) : null;
+    if (bundle) {
+      return importBundle(req, res, bundle);
+    }
+    
+    if (format === 'bundle') {
+      return res.status(400).json({
+        success: false,
+        error: 'Invalid import',
+        message: 'content is not a configuration bundle'
+      });
+    }
+    
+    const { format: detectedFormat, proposals, skipped } = proposeServices(content, {
+      format, host, clusterDomain, baseUrl, type, category
+    });
+    const selected = Array.isArray(include)
+      ? proposals.filter(proposal => include.includes(proposal.service.id))
+      : proposals;
+    const { services, conflicts } = planImport(selected, healthCheckService.services);
+    
+    const response = {
+      success: true,
+      dryRun: !!dryRun,
+      format: detectedFormat,
+      services: services.map(redactService),
+      conflicts: conflicts,
+      skipped: skipped,
+      changes: []
+    };
+    
+    if (services.length === 0) {
+      return res.json({ ...response, message: 'Nothing to import', timestamp: new Date().toISOString() });
+    }
+    
+    const result = healthCheckService.addServices(services, {
+      actor: req.user.username,
+      action: 'import',
+      dryRun: !!dryRun
+    });
+    
+    res.json({
+      ...response,
+      changes: configHistory.diff(result.before, result.after),
+      message: dryRun
+        ? `${services.length} service(s) would be imported`
+        : `${services.length} service(s) imported successfully`,
+      timestamp: new Date().toISOString()
+    });
+  } catch (error) {
+    res.status(error instanceof ConfigValidationError || error instanceof ImportError ? 400 : 500).json({
+      success: false,
+      error: 'Failed to import',
+      message: error.message,
+      ...(error.errors && { errors: error.errors })
+    });
+  }
+});
+
+// Merge (default) or replace the configuration with a bundle
+function importBundle(req, res, bundle) {
+  const { mode = 'merge', dryRun } = req.body;
+  let plan;
+  
+  const result = healthCheckService.replaceConfiguration(config => {
+    plan = planBundle(config, bundle, mode);
+    return plan.config;
+  }, { dryRun: !!dryRun, action: 'import-bundle', actor: req.user.username, mode });
+  
+  const changes = configHistory.diff(result.before, result.after);
+  
+  res.json({
+    success: true,
+    dryRun: !!dryRun,
+    format: 'bundle',
+    mode: mode,
+    bundleVersion: bundle.version,
+    conflicts: plan.conflicts,
+    warnings: plan.warnings,
+    changes: changes,
+    message: changes.length === 0
+      ? 'Configuration already matches the bundle'
+      : `${changes.length} change(s) ${dryRun ? 'would be made' : 'imported successfully'}`,
+    timestamp: new Date().toISOString()
+  });
+}
+
+// Returns { error, message } for invalid service input, or null.
+// With partial, only the fields present are checked (for PATCH).
+function validateServiceInput(body, { partial = false } = {}) {
+  const { name, endpoint, check, request, assertions } = body || {};
+  
+  // Validate required fields
+  if (!partial && (!name || !endpoint)) {
+    return { error: 'Missing required fields', message: 'Name and endpoint are required' };
+  }
+  
+  if ((name !== undefined && !name) || (endpoint !== undefined && !endpoint)) {
+    return { error: 'Missing required fields', message: 'Name and endpoint cannot be empty' };
+  }
+  
+  // null clears a field on PATCH
+  if (check != null && !checkTypes.includes(check.type)) {
+    return { error: 'Invalid check type', message: `Check type must be one of: ${checkTypes.join(', ')}` };
+  }
+  
+  // Commands can only be configured by editing services.json on the server
+  if (check && check.type === 'exec') {
+    return { error: 'Invalid check type', message: 'exec checks must be configured in services.json' };
+  }
+  
+  const requestError = validateRequestConfig(request);
+  if (requestError) {
+    return { error: 'Invalid request settings', message: requestError };
+  }
+  
+  if (hasInlineSecret(request)) {
+    return {
+      error: 'Invalid request settings',
+      message: 'Use tokenEnv or passwordEnv to reference secrets from environment variables'
+    };
+  }
+  
+  if (assertions != null && !Array.isArray(assertions)) {
+    return { error: 'Invalid assertions', message: 'Assertions must be an array' };
+  }
+  
+  // Validate endpoint URL, as it will be once ${NAME} references are resolved
+  if (endpoint !== undefined) {
+    try {
+      new URL(resolveConfig(endpoint).config);
+    } catch (error) {
+      return { error: 'Invalid endpoint URL', message: 'Endpoint must be a valid URL' };
+    }
+  }
+  
+  return null;
+}
+
+function toServiceData(body) {
+  const { name, endpoint, type, category, pollInterval, criticalService, statusPage, failureThreshold, recoveryThreshold, dependsOn, probes, quorum, scale, check, request, assertions, metadata } = body;
+  
+  return {
+    name,
+    endpoint,
+    type,
+    category,
+    pollInterval: toInteger(pollInterval),
+    criticalService,
+    statusPage,
+    failureThreshold: toInteger(failureThreshold),
+    recoveryThreshold: toInteger(recoveryThreshold),
+    dependsOn,
+    probes,
+    quorum: toInteger(quorum),
+    scale,
+    check,
+    request,
+    assertions,
+    metadata
+  };
+}
+
+// null is kept so PATCH can clear the field; empty values are left out
+function toInteger(value) {
+  if (value === null) return null;
+  return value ? parseInt(value) : undefined;
+}
+
 module.exports = router;
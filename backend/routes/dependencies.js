@@ -0,0 +1,39 @@
+const express = require('express');
+const router = express.Router();
+const healthCheckService = require('../services/healthCheck');
+
+// GET /api/dependencies - Dependency graph with current states
+// Edges point from a service to the upstream service it depends on.
+router.get('/', (req, res) => {
+  try {
+    const nodes = healthCheckService.services.map(service => {
+      const status = healthCheckService.getServiceStatus(service.id);
+      return {
+        id: service.id,
+        name: service.name,
+        category: service.category,
+        status: status ? status.status : 'unknown',
+        message: status ? status.message : null,
+        dependsOn: service.dependsOn || [],
+        impactedBy: (status && status.impactedBy) || []
+      };
+    });
+
+    const edges = nodes.flatMap(node => node.dependsOn.map(upstream => ({ from: node.id, to: upstream })));
+    const rootCauses = Array.from(new Set(nodes.flatMap(node => node.impactedBy)));
+
+    res.json({
+      nodes: nodes.map(node => ({ ...node, rootCause: rootCauses.includes(node.id) })),
+      edges: edges,
+      rootCauses: rootCauses,
+      timestamp: new Date().toISOString()
+    });
+  } catch (error) {
+    res.status(500).json({
+      error: 'Failed to retrieve dependencies',
+      message: error.message
+    });
+  }
+});
+
+module.exports = router;
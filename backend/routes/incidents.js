@@ -0,0 +1,149 @@
+const express = require('express');
+const router = express.Router();
+const incidentService = require('../services/incidentService');
+const authService = require('../services/authService');
+const { requireRole } = require('../middleware/auth');
+
+const INCIDENT_STATES = ['open', 'resolved'];
+const MAX_NOTE_LENGTH = 2000;
+
+// GET /api/incidents - Incidents, newest first
+// Filter with state, serviceId and a from/to range (incidents overlapping it).
+// Anonymous callers don't see who acknowledged an incident or its notes.
+router.get('/', (req, res) => {
+  try {
+    const { state, serviceId } = req.query;
+    const limit = req.query.limit ? parseInt(req.query.limit) : 50;
+    const from = req.query.from ? new Date(req.query.from) : null;
+    const to = req.query.to ? new Date(req.query.to) : null;
+
+    if (state && !INCIDENT_STATES.includes(state)) {
+      return res.status(400).json({
+        success: false,
+        error: 'Invalid state',
+        message: `state must be one of: ${INCIDENT_STATES.join(', ')}`
+      });
+    }
+
+    if ((from && isNaN(from.getTime())) || (to && isNaN(to.getTime())) || (from && to && from > to)) {
+      return res.status(400).json({
+        success: false,
+        error: 'Invalid time range',
+        message: 'from and to must be valid timestamps with from before to'
+      });
+    }
+
+    const incidents = incidentService.getIncidents({ state, serviceId, from, to, limit })
+      .map(incident => forCaller(req, incident));
+
+    res.json({
+      success: true,
+      incidents: incidents,
+      count: incidents.length,
+      timestamp: new Date().toISOString()
+    });
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      error: 'Failed to get incidents',
+      message: error.message
+    });
+  }
+});
+
+// GET /api/incidents/:incidentId - A single incident with its timeline
+router.get('/:incidentId', (req, res) => {
+  try {
+    const incident = incidentService.getIncident(req.params.incidentId);
+
+    if (!incident) {
+      return notFound(res, req.params.incidentId);
+    }
+
+    res.json({
+      success: true,
+      incident: forCaller(req, incident),
+      timestamp: new Date().toISOString()
+    });
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      error: 'Failed to get incident',
+      message: error.message
+    });
+  }
+});
+
+// POST /api/incidents/:incidentId/acknowledge - Take ownership of an incident
+router.post('/:incidentId/acknowledge', requireRole('viewer'), (req, res) => {
+  try {
+    const incident = incidentService.acknowledge(req.params.incidentId, req.user.username);
+
+    if (!incident) {
+      return notFound(res, req.params.incidentId);
+    }
+
+    res.json({
+      success: true,
+      message: incident.acknowledgedBy === req.user.username
+        ? 'Incident acknowledged'
+        : `Incident already acknowledged by ${incident.acknowledgedBy}`,
+      incident: incident,
+      timestamp: new Date().toISOString()
+    });
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      error: 'Failed to acknowledge incident',
+      message: error.message
+    });
+  }
+});
+
+// POST /api/incidents/:incidentId/notes - Add a note to the timeline
+router.post('/:incidentId/notes', requireRole('viewer'), (req, res) => {
+  try {
+    const text = typeof (req.body || {}).text === 'string' ? req.body.text.trim() : '';
+
+    if (!text || text.length > MAX_NOTE_LENGTH) {
+      return res.status(400).json({
+        success: false,
+        error: 'Invalid note',
+        message: `text must be between 1 and ${MAX_NOTE_LENGTH} characters`
+      });
+    }
+
+    const incident = incidentService.addNote(req.params.incidentId, text, req.user.username);
+
+    if (!incident) {
+      return notFound(res, req.params.incidentId);
+    }
+
+    res.status(201).json({
+      success: true,
+      message: 'Note added',
+      incident: incident,
+      timestamp: new Date().toISOString()
+    });
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      error: 'Failed to add note',
+      message: error.message
+    });
+  }
+});
+
+function forCaller(req, incident) {
+  return authService.hasRole(req.user, 'viewer') ? incident : incidentService.withoutOperators(incident);
+}
+
+function notFound(res, incidentId) {
+  return res.status(404).json({
+    success: false,
+    error: 'Incident not found',
+    message: `Incident "${incidentId}" not found`
+  });
+}
+
+module.exports = router;
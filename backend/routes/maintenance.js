@@ -0,0 +1,176 @@
+const express = require('express');
+const router = express.Router();
+const healthCheckService = require('../services/healthCheck');
+const maintenanceService = require('../services/maintenanceService');
+const { ConfigValidationError } = require('../services/configValidator');
+const { requireRole } = require('../middleware/auth');
+
+const MAX_SILENCE_MINUTES = 7 * 24 * 60;
+
+// GET /api/maintenance - Maintenance windows, active silences and the services under maintenance now
+router.get('/', (req, res) => {
+  try {
+    const services = healthCheckService.services
+      .map(service => ({ id: service.id, name: service.name, maintenance: maintenanceService.getActiveMaintenance(service) }))
+      .filter(service => service.maintenance);
+
+    res.json({
+      success: true,
+      windows: maintenanceService.getWindowStates(),
+      silences: maintenanceService.getSilences(),
+      services: services,
+      timestamp: new Date().toISOString()
+    });
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      error: 'Failed to get maintenance',
+      message: error.message
+    });
+  }
+});
+
+// POST /api/maintenance/windows - Add a scheduled maintenance window
+router.post('/windows', requireRole('admin'), (req, res) => {
+  try {
+    const { id, services, categories, start, end, schedule, durationMinutes, reason } = req.body || {};
+    const window = {
+      id: id,
+      ...(services !== undefined && { services }),
+      ...(categories !== undefined && { categories }),
+      ...(schedule !== undefined ? { schedule, durationMinutes } : { start, end }),
+      ...(reason && { reason })
+    };
+
+    maintenanceService.addWindow(window, req.user.username);
+
+    res.status(201).json({
+      success: true,
+      message: 'Maintenance window added successfully',
+      window: window,
+      timestamp: new Date().toISOString()
+    });
+  } catch (error) {
+    res.status(error instanceof ConfigValidationError ? 400 : 500).json({
+      success: false,
+      error: 'Failed to add maintenance window',
+      message: error.message,
+      ...(error.errors && { errors: error.errors })
+    });
+  }
+});
+
+// DELETE /api/maintenance/windows/:windowId - Remove a maintenance window
+router.delete('/windows/:windowId', requireRole('admin'), (req, res) => {
+  try {
+    const { windowId } = req.params;
+
+    if (!maintenanceService.getWindows().some(window => window.id === windowId)) {
+      return res.status(404).json({
+        success: false,
+        error: 'Maintenance window not found',
+        message: `Maintenance window "${windowId}" not found`
+      });
+    }
+
+    const window = maintenanceService.removeWindow(windowId, req.user.username);
+
+    res.json({
+      success: true,
+      message: 'Maintenance window removed successfully',
+      window: window,
+      timestamp: new Date().toISOString()
+    });
+  } catch (error) {
+    res.status(error instanceof ConfigValidationError ? 400 : 500).json({
+      success: false,
+      error: 'Failed to remove maintenance window',
+      message: error.message,
+      ...(error.errors && { errors: error.errors })
+    });
+  }
+});
+
+// POST /api/maintenance/silences - Silence a service or category for a number of minutes
+router.post('/silences', requireRole('admin'), (req, res) => {
+  try {
+    const { serviceId, category, minutes, reason } = req.body || {};
+
+    if (!serviceId === !category) {
+      return res.status(400).json({
+        success: false,
+        error: 'Invalid silence',
+        message: 'Provide either serviceId or category'
+      });
+    }
+
+    if (serviceId && !healthCheckService.hasService(serviceId)) {
+      return res.status(404).json({
+        success: false,
+        error: 'Service not found',
+        message: `Service with ID "${serviceId}" not found`
+      });
+    }
+
+    if (category && !healthCheckService.services.some(service => service.category === category)) {
+      return res.status(404).json({
+        success: false,
+        error: 'Category not found',
+        message: `No services in category "${category}"`
+      });
+    }
+
+    if (typeof minutes !== 'number' || minutes <= 0 || minutes > MAX_SILENCE_MINUTES) {
+      return res.status(400).json({
+        success: false,
+        error: 'Invalid silence',
+        message: `minutes must be between 1 and ${MAX_SILENCE_MINUTES}`
+      });
+    }
+
+    const silence = maintenanceService.addSilence({ serviceId, category, minutes, reason }, req.user.username);
+
+    res.status(201).json({
+      success: true,
+      message: 'Silence added successfully',
+      silence: silence,
+      timestamp: new Date().toISOString()
+    });
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      error: 'Failed to add silence',
+      message: error.message
+    });
+  }
+});
+
+// DELETE /api/maintenance/silences/:silenceId - End a silence early
+router.delete('/silences/:silenceId', requireRole('admin'), (req, res) => {
+  try {
+    const silence = maintenanceService.removeSilence(req.params.silenceId);
+
+    if (!silence) {
+      return res.status(404).json({
+        success: false,
+        error: 'Silence not found',
+        message: `Silence "${req.params.silenceId}" not found`
+      });
+    }
+
+    res.json({
+      success: true,
+      message: 'Silence removed successfully',
+      silence: silence,
+      timestamp: new Date().toISOString()
+    });
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      error: 'Failed to remove silence',
+      message: error.message
+    });
+  }
+});
+
+module.exports = router;
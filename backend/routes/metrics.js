@@ -0,0 +1,14 @@
+const express = require('express');
+const router = express.Router();
+const metricsService = require('../services/metricsService');
+
+// GET /metrics - Prometheus metrics for every service
+router.get('/', (req, res) => {
+  try {
+    res.type('text/plain; version=0.0.4').send(metricsService.render());
+  } catch (error) {
+    res.status(500).type('text').send(`Failed to render metrics: ${error.message}`);
+  }
+});
+
+module.exports = router;
@@ -0,0 +1,76 @@
+const express = require('express');
+const router = express.Router();
+const probeService = require('../services/probeService');
+const { PROBE_ROLE } = require('../services/authService');
+const { requireRole } = require('../middleware/auth');
+
+// GET /api/probes - Probe agents with their liveness and assigned services
+router.get('/', (req, res) => {
+  try {
+    res.json({
+      probes: probeService.getProbes(),
+      timestamp: new Date().toISOString()
+    });
+  } catch (error) {
+    res.status(500).json({
+      error: 'Failed to retrieve probes',
+      message: error.message
+    });
+  }
+});
+
+// POST /api/probes/heartbeat - Called by agents to stay online; returns the
+// services to check and the settings to check them with
+// Body: { hostname, version }
+router.post('/heartbeat', requireRole(PROBE_ROLE), (req, res) => {
+  try {
+    const { services, settings } = probeService.recordHeartbeat(req.user.probeId, req.body || {});
+
+    res.json({
+      success: true,
+      probe: req.user.probeId,
+      services: services,
+      settings: settings,
+      timestamp: new Date().toISOString()
+    });
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      error: 'Failed to record heartbeat',
+      message: error.message
+    });
+  }
+});
+
+// POST /api/probes/results - Raw check results from an agent
+// Body: { results: [{ id, status, responseTime, lastChecked, message }] }
+router.post('/results', requireRole(PROBE_ROLE), (req, res) => {
+  try {
+    const { results } = req.body || {};
+
+    if (!Array.isArray(results)) {
+      return res.status(400).json({
+        success: false,
+        error: 'Invalid results',
+        message: 'results must be a list of check results'
+      });
+    }
+
+    const { accepted, rejected } = probeService.recordResults(req.user.probeId, results);
+
+    res.json({
+      success: true,
+      accepted: accepted,
+      rejected: rejected,
+      timestamp: new Date().toISOString()
+    });
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      error: 'Failed to record results',
+      message: error.message
+    });
+  }
+});
+
+module.exports = router;
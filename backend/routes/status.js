@@ -1,6 +1,23 @@
 const express = require('express');
 const router = express.Router();
 const healthCheckService = require('../services/healthCheck');
+const historyStore = require('../services/historyStore');
+const statusStream = require('../services/statusStream');
+const { requireRole } = require('../middleware/auth');
+const { rateLimit } = require('../middleware/rateLimit');
+
+const DEFAULT_HISTORY_WINDOW = 24 * 60 * 60 * 1000;
+const DEFAULT_TRANSITIONS_WINDOW = 7 * DEFAULT_HISTORY_WINDOW;
+const DEFAULT_TREND_POINTS = 30;
+const MAX_TREND_POINTS = 200;
+const DEFAULT_MANUAL_CHECK_LIMIT = 10;
+
+// On-demand checks reach the monitored services, so each client gets
+// settings.manualCheckLimit of them a minute
+const limitManualChecks = rateLimit({
+  windowMs: 60 * 1000,
+  max: () => healthCheckService.settings.manualCheckLimit || DEFAULT_MANUAL_CHECK_LIMIT
+});
 
 // GET /api/status - Get all service statuses
 router.get('/', (req, res) => {
@@ -10,10 +27,14 @@ router.get('/', (req, res) => {
     res.json({
       timestamp: new Date().toISOString(),
       services: statuses,
+      layout: healthCheckService.layout,
       summary: {
         total: statuses.length,
         healthy: statuses.filter(s => s.status === 'healthy').length,
         warning: statuses.filter(s => s.status === 'warning').length,
+        pending: statuses.filter(s => s.status === 'pending').length,
+        maintenance: statuses.filter(s => s.status === 'maintenance').length,
+        impacted: statuses.filter(s => s.status === 'impacted').length,
         down: statuses.filter(s => s.status === 'down').length
       }
     });
@@ -25,6 +46,51 @@ router.get('/', (req, res) => {
   }
 });
 
+// GET /api/status/stream - Server-Sent Events feed of status changes and
+// incidents (see statusStream)
+// Query: category, type (comma-separated); Last-Event-ID header or lastEventId to resume
+router.get('/stream', (req, res) => {
+  try {
+    statusStream.addClient(res, {
+      categories: listQuery(req.query.category),
+      types: listQuery(req.query.type)
+    }, req.get('Last-Event-ID') || req.query.lastEventId);
+  } catch (error) {
+    res.status(500).json({
+      error: 'Failed to open status stream',
+      message: error.message
+    });
+  }
+});
+
+// GET /api/status/trends - Recent response times of every service, for sparklines
+// Query: points (default 30)
+router.get('/trends', (req, res) => {
+  try {
+    const points = Math.min(parseInt(req.query.points) || DEFAULT_TREND_POINTS, MAX_TREND_POINTS);
+    const recent = historyStore.getRecentChecks(points);
+    const trends = {};
+    
+    healthCheckService.services.forEach(service => {
+      trends[service.id] = (recent[service.id] || []).map(entry => ({
+        lastChecked: entry.lastChecked,
+        responseTime: entry.responseTime,
+        status: entry.status
+      }));
+    });
+    
+    res.json({
+      timestamp: new Date().toISOString(),
+      trends: trends
+    });
+  } catch (error) {
+    res.status(500).json({
+      error: 'Failed to retrieve trends',
+      message: error.message
+    });
+  }
+});
+
 // GET /api/status/:serviceId - Get specific service status
 router.get('/:serviceId', (req, res) => {
   try {
@@ -46,4 +112,176 @@ router.get('/:serviceId', (req, res) => {
   }
 });
 
+// GET /api/status/:serviceId/history - Get check history for a service
+// Query: from, to (ISO timestamps, default last 24h), resolution (e.g. 5m, 1h, 1d; omit for raw checks)
+router.get('/:serviceId/history', (req, res) => {
+  try {
+    const { serviceId } = req.params;
+    const { resolution } = req.query;
+    
+    if (!healthCheckService.hasService(serviceId)) {
+      return res.status(404).json({
+        error: 'Service not found',
+        serviceId: serviceId
+      });
+    }
+    
+    const to = req.query.to ? new Date(req.query.to) : new Date();
+    const from = req.query.from ? new Date(req.query.from) : new Date(to.getTime() - DEFAULT_HISTORY_WINDOW);
+    
+    if (isNaN(from.getTime()) || isNaN(to.getTime()) || from > to) {
+      return res.status(400).json({
+        error: 'Invalid time range',
+        message: 'from and to must be valid timestamps with from before to'
+      });
+    }
+    
+    if (resolution && !historyStore.isValidResolution(resolution)) {
+      return res.status(400).json({
+        error: 'Invalid resolution',
+        message: 'Resolution must look like 1m, 15m, 1h or 1d'
+      });
+    }
+    
+    if (resolution && historyStore.isTooManyBuckets(from, to, resolution)) {
+      return res.status(400).json({
+        error: 'Invalid resolution',
+        message: 'Too many buckets for this range; use a coarser resolution'
+      });
+    }
+    
+    const response = {
+      serviceId: serviceId,
+      from: from.toISOString(),
+      to: to.toISOString(),
+      resolution: resolution || 'raw'
+    };
+    
+    if (resolution) {
+      response.buckets = historyStore.getAggregates(serviceId, from, to, resolution);
+    } else {
+      response.checks = historyStore.getChecks(serviceId, from, to);
+    }
+    
+    res.json(response);
+  } catch (error) {
+    res.status(500).json({
+      error: 'Failed to retrieve service history',
+      message: error.message
+    });
+  }
+});
+
+// GET /api/status/:serviceId/transitions - Status changes for a service, newest first
+// Query: from, to (ISO timestamps, default last 7 days)
+router.get('/:serviceId/transitions', (req, res) => {
+  try {
+    const { serviceId } = req.params;
+    
+    if (!healthCheckService.hasService(serviceId)) {
+      return res.status(404).json({
+        error: 'Service not found',
+        serviceId: serviceId
+      });
+    }
+    
+    const to = req.query.to ? new Date(req.query.to) : new Date();
+    const from = req.query.from ? new Date(req.query.from) : new Date(to.getTime() - DEFAULT_TRANSITIONS_WINDOW);
+    
+    if (isNaN(from.getTime()) || isNaN(to.getTime()) || from > to) {
+      return res.status(400).json({
+        error: 'Invalid time range',
+        message: 'from and to must be valid timestamps with from before to'
+      });
+    }
+    
+    res.json({
+      serviceId: serviceId,
+      from: from.toISOString(),
+      to: to.toISOString(),
+      transitions: historyStore.getTransitions(serviceId, from, to)
+    });
+  } catch (error) {
+    res.status(500).json({
+      error: 'Failed to retrieve status transitions',
+      message: error.message
+    });
+  }
+});
+
+// POST /api/status/check - Check every service now, or those in ?category=,
+// and return the results
+router.post('/check', requireRole('viewer'), limitManualChecks, async (req, res) => {
+  try {
+    const { category } = req.query;
+    const serviceIds = healthCheckService.services
+      .filter(service => !category || service.category === category)
+      .map(service => service.id);
+    
+    if (serviceIds.length === 0) {
+      return res.status(404).json({
+        success: false,
+        error: 'No services found',
+        message: `No services in category "${category}"`
+      });
+    }
+    
+    const results = await healthCheckService.checkServicesNow(serviceIds);
+    
+    res.json({
+      success: true,
+      services: results,
+      count: results.length,
+      timestamp: new Date().toISOString()
+    });
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      error: 'Failed to check services',
+      message: error.message
+    });
+  }
+});
+
+// POST /api/status/:serviceId/check - Check a service now and return the result
+router.post('/:serviceId/check', requireRole('viewer'), limitManualChecks, async (req, res) => {
+  try {
+    const { serviceId } = req.params;
+    
+    if (!healthCheckService.hasService(serviceId)) {
+      return res.status(404).json({
+        success: false,
+        error: 'Service not found',
+        serviceId: serviceId
+      });
+    }
+    
+    const result = await healthCheckService.checkServiceNow(serviceId);
+    
+    if (!result) {
+      return res.status(409).json({
+        success: false,
+        error: 'Check superseded',
+        message: 'The service was changed while it was being checked; try again'
+      });
+    }
+    
+    res.json({
+      success: true,
+      service: result,
+      timestamp: new Date().toISOString()
+    });
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      error: 'Failed to check service',
+      message: error.message
+    });
+  }
+});
+
+function listQuery(value) {
+  return typeof value === 'string' ? value.split(',').map(item => item.trim()).filter(Boolean) : [];
+}
+
 module.exports = router;
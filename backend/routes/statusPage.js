@@ -0,0 +1,187 @@
+const express = require('express');
+const router = express.Router();
+const statusPage = require('../services/statusPage');
+
+const STATUS_LABELS = {
+  unknown: 'Unknown',
+  operational: 'Operational',
+  maintenance: 'Maintenance',
+  degraded: 'Degraded',
+  outage: 'Outage'
+};
+
+// GET /status-page - Public status page
+// Rendered on the server with no scripts, so it can be cached or mirrored as a static file
+router.get('/', (req, res) => {
+  try {
+    res.type('html').send(renderPage(statusPage.getSummary()));
+  } catch (error) {
+    res.status(500).type('text').send('Status page unavailable');
+  }
+});
+
+// GET /status-page/status.json - The status page as JSON
+router.get('/status.json', (req, res) => {
+  try {
+    res.json(statusPage.getSummary());
+  } catch (error) {
+    res.status(500).json({
+      error: 'Failed to build status page',
+      message: error.message
+    });
+  }
+});
+
+// GET /status-page/incidents.json - Recent incidents
+router.get('/incidents.json', (req, res) => {
+  try {
+    const incidents = statusPage.getIncidents();
+
+    res.json({
+      incidents: incidents,
+      count: incidents.length,
+      timestamp: new Date().toISOString()
+    });
+  } catch (error) {
+    res.status(500).json({
+      error: 'Failed to retrieve incidents',
+      message: error.message
+    });
+  }
+});
+
+// GET /status-page/incidents.rss - Recent incidents as an RSS 2.0 feed
+router.get('/incidents.rss', (req, res) => {
+  try {
+    const pageUrl = `${req.protocol}://${req.get('host')}${req.baseUrl}`;
+    res.type('application/rss+xml').send(renderFeed(statusPage.getSummary().title, statusPage.getIncidents(), pageUrl));
+  } catch (error) {
+    res.status(500).type('text').send('Feed unavailable');
+  }
+});
+
+function renderPage(summary) {
+  const groups = summary.groups.map(group => `
+    <section class="group">
+      <h2>${escapeHtml(capitalize(group.name))} <span class="status-label status-${group.status}">${STATUS_LABELS[group.status]}</span></h2>
+      ${group.components.map(renderComponent).join('')}
+    </section>`).join('');
+
+  const incidents = summary.incidents.length > 0
+    ? summary.incidents.map(renderIncident).join('')
+    : '<p class="no-incidents">No recent incidents.</p>';
+
+  return `<!DOCTYPE html>
+<html lang="en">
+<head>
+  <meta charset="UTF-8">
+  <meta name="viewport" content="width=device-width, initial-scale=1.0">
+  <meta http-equiv="refresh" content="60">
+  <title>${escapeHtml(summary.title)}</title>
+  <link rel="stylesheet" href="/css/status-page.css">
+  <link rel="alternate" type="application/rss+xml" title="${escapeHtml(summary.title)} incidents" href="/status-page/incidents.rss">
+</head>
+<body>
+  <header>
+    <h1>${escapeHtml(summary.title)}</h1>
+  </header>
+  <main>
+    <div class="overall status-${summary.status}">${escapeHtml(summary.message)}</div>
+    ${groups}
+    <section class="incidents">
+      <h2>Recent Incidents</h2>
+      ${incidents}
+    </section>
+  </main>
+  <footer>
+    Updated ${formatTime(summary.updatedAt)} &middot;
+    <a href="/status-page/status.json">JSON</a> &middot;
+    <a href="/status-page/incidents.json">Incidents JSON</a> &middot;
+    <a href="/status-page/incidents.rss">RSS</a>
+  </footer>
+</body>
+</html>
+`;
+}
+
+function renderComponent(component) {
+  const bars = component.days.map(day => {
+    const label = day.uptime === null ? `${day.date}: no data` : `${day.date}: ${day.uptime}% uptime`;
+    return `<span class="day day-${day.status}" title="${label}"></span>`;
+  }).join('');
+
+  return `
+      <div class="component">
+        <div class="component-header">
+          <span class="component-name">${escapeHtml(component.name)}</span>
+          <span class="status-label status-${component.status}">${STATUS_LABELS[component.status]}</span>
+        </div>
+        <div class="uptime-bars">${bars}</div>
+        <div class="uptime-legend">
+          <span>${component.days.length} days ago</span>
+          <span>${component.uptime === null ? 'No data' : `${component.uptime}% uptime`}</span>
+          <span>Today</span>
+        </div>
+      </div>`;
+}
+
+function renderIncident(incident) {
+  const period = incident.resolvedAt
+    ? `${formatTime(incident.openedAt)} &ndash; ${formatTime(incident.resolvedAt)}`
+    : `Since ${formatTime(incident.openedAt)}`;
+
+  return `
+      <article class="incident incident-${incident.state}">
+        <h3>${escapeHtml(incident.title)} <span class="incident-state">${incident.state === 'open' ? 'Ongoing' : 'Resolved'}</span></h3>
+        <p class="incident-period">${period} &middot; ${escapeHtml(incident.components.join(', '))}</p>
+        <ul>
+          ${incident.updates.map(update => `<li><time>${formatTime(update.timestamp)}</time> ${escapeHtml(update.message)}</li>`).join('')}
+        </ul>
+      </article>`;
+}
+
+function renderFeed(title, incidents, pageUrl) {
+  const items = incidents.map(incident => {
+    const updates = incident.updates.map(update => `${formatTime(update.timestamp)}: ${update.message}`).join('\n');
+
+    return `
+    <item>
+      <title>${escapeHtml(`${incident.title}${incident.state === 'resolved' ? ' (resolved)' : ''}`)}</title>
+      <link>${escapeHtml(pageUrl)}</link>
+      <guid isPermaLink="false">${escapeHtml(`${incident.id}-${incident.state}`)}</guid>
+      <pubDate>${new Date(incident.resolvedAt || incident.openedAt).toUTCString()}</pubDate>
+      <description>${escapeHtml(`Affected: ${incident.components.join(', ')}\n${updates}`)}</description>
+    </item>`;
+  }).join('');
+
+  return `<?xml version="1.0" encoding="UTF-8"?>
+<rss version="2.0">
+  <channel>
+    <title>${escapeHtml(`${title} - Incidents`)}</title>
+    <link>${escapeHtml(pageUrl)}</link>
+    <description>${escapeHtml(`Recent incidents for ${title}`)}</description>
+    <lastBuildDate>${new Date().toUTCString()}</lastBuildDate>${items}
+  </channel>
+</rss>
+`;
+}
+
+// "2026-10-19 14:05 UTC"; the page is static, so no local time zone
+function formatTime(iso) {
+  return `${new Date(iso).toISOString().slice(0, 16).replace('T', ' ')} UTC`;
+}
+
+function capitalize(text) {
+  return text.charAt(0).toUpperCase() + text.slice(1);
+}
+
+function escapeHtml(text) {
+  return String(text)
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;')
+    .replace(/"/g, '&quot;')
+    .replace(/'/g, '&#39;');
+}
+
+module.exports = router;
@@ -7,7 +7,26 @@ const path = require('path');
 
 const statusRoutes = require('./routes/status');
 const configRoutes = require('./routes/config');
+const alertRoutes = require('./routes/alerts');
+const maintenanceRoutes = require('./routes/maintenance');
+const dependencyRoutes = require('./routes/dependencies');
+const incidentRoutes = require('./routes/incidents');
+const probeRoutes = require('./routes/probes');
+const statusPageRoutes = require('./routes/statusPage');
+const metricsRoutes = require('./routes/metrics');
+const authRoutes = require('./routes/auth');
+const { authenticate, requireRole } = require('./middleware/auth');
+const authService = require('./services/authService');
+const configHistory = require('./services/configHistory');
+const maintenanceService = require('./services/maintenanceService');
 const healthCheckService = require('./services/healthCheck');
+const alertService = require('./services/alertService');
+const incidentService = require('./services/incidentService');
+const metricsService = require('./services/metricsService');
+const probeService = require('./services/probeService');
+const scaleService = require('./services/scaleService');
+const statusUpdates = require('./services/statusUpdates');
+const statusStream = require('./services/statusStream');
 
 const app = express();
 const server = http.createServer(app);
@@ -22,12 +41,26 @@ const PORT = process.env.PORT || 3000;
 
 // Middleware
 app.use(cors());
-app.use(express.json());
+// Large enough for imported OpenAPI specs and manifests
+app.use(express.json({ limit: '2mb' }));
+app.use(authenticate);
 app.use(express.static(path.join(__dirname, '../public')));
 
 // API Routes
 app.use('/api/status', statusRoutes);
-app.use('/api/config', configRoutes);
+app.use('/api/auth', authRoutes);
+app.use('/api/config', requireRole('viewer'), configRoutes);
+app.use('/api/alerts', alertRoutes);
+app.use('/api/maintenance', maintenanceRoutes);
+app.use('/api/dependencies', dependencyRoutes);
+app.use('/api/incidents', incidentRoutes);
+app.use('/api/probes', probeRoutes);
+
+// Public status page
+app.use('/status-page', statusPageRoutes);
+
+// Prometheus scrape endpoint
+app.use('/metrics', metricsRoutes);
 
 // Serve frontend
 app.get('/', (req, res) => {
@@ -43,7 +76,17 @@ io.on('connection', (socket) => {
   });
 });
 
-// Start health check polling
+// Start authentication, config history, maintenance, alerting, incidents, metrics, probes, scale readings, live updates, the event stream and health check polling
+authService.initialize();
+configHistory.initialize(healthCheckService);
+maintenanceService.initialize(healthCheckService);
+alertService.initialize(healthCheckService);
+incidentService.initialize(healthCheckService);
+metricsService.initialize(healthCheckService);
+probeService.initialize(healthCheckService);
+scaleService.initialize(healthCheckService, io);
+statusUpdates.initialize(healthCheckService, io);
+statusStream.initialize(healthCheckService);
 healthCheckService.initialize(io);
 
 // Start server
@@ -55,6 +98,7 @@ server.listen(PORT, () => {
 // Graceful shutdown
 process.on('SIGTERM', () => {
   console.log('SIGTERM received, closing server...');
+  statusStream.close();
   server.close(() => {
     console.log('Server closed');
     process.exit(0);
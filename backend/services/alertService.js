@@ -0,0 +1,227 @@
+const fs = require('fs');
+const path = require('path');
+const crypto = require('crypto');
+const { getNotifier } = require('./notifiers');
+
+const DEFAULT_EVENTS = ['down', 'recovered'];
+
+// Sends notifications when services go down or recover.
+//
+// Routing comes from the "alerts" section of services.json:
+//   notifiers: named notifier configs ({ type: webhook|slack|email, ... })
+//   rules:     [{ services, categories, types, criticalOnly, events, notify }]
+// A rule with no filters matches every service. Every delivery attempt is
+// appended to the alert log.
+//
+// Whether each service was last alerted down is saved to alert-state.json,
+// so a restart doesn't alert again for services that are still down.
+class AlertService {
+  constructor() {
+    this.healthCheckService = null;
+    this.logPath = null;
+    this.statePath = null;
+    this.lastStates = new Map();
+  }
+
+  initialize(healthCheckService) {
+    this.healthCheckService = healthCheckService;
+    this.logPath = process.env.ALERT_LOG_PATH || path.join(__dirname, '../../data/alerts.jsonl');
+    fs.mkdirSync(path.dirname(this.logPath), { recursive: true });
+    this.statePath = process.env.ALERT_STATE_PATH || path.join(__dirname, '../../data/alert-state.json');
+    this.lastStates = this.loadStates();
+
+    healthCheckService.on('status-change', (change) => {
+      this.handleStatusChange(change).catch(error => {
+        console.error('Error processing alert:', error.message);
+      });
+    });
+
+    healthCheckService.on('config-change', () => this.pruneStates());
+  }
+
+  async handleStatusChange({ service, current }) {
+    if (!service) return;
+
+    const event = this.detectEvent(current);
+    if (!event) return;
+
+    const alert = this.buildAlert(event, service, current);
+    const notifierNames = this.resolveNotifiers(service, event);
+
+    await Promise.all(notifierNames.map(name => this.deliver(name, alert)));
+  }
+
+  // Track down/up per service so config reloads don't re-send alerts.
+  // Pending results are unconfirmed in either direction and never alert, and
+  // neither do services under maintenance. Impacted services are left to the
+  // alert for their root cause.
+  detectEvent(result) {
+    if (['pending', 'maintenance', 'impacted'].includes(result.status)) return null;
+
+    const last = this.lastStates.get(result.id);
+    const isDown = result.status === 'down';
+
+    if (isDown && (!last || !last.down)) {
+      this.setState(result.id, { down: true, since: result.lastChecked });
+      return 'down';
+    }
+
+    if (!isDown && last && last.down) {
+      this.setState(result.id, { down: false, since: result.lastChecked, downSince: last.since });
+      return 'recovered';
+    }
+
+    if (!last) {
+      this.setState(result.id, { down: isDown, since: result.lastChecked });
+    }
+
+    return null;
+  }
+
+  setState(serviceId, state) {
+    this.lastStates.set(serviceId, state);
+    this.saveStates();
+  }
+
+  // Services removed from the configuration start afresh if they come back
+  pruneStates() {
+    const removed = Array.from(this.lastStates.keys()).filter(id => !this.healthCheckService.hasService(id));
+    if (removed.length === 0) return;
+
+    removed.forEach(id => this.lastStates.delete(id));
+    this.saveStates();
+  }
+
+  loadStates() {
+    try {
+      if (!fs.existsSync(this.statePath)) return new Map();
+      const states = JSON.parse(fs.readFileSync(this.statePath, 'utf8'));
+      return new Map(Object.entries(states && typeof states === 'object' ? states : {}));
+    } catch (error) {
+      console.error('Error loading alert state:', error.message);
+      return new Map();
+    }
+  }
+
+  saveStates() {
+    if (!this.statePath) return;
+
+    try {
+      fs.mkdirSync(path.dirname(this.statePath), { recursive: true });
+      fs.writeFileSync(this.statePath, JSON.stringify(Object.fromEntries(this.lastStates), null, 2), 'utf8');
+    } catch (error) {
+      console.error('Error saving alert state:', error.message);
+    }
+  }
+
+  buildAlert(event, service, result) {
+    const state = this.lastStates.get(result.id);
+    const downtimeSeconds = event === 'recovered' && state.downSince
+      ? Math.round((Date.parse(result.lastChecked) - Date.parse(state.downSince)) / 1000)
+      : null;
+
+    return {
+      id: crypto.randomUUID(),
+      event: event,
+      serviceId: service.id,
+      serviceName: service.name,
+      type: service.type,
+      category: service.category,
+      criticalService: service.criticalService === true,
+      location: service.metadata?.location || null,
+      status: result.status,
+      message: result.message,
+      responseTime: result.responseTime,
+      downtimeSeconds: downtimeSeconds,
+      timestamp: result.lastChecked
+    };
+  }
+
+  resolveNotifiers(service, event) {
+    const rules = this.getConfig().rules || [];
+    const names = new Set();
+
+    rules.forEach(rule => {
+      if (this.ruleMatches(rule, service, event)) {
+        (rule.notify || []).forEach(name => names.add(name));
+      }
+    });
+
+    return Array.from(names);
+  }
+
+  ruleMatches(rule, service, event) {
+    if (!(rule.events || DEFAULT_EVENTS).includes(event)) return false;
+    if (rule.services && !rule.services.includes(service.id)) return false;
+    if (rule.categories && !rule.categories.includes(service.category)) return false;
+    if (rule.types && !rule.types.includes(service.type)) return false;
+    if (rule.criticalOnly && !service.criticalService) return false;
+    return true;
+  }
+
+  async deliver(notifierName, alert) {
+    const config = (this.getConfig().notifiers || {})[notifierName];
+    const record = {
+      ...alert,
+      notifier: notifierName,
+      notifierType: config ? config.type : null,
+      sentAt: new Date().toISOString(),
+      success: false,
+      error: null
+    };
+
+    try {
+      if (!config) {
+        throw new Error(`Notifier "${notifierName}" is not defined`);
+      }
+
+      const notifier = getNotifier(config.type);
+      if (!notifier) {
+        throw new Error(`Unknown notifier type "${config.type}"`);
+      }
+
+      await notifier.send(config, alert);
+      record.success = true;
+      console.log(`Alert sent via ${notifierName}: ${alert.serviceName} ${alert.event}`);
+    } catch (error) {
+      record.error = error.message;
+      console.error(`Alert via ${notifierName} failed:`, error.message);
+    }
+
+    this.appendLog(record);
+    return record;
+  }
+
+  appendLog(record) {
+    try {
+      fs.appendFileSync(this.logPath, JSON.stringify(record) + '\n', 'utf8');
+    } catch (error) {
+      console.error('Error writing alert log:', error.message);
+    }
+  }
+
+  // Most recent alert deliveries, newest first
+  getRecentAlerts(limit = 50, serviceId = null) {
+    if (!this.logPath || !fs.existsSync(this.logPath)) return [];
+
+    const records = fs.readFileSync(this.logPath, 'utf8')
+      .split('\n')
+      .filter(line => line.trim())
+      .map(line => {
+        try {
+          return JSON.parse(line);
+        } catch (error) {
+          return null;
+        }
+      })
+      .filter(record => record && (!serviceId || record.serviceId === serviceId));
+
+    return records.slice(-limit).reverse();
+  }
+
+  getConfig() {
+    return (this.healthCheckService && this.healthCheckService.alerts) || {};
+  }
+}
+
+module.exports = new AlertService();
@@ -0,0 +1,121 @@
+// Response assertions for health checks.
+//
+// Each assertion in a service's "assertions" array checks one thing about the
+// response and, when it fails, sets the service to its "status" (warning or
+// down, default down) with its short tile "message":
+//
+//   { "type": "json", "path": "$.db", "equals": "up", "message": "DB Timeout" }
+//   { "type": "json", "path": "$.queue.depth", "lessThan": 1000, "status": "warning" }
+//   { "type": "body", "pattern": "maintenance", "negate": true }
+//   { "type": "header", "name": "content-type", "pattern": "json" }
+//   { "type": "statusCode", "allowed": [200, 204] }
+
+const SEVERITY = { healthy: 0, warning: 1, down: 2 };
+
+function hasStatusCodeAssertion(assertions) {
+  return (assertions || []).some(assertion => assertion.type === 'statusCode');
+}
+
+// Returns the most severe failure as { status, message }, or null if all pass
+function evaluateAssertions(assertions, response) {
+  let worst = null;
+
+  (assertions || []).forEach(assertion => {
+    let message = null;
+
+    try {
+      if (passes(assertion, response)) return;
+    } catch (error) {
+      // A config mistake, not a failing service: say which pattern is wrong
+      if (!(error instanceof SyntaxError)) throw error;
+      message = `Invalid pattern /${assertion.pattern}/`;
+    }
+
+    const status = assertion.status === 'warning' ? 'warning' : 'down';
+    if (!worst || SEVERITY[status] > SEVERITY[worst.status]) {
+      worst = {
+        status: status,
+        message: message || assertion.message || defaultMessage(assertion, response)
+      };
+    }
+  });
+
+  return worst;
+}
+
+function passes(assertion, response) {
+  switch (assertion.type) {
+    case 'statusCode':
+      return (assertion.allowed || []).includes(response.statusCode);
+
+    case 'header': {
+      const value = response.headers.get(assertion.name);
+      return compare(assertion, value === null ? undefined : value);
+    }
+
+    case 'body':
+      return matches(assertion, response.body);
+
+    case 'json': {
+      let json;
+      try {
+        json = JSON.parse(response.body);
+      } catch (error) {
+        return false;
+      }
+      return compare(assertion, resolvePath(json, assertion.path));
+    }
+
+    default:
+      return false;
+  }
+}
+
+function matches(assertion, text) {
+  const found = new RegExp(assertion.pattern, assertion.flags || '').test(text || '');
+  return assertion.negate ? !found : found;
+}
+
+// With no operator, the value only has to exist
+function compare(assertion, value) {
+  if (assertion.exists === false) return value === undefined;
+  if (value === undefined) return false;
+
+  if ('equals' in assertion && value !== assertion.equals) return false;
+  if ('notEquals' in assertion && value === assertion.notEquals) return false;
+  if ('in' in assertion && !assertion.in.includes(value)) return false;
+  if ('lessThan' in assertion && !(Number(value) < assertion.lessThan)) return false;
+  if ('greaterThan' in assertion && !(Number(value) > assertion.greaterThan)) return false;
+  if ('pattern' in assertion && !matches(assertion, String(value))) return false;
+
+  return true;
+}
+
+// Supports "$.checks.db.status", "checks.db.status" and "$.items[0].state"
+function resolvePath(value, jsonPath) {
+  const segments = String(jsonPath || '')
+    .replace(/^\$\.?/, '')
+    .replace(/\[(\d+)\]/g, '.$1')
+    .split('.')
+    .filter(Boolean);
+
+  return segments.reduce((current, segment) => {
+    if (current === null || current === undefined) return undefined;
+    return current[segment];
+  }, value);
+}
+
+function defaultMessage(assertion, response) {
+  switch (assertion.type) {
+    case 'statusCode':
+      return `HTTP ${response.statusCode}`;
+    case 'header':
+      return 'Bad Header';
+    case 'json':
+      return 'Check Failed';
+    default:
+      return 'Unexpected Response';
+  }
+}
+
+module.exports = { evaluateAssertions, hasStatusCodeAssertion };
@@ -0,0 +1,150 @@
+const fs = require('fs');
+const path = require('path');
+const crypto = require('crypto');
+
+const ROLES = ['viewer', 'admin'];
+// Probe agents sign in with tokens of their own role, which grants nothing
+// else and isn't granted by the others. The token name is the probe id.
+const PROBE_ROLE = 'probe';
+const SESSION_COOKIE = 'dashboard_session';
+
+// Local users and API tokens for the configuration routes.
+//
+// Accounts live in a JSON file (AUTH_USERS_PATH, default config/users.json):
+//   users:  [{ username, passwordHash, role }]   passwordHash from hashPassword()
+//   tokens: [{ name, tokenHash, role }]          tokenHash from hashToken(); role may be "probe"
+// The file is re-read when it changes, so accounts added with the CLI apply
+// without a restart. Browser sessions are kept in memory.
+class AuthService {
+  constructor() {
+    this.usersPath = null;
+    this.accounts = { users: [], tokens: [] };
+    this.accountsModified = null;
+    this.sessions = new Map();
+    this.sessionTtl = 12 * 60 * 60 * 1000;
+  }
+
+  initialize() {
+    this.usersPath = process.env.AUTH_USERS_PATH || path.join(__dirname, '../../config/users.json');
+    this.sessionTtl = (parseFloat(process.env.SESSION_TTL_HOURS) || 12) * 60 * 60 * 1000;
+
+    const { users, tokens } = this.getAccounts();
+    if (users.length === 0 && tokens.length === 0) {
+      console.warn(`No users configured in ${this.usersPath}; configuration routes are locked. Add one with "npm run add-user".`);
+    } else {
+      console.log(`Authentication: ${users.length} users, ${tokens.length} API tokens`);
+    }
+  }
+
+  getAccounts() {
+    let modified;
+    try {
+      modified = fs.statSync(this.usersPath).mtimeMs;
+    } catch (error) {
+      this.accounts = { users: [], tokens: [] };
+      this.accountsModified = null;
+      return this.accounts;
+    }
+
+    if (modified !== this.accountsModified) {
+      try {
+        const data = JSON.parse(fs.readFileSync(this.usersPath, 'utf8'));
+        this.accounts = {
+          users: (data.users || []).filter(user => ROLES.includes(user.role)),
+          tokens: (data.tokens || []).filter(token => ROLES.includes(token.role) || token.role === PROBE_ROLE)
+        };
+      } catch (error) {
+        console.error('Error loading users:', error.message);
+        this.accounts = { users: [], tokens: [] };
+      }
+      this.accountsModified = modified;
+    }
+
+    return this.accounts;
+  }
+
+  // Returns { username, role } or null
+  // Unknown users are checked against a dummy hash, so the time taken
+  // doesn't tell which usernames exist
+  verifyPassword(username, password) {
+    const user = this.getAccounts().users.find(candidate => candidate.username === username);
+    const valid = verifyHash(String(password || ''), user ? user.passwordHash : DUMMY_HASH);
+    if (!user || !valid) return null;
+    return { username: user.username, role: user.role };
+  }
+
+  verifyToken(token) {
+    const tokenHash = hashToken(token);
+    const match = this.getAccounts().tokens.find(candidate => safeEqual(candidate.tokenHash, tokenHash));
+    if (!match) return null;
+
+    return {
+      username: `token:${match.name}`,
+      role: match.role,
+      ...(match.role === PROBE_ROLE && { probeId: match.name })
+    };
+  }
+
+  createSession(user) {
+    const id = crypto.randomBytes(32).toString('hex');
+    this.sessions.set(id, { username: user.username, expires: Date.now() + this.sessionTtl });
+    return id;
+  }
+
+  // Sessions follow the users file: a removed user is signed out and a role
+  // change applies on the next request
+  getSession(id) {
+    const session = id && this.sessions.get(id);
+    if (!session) return null;
+
+    const user = this.getAccounts().users.find(candidate => candidate.username === session.username);
+    if (!user || session.expires < Date.now()) {
+      this.sessions.delete(id);
+      return null;
+    }
+
+    return { username: user.username, role: user.role };
+  }
+
+  destroySession(id) {
+    this.sessions.delete(id);
+  }
+
+  hasRole(user, role) {
+    if (!user) return false;
+    if (user.role === PROBE_ROLE || role === PROBE_ROLE) return user.role === role;
+    return ROLES.indexOf(user.role) >= ROLES.indexOf(role);
+  }
+}
+
+function hashPassword(password) {
+  const salt = crypto.randomBytes(16).toString('hex');
+  const hash = crypto.scryptSync(password, salt, 64).toString('hex');
+  return `scrypt$${salt}$${hash}`;
+}
+
+// Checked for unknown users (see verifyPassword)
+const DUMMY_HASH = hashPassword(crypto.randomBytes(16).toString('hex'));
+
+function verifyHash(password, stored) {
+  const [scheme, salt, hash] = String(stored || '').split('$');
+  if (scheme !== 'scrypt' || !salt || !hash) return false;
+  return safeEqual(crypto.scryptSync(password, salt, 64).toString('hex'), hash);
+}
+
+function hashToken(token) {
+  return 'sha256$' + crypto.createHash('sha256').update(String(token || '')).digest('hex');
+}
+
+function safeEqual(a, b) {
+  const left = Buffer.from(String(a || ''));
+  const right = Buffer.from(String(b || ''));
+  return left.length === right.length && crypto.timingSafeEqual(left, right);
+}
+
+module.exports = new AuthService();
+module.exports.ROLES = ROLES;
+module.exports.PROBE_ROLE = PROBE_ROLE;
+module.exports.SESSION_COOKIE = SESSION_COOKIE;
+module.exports.hashPassword = hashPassword;
+module.exports.hashToken = hashToken;
@@ -0,0 +1,37 @@
+const { Resolver } = require('dns').promises;
+const { resolveTarget } = require('./target');
+
+// Resolves check.host (record type check.recordType, default A), optionally
+// against check.servers, and compares with check.expected when given
+async function run(service, { timeout }) {
+  const check = service.check || {};
+  const { host } = resolveTarget(service);
+  const resolver = new Resolver({ timeout: timeout, tries: 1 });
+
+  if (check.servers) {
+    resolver.setServers(check.servers);
+  }
+
+  let records;
+  try {
+    records = await resolver.resolve(host, check.recordType || 'A');
+  } catch (error) {
+    return {
+      status: 'down',
+      message: error.code === 'ETIMEOUT' ? 'DNS Timeout' : 'DNS Failure'
+    };
+  }
+
+  const values = records.map(record => (typeof record === 'string' ? record : JSON.stringify(record)));
+
+  if (check.expected) {
+    const expected = Array.isArray(check.expected) ? check.expected : [check.expected];
+    if (!expected.every(value => values.includes(value))) {
+      return { status: 'down', message: 'DNS Mismatch', details: { records: values } };
+    }
+  }
+
+  return { status: 'healthy', message: null, details: { records: values } };
+}
+
+module.exports = { run };
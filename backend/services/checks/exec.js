@@ -0,0 +1,40 @@
+const { execFile } = require('child_process');
+
+const MAX_MESSAGE_LENGTH = 40;
+
+// Runs check.command with check.args. Exit codes follow the Nagios plugin
+// convention: 0 healthy, 1 warning, anything else down. The first line of
+// output becomes the tile message.
+function run(service, { timeout }) {
+  const check = service.check || {};
+
+  if (!check.command) {
+    throw new Error('No command configured for exec check');
+  }
+
+  return new Promise((resolve) => {
+    execFile(check.command, check.args || [], {
+      timeout: timeout,
+      cwd: check.cwd,
+      env: { ...process.env, ...(check.env || {}) }
+    }, (error, stdout, stderr) => {
+      const output = (stdout || stderr || '').split('\n')[0].trim().slice(0, MAX_MESSAGE_LENGTH);
+
+      if (!error) {
+        return resolve({ status: 'healthy', message: output || null });
+      }
+
+      if (error.killed) {
+        return resolve({ status: 'down', message: 'Timeout' });
+      }
+
+      if (error.code === 1) {
+        return resolve({ status: 'warning', message: output || 'Check Warning' });
+      }
+
+      resolve({ status: 'down', message: output || 'Check Failed' });
+    });
+  });
+}
+
+module.exports = { run };
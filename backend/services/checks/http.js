@@ -0,0 +1,94 @@
+const { evaluateAssertions, hasStatusCodeAssertion } = require('../assertions');
+
+// Per-service "request" settings:
+//   method, headers, body, followRedirects, expectedStatus, timeout
+//   auth: { type: "bearer", tokenEnv } | { type: "basic", username, passwordEnv }
+//   headersEnv: { "X-Api-Key": "ENV_VAR_NAME" }
+// Secrets are read from environment variables at check time so they never
+// need to be stored in services.json.
+async function run(service, { signal }) {
+  const request = service.request || {};
+  let headers;
+
+  try {
+    headers = buildHeaders(request);
+  } catch (error) {
+    console.error(`Check for ${service.id}: ${error.message}`);
+    return { status: 'down', message: 'Missing Secret' };
+  }
+
+  const body = request.body === undefined || typeof request.body === 'string'
+    ? request.body
+    : JSON.stringify(request.body);
+
+  if (body !== undefined && typeof request.body !== 'string' && !hasHeader(headers, 'content-type')) {
+    headers['Content-Type'] = 'application/json';
+  }
+
+  const response = await fetch(service.endpoint, {
+    method: request.method || 'GET',
+    headers: headers,
+    body: body,
+    redirect: request.followRedirects === false ? 'manual' : 'follow',
+    signal: signal
+  });
+
+  const assertions = service.assertions || [];
+  const responseBody = assertions.length > 0 ? await response.text() : null;
+
+  const statusCode = response.status;
+
+  // expectedStatus or a statusCode assertion replaces the default 2xx check
+  if (request.expectedStatus) {
+    if (!request.expectedStatus.includes(statusCode)) {
+      return { status: 'down', message: `HTTP ${statusCode}`, statusCode };
+    }
+  } else if (!response.ok && !hasStatusCodeAssertion(assertions)) {
+    return { status: 'down', message: `HTTP ${statusCode}`, statusCode };
+  }
+
+  const failure = evaluateAssertions(assertions, {
+    statusCode: statusCode,
+    headers: response.headers,
+    body: responseBody
+  });
+
+  if (failure) {
+    return { ...failure, statusCode };
+  }
+
+  return { status: 'healthy', message: null, statusCode };
+}
+
+function buildHeaders(request) {
+  const headers = { ...(request.headers || {}) };
+
+  Object.entries(request.headersEnv || {}).forEach(([name, envVar]) => {
+    headers[name] = readSecret(envVar);
+  });
+
+  const auth = request.auth;
+  if (auth && auth.type === 'bearer') {
+    headers['Authorization'] = `Bearer ${auth.tokenEnv ? readSecret(auth.tokenEnv) : auth.token}`;
+  } else if (auth && auth.type === 'basic') {
+    const username = auth.usernameEnv ? readSecret(auth.usernameEnv) : auth.username;
+    const password = auth.passwordEnv ? readSecret(auth.passwordEnv) : auth.password;
+    headers['Authorization'] = `Basic ${Buffer.from(`${username}:${password || ''}`).toString('base64')}`;
+  }
+
+  return headers;
+}
+
+function readSecret(envVar) {
+  const value = process.env[envVar];
+  if (value === undefined) {
+    throw new Error(`Environment variable ${envVar} is not set`);
+  }
+  return value;
+}
+
+function hasHeader(headers, name) {
+  return Object.keys(headers).some(key => key.toLowerCase() === name);
+}
+
+module.exports = { run };
@@ -0,0 +1,26 @@
+const http = require('./http');
+const tcp = require('./tcp');
+const dns = require('./dns');
+const tlsCert = require('./tlsCert');
+const exec = require('./exec');
+
+// Check types selectable with a service's "check.type" (default: http).
+// Each check resolves to { status, message, details?, statusCode? } and throws on
+// connection-level failures; latency thresholds are applied by the caller.
+const checks = {
+  http,
+  tcp,
+  dns,
+  'tls-cert': tlsCert,
+  exec
+};
+
+function getCheckType(service) {
+  return (service.check && service.check.type) || 'http';
+}
+
+function getCheck(type) {
+  return checks[type] || null;
+}
+
+module.exports = { getCheck, getCheckType, checkTypes: Object.keys(checks) };
@@ -0,0 +1,23 @@
+// Host and port for socket-level checks: "check.host"/"check.port" win,
+// otherwise they are taken from the service endpoint URL
+function resolveTarget(service, defaultPort) {
+  const check = service.check || {};
+  let url = null;
+
+  try {
+    url = new URL(service.endpoint);
+  } catch (error) {
+    url = null;
+  }
+
+  const host = check.host || (url && url.hostname);
+  const port = parseInt(check.port || (url && url.port) || defaultPort);
+
+  if (!host) {
+    throw new Error('No host configured for check');
+  }
+
+  return { host, port };
+}
+
+module.exports = { resolveTarget };
@@ -0,0 +1,30 @@
+const net = require('net');
+const { resolveTarget } = require('./target');
+
+// Healthy when a TCP connection to check.host:check.port is accepted
+function run(service, { timeout }) {
+  const { host, port } = resolveTarget(service);
+
+  if (!port) {
+    throw new Error('No port configured for TCP check');
+  }
+
+  return new Promise((resolve) => {
+    const socket = net.connect({ host, port });
+
+    const finish = (result) => {
+      socket.destroy();
+      resolve(result);
+    };
+
+    socket.setTimeout(timeout);
+    socket.once('connect', () => finish({ status: 'healthy', message: null }));
+    socket.once('timeout', () => finish({ status: 'down', message: 'Timeout' }));
+    socket.once('error', (error) => finish({
+      status: 'down',
+      message: error.code === 'ECONNREFUSED' ? 'Connection Refused' : 'Connection Failed'
+    }));
+  });
+}
+
+module.exports = { run };
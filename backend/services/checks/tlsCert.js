@@ -0,0 +1,68 @@
+const tls = require('tls');
+const { resolveTarget } = require('./target');
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+// Reads the server certificate and maps days until expiry onto a status:
+// fewer than check.criticalDays (default 3) is down, fewer than
+// check.warningDays (default 14) is a warning
+function run(service, { timeout }) {
+  const check = service.check || {};
+  const { host, port } = resolveTarget(service, 443);
+  const warningDays = check.warningDays !== undefined ? check.warningDays : 14;
+  const criticalDays = check.criticalDays !== undefined ? check.criticalDays : 3;
+
+  return new Promise((resolve) => {
+    const socket = tls.connect({
+      host: host,
+      port: port,
+      servername: check.servername || host,
+      rejectUnauthorized: false
+    });
+
+    const finish = (result) => {
+      socket.destroy();
+      resolve(result);
+    };
+
+    socket.setTimeout(timeout);
+    socket.once('timeout', () => finish({ status: 'down', message: 'Timeout' }));
+    socket.once('error', () => finish({ status: 'down', message: 'Connection Failed' }));
+
+    socket.once('secureConnect', () => {
+      const certificate = socket.getPeerCertificate();
+
+      if (!certificate || !certificate.valid_to) {
+        return finish({ status: 'down', message: 'No Certificate' });
+      }
+
+      const validTo = new Date(certificate.valid_to);
+      const daysRemaining = Math.floor((validTo.getTime() - Date.now()) / DAY_MS);
+      const details = {
+        validTo: validTo.toISOString(),
+        daysRemaining: daysRemaining,
+        issuer: certificate.issuer ? certificate.issuer.O || certificate.issuer.CN : null
+      };
+
+      if (daysRemaining < 0) {
+        return finish({ status: 'down', message: 'Cert Expired', details });
+      }
+
+      if (!socket.authorized && !check.allowUntrusted) {
+        return finish({ status: 'down', message: 'Cert Untrusted', details });
+      }
+
+      if (daysRemaining < criticalDays) {
+        return finish({ status: 'down', message: `Cert Expires ${daysRemaining}d`, details });
+      }
+
+      if (daysRemaining < warningDays) {
+        return finish({ status: 'warning', message: `Cert Expires ${daysRemaining}d`, details });
+      }
+
+      finish({ status: 'healthy', message: null, details });
+    });
+  });
+}
+
+module.exports = { run };
@@ -0,0 +1,249 @@
+const YAML = require('yaml');
+const { ImportError, parseDocuments } = require('./importers');
+const { REDACTED, redactConfig, redactCheck, restoreRedacted, restoreNotifiers } = require('./redact');
+const { hasInlineSecret } = require('./configValidator');
+
+// Configuration bundles carry everything needed to set up another dashboard
+// the same way, as one versioned JSON or YAML file:
+//   { kind, version, exportedAt, exportedBy,
+//     services, settings, maintenance, alerts, layout }
+// Secrets are redacted on export like everywhere else in the API. On import
+// they are taken from the local service or notifier with the same id or
+// name; whatever is still redacted afterwards is reported as a warning.
+//
+// Importing either merges the bundle into the local configuration (entries
+// missing locally are added, local ones win on conflict) or replaces the
+// configuration with it. Both report ids defined differently on each side.
+// Bundle services get the same checks as services added through the API,
+// except that an exec check may come back unchanged from an export.
+
+const BUNDLE_KIND = 'status-dashboard-bundle';
+const BUNDLE_VERSION = 1;
+const bundleFormats = ['json', 'yaml'];
+const importModes = ['merge', 'replace'];
+
+// Bundle sections and their empty values
+const SECTIONS = {
+  services: [],
+  settings: {},
+  maintenance: [],
+  alerts: {},
+  layout: {}
+};
+
+function createBundle(config, { exportedBy = null } = {}) {
+  const redacted = redactConfig(config);
+  const bundle = {
+    kind: BUNDLE_KIND,
+    version: BUNDLE_VERSION,
+    exportedAt: new Date().toISOString(),
+    exportedBy: exportedBy
+  };
+
+  Object.entries(SECTIONS).forEach(([section, empty]) => {
+    bundle[section] = redacted[section] !== undefined ? redacted[section] : empty;
+  });
+
+  return bundle;
+}
+
+function serializeBundle(bundle, format = 'json') {
+  return format === 'yaml' ? YAML.stringify(bundle) : JSON.stringify(bundle, null, 2) + '\n';
+}
+
+// The bundle in JSON or YAML text, or null when the text holds something
+// else (such as a file for the service importers). Throws ImportError for
+// bundles this version can't read.
+function parseBundle(text) {
+  const docs = parseDocuments(text);
+  const bundle = docs[0];
+
+  if (docs.length !== 1 || !isObject(bundle) || bundle.kind !== BUNDLE_KIND) {
+    return null;
+  }
+
+  if (!Number.isInteger(bundle.version) || bundle.version < 1) {
+    throw new ImportError('Bundle version must be a positive integer');
+  }
+
+  if (bundle.version > BUNDLE_VERSION) {
+    throw new ImportError(`Bundle version ${bundle.version} is newer than this dashboard supports (${BUNDLE_VERSION})`);
+  }
+
+  Object.entries(SECTIONS).forEach(([section, empty]) => {
+    const value = bundle[section];
+    const valid = Array.isArray(empty) ? Array.isArray(value) : isObject(value);
+    if (value !== undefined && !valid) {
+      throw new ImportError(`Bundle ${section} must be ${Array.isArray(empty) ? 'a list' : 'an object'}`);
+    }
+  });
+
+  return bundle;
+}
+
+// The configuration after importing bundle into config with mode, plus
+// { conflicts: [{ section, id, reason }], warnings: [{ section, id, message }] }
+function planBundle(config, bundle, mode) {
+  if (!importModes.includes(mode)) {
+    throw new ImportError(`Unknown mode "${mode}"; use one of: ${importModes.join(', ')}`);
+  }
+
+  const local = redactConfig(config);
+  const incoming = {};
+  Object.entries(SECTIONS).forEach(([section, empty]) => {
+    incoming[section] = bundle[section] !== undefined ? clone(bundle[section]) : clone(empty);
+  });
+
+  checkServices(config, incoming.services);
+
+  const conflicts = findConflicts(local, incoming, mode);
+  const next = mode === 'replace' ? replaceSections(config, incoming) : mergeSections(config, incoming, conflicts);
+
+  return { config: next, conflicts, warnings: findRedacted(next) };
+}
+
+// Throws ImportError for a bundle service with an inline secret, or with an
+// exec check that isn't already configured for the same id
+function checkServices(config, services) {
+  const localServices = byId(config.services);
+
+  services.filter(isObject).forEach(service => {
+    const existing = localServices[service.id];
+
+    if (service.check && service.check.type === 'exec' &&
+        !(existing && isEqual(redactCheck(existing.check), service.check))) {
+      throw new ImportError(`Service "${service.id}": exec checks must be configured in services.json`);
+    }
+
+    if (hasInlineSecret(service.request)) {
+      throw new ImportError(`Service "${service.id}": use tokenEnv or passwordEnv to reference secrets from environment variables`);
+    }
+  });
+}
+
+// Ids (and setting names) defined on both sides with different values. In
+// merge mode the local definition is kept, in replace mode the bundle's.
+function findConflicts(local, incoming, mode) {
+  const reason = mode === 'merge' ? 'kept the local definition' : 'replaced by the bundle';
+  const conflicts = [];
+
+  const compare = (section, localEntries, bundleEntries, label) => {
+    Object.entries(bundleEntries).forEach(([id, value]) => {
+      if (localEntries[id] !== undefined && !isEqual(localEntries[id], value)) {
+        conflicts.push({ section, id, reason: `${label} "${id}" differs; ${reason}` });
+      }
+    });
+  };
+
+  compare('services', byId(local.services), byId(incoming.services), 'Service');
+  compare('maintenance', byId(local.maintenance), byId(incoming.maintenance), 'Maintenance window');
+  compare('alerts', (local.alerts || {}).notifiers || {}, incoming.alerts.notifiers || {}, 'Notifier');
+  compare('settings', local.settings || {}, incoming.settings, 'Setting');
+  compare('layout', local.layout || {}, incoming.layout, 'Layout setting');
+
+  return conflicts;
+}
+
+function replaceSections(config, incoming) {
+  const localServices = byId(config.services);
+  incoming.services.forEach(service => {
+    if (localServices[service.id]) restoreRedacted(service, localServices[service.id]);
+  });
+  restoreNotifiers(incoming.alerts.notifiers, (config.alerts || {}).notifiers);
+
+  // Sections the file didn't have stay out of it when the bundle's are empty
+  const next = {};
+  Object.keys(SECTIONS).forEach(section => {
+    if (section === 'services' || config[section] !== undefined || !isEmpty(incoming[section])) {
+      next[section] = incoming[section];
+    }
+  });
+  return next;
+}
+
+// Adds what is missing locally and leaves everything else alone. Alert rules
+// have no ids; rules not already configured are appended.
+function mergeSections(config, incoming, conflicts) {
+  const next = clone(config);
+  const conflicting = new Set(conflicts.map(conflict => `${conflict.section}:${conflict.id}`));
+  const isNew = (section, id, existing) => existing[id] === undefined && !conflicting.has(`${section}:${id}`);
+
+  const localServices = byId(next.services);
+  next.services = next.services.concat(incoming.services.filter(service => isNew('services', service.id, localServices)));
+
+  const localWindows = byId(next.maintenance);
+  const windows = incoming.maintenance.filter(window => isNew('maintenance', window.id, localWindows));
+  if (windows.length > 0) next.maintenance = (next.maintenance || []).concat(windows);
+
+  ['settings', 'layout'].forEach(section => {
+    const existing = next[section] || {};
+    const added = Object.entries(incoming[section]).filter(([key]) => isNew(section, key, existing));
+    if (added.length > 0) next[section] = { ...existing, ...Object.fromEntries(added) };
+  });
+
+  const alerts = next.alerts || {};
+  const notifiers = Object.entries(incoming.alerts.notifiers || {})
+    .filter(([name]) => isNew('alerts', name, alerts.notifiers || {}));
+  const rules = (incoming.alerts.rules || [])
+    .filter(rule => !(alerts.rules || []).some(existing => isEqual(existing, rule)));
+
+  if (notifiers.length > 0 || rules.length > 0) {
+    next.alerts = {
+      ...alerts,
+      ...(notifiers.length > 0 && { notifiers: { ...alerts.notifiers, ...Object.fromEntries(notifiers) } }),
+      ...(rules.length > 0 && { rules: (alerts.rules || []).concat(rules) })
+    };
+  }
+
+  return next;
+}
+
+function findRedacted(config) {
+  const message = 'Secrets were redacted in the bundle; set them again';
+  const warnings = [];
+
+  (config.services || []).forEach(service => {
+    if (JSON.stringify(service).includes(REDACTED)) {
+      warnings.push({ section: 'services', id: service.id, message });
+    }
+  });
+
+  Object.entries((config.alerts && config.alerts.notifiers) || {}).forEach(([name, notifier]) => {
+    if (JSON.stringify(notifier).includes(REDACTED)) {
+      warnings.push({ section: 'alerts', id: name, message });
+    }
+  });
+
+  return warnings;
+}
+
+function byId(list) {
+  return Object.fromEntries((list || []).filter(isObject).map(item => [item.id, item]));
+}
+
+function isEmpty(value) {
+  return Array.isArray(value) ? value.length === 0 : Object.keys(value).length === 0;
+}
+
+function isEqual(a, b) {
+  return JSON.stringify(a) === JSON.stringify(b);
+}
+
+function clone(value) {
+  return JSON.parse(JSON.stringify(value));
+}
+
+function isObject(value) {
+  return value !== null && typeof value === 'object' && !Array.isArray(value);
+}
+
+module.exports = {
+  BUNDLE_KIND,
+  BUNDLE_VERSION,
+  bundleFormats,
+  importModes,
+  createBundle,
+  serializeBundle,
+  parseBundle,
+  planBundle
+};
@@ -0,0 +1,175 @@
+const fs = require('fs');
+const path = require('path');
+const { redactConfig } = require('./redact');
+
+// Versioned snapshots of services.json and an audit log of every change.
+//
+// Each applied configuration that differs from the last snapshot is saved as
+// versions/<n>.json, and audit.jsonl gets one line per version with the time,
+// actor, action and a field-level diff against the previous version (the
+// first version has none). Secrets are redacted in the diff but kept in the
+// snapshots so a rollback restores them.
+class ConfigHistory {
+  constructor() {
+    this.basePath = null;
+    this.healthCheckService = null;
+    this.latestVersion = 0;
+  }
+
+  initialize(healthCheckService) {
+    this.healthCheckService = healthCheckService;
+    this.basePath = process.env.CONFIG_HISTORY_PATH || path.join(__dirname, '../../data/config-history');
+    fs.mkdirSync(path.join(this.basePath, 'versions'), { recursive: true });
+
+    this.latestVersion = fs.readdirSync(path.join(this.basePath, 'versions'))
+      .map(file => /^(\d+)\.json$/.exec(file))
+      .filter(Boolean)
+      .reduce((latest, match) => Math.max(latest, parseInt(match[1])), 0);
+
+    healthCheckService.on('config-change', (change) => {
+      try {
+        this.record(change);
+      } catch (error) {
+        console.error('Error recording configuration change:', error.message);
+      }
+    });
+  }
+
+  // Returns the new audit entry, or null if the content matches the latest version
+  record({ action, actor, serviceId, configData, ...details }) {
+    const previousData = this.latestVersion ? this.readVersion(this.latestVersion) : null;
+    if (configData === previousData) return null;
+
+    const version = this.latestVersion + 1;
+    fs.writeFileSync(this.versionFile(version), configData, 'utf8');
+    this.latestVersion = version;
+
+    const entry = {
+      version: version,
+      timestamp: new Date().toISOString(),
+      actor: actor || null,
+      action: action,
+      serviceId: serviceId || null,
+      ...details,
+      changes: previousData === null ? [] : diffValues(parseRedacted(previousData), parseRedacted(configData))
+    };
+
+    fs.appendFileSync(path.join(this.basePath, 'audit.jsonl'), JSON.stringify(entry) + '\n', 'utf8');
+    console.log(`Configuration version ${version} saved (${action}${actor ? ` by ${actor}` : ''})`);
+    return entry;
+  }
+
+  // Audit entries, newest first
+  getEntries(limit = 50) {
+    const file = path.join(this.basePath, 'audit.jsonl');
+    if (!fs.existsSync(file)) return [];
+
+    const entries = fs.readFileSync(file, 'utf8')
+      .split('\n')
+      .filter(line => line.trim())
+      .map(line => {
+        try {
+          return JSON.parse(line);
+        } catch (error) {
+          return null;
+        }
+      })
+      .filter(Boolean);
+
+    return entries.slice(-limit).reverse();
+  }
+
+  getEntry(version) {
+    return this.getEntries(Infinity).find(entry => entry.version === version) || null;
+  }
+
+  hasVersion(version) {
+    return Number.isInteger(version) && version > 0 && fs.existsSync(this.versionFile(version));
+  }
+
+  // The stored configuration for a version, with secrets redacted
+  getVersionConfig(version) {
+    return parseRedacted(this.readVersion(version));
+  }
+
+  // Write a previous version back to services.json and apply it. The restored
+  // file is recorded as a new version, so a rollback can itself be undone.
+  rollback(version, actor) {
+    const configData = this.readVersion(version);
+
+    if (configData === this.healthCheckService.lastConfigContent) {
+      return null;
+    }
+
+    this.healthCheckService.restoreConfiguration(configData, {
+      action: 'rollback',
+      actor: actor,
+      rolledBackTo: version
+    });
+
+    return this.getEntry(this.latestVersion);
+  }
+
+  // The audit diff between two configurations, for previewing a change
+  diff(before, after) {
+    return diffValues(redactConfig(before), redactConfig(after));
+  }
+
+  readVersion(version) {
+    return fs.readFileSync(this.versionFile(version), 'utf8');
+  }
+
+  versionFile(version) {
+    return path.join(this.basePath, 'versions', `${version}.json`);
+  }
+}
+
+function parseRedacted(configData) {
+  if (configData === null) return null;
+
+  try {
+    return redactConfig(JSON.parse(configData));
+  } catch (error) {
+    return null;
+  }
+}
+
+// Field-level differences as [{ path, before, after }]. Services are matched
+// by id rather than position, so reordering them is not reported as a change.
+function diffValues(before, after, basePath = '') {
+  if (JSON.stringify(before) === JSON.stringify(after)) return [];
+
+  if (isServiceList(before) && isServiceList(after)) {
+    const ids = new Set([...before, ...after].map(service => service.id));
+    return Array.from(ids).flatMap(id => diffValues(
+      before.find(service => service.id === id),
+      after.find(service => service.id === id),
+      `${basePath}[${id}]`
+    ));
+  }
+
+  if (isObject(before) && isObject(after)) {
+    const keys = new Set([...Object.keys(before), ...Object.keys(after)]);
+    return Array.from(keys).flatMap(key => diffValues(
+      before[key],
+      after[key],
+      basePath ? `${basePath}.${key}` : key
+    ));
+  }
+
+  return [{
+    path: basePath,
+    before: before === undefined ? null : before,
+    after: after === undefined ? null : after
+  }];
+}
+
+function isObject(value) {
+  return value !== null && typeof value === 'object' && !Array.isArray(value);
+}
+
+function isServiceList(value) {
+  return Array.isArray(value) && value.every(item => isObject(item) && typeof item.id === 'string');
+}
+
+module.exports = new ConfigHistory();
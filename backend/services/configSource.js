@@ -0,0 +1,446 @@
+const fs = require('fs');
+const path = require('path');
+const YAML = require('yaml');
+const { ConfigValidationError, parseJson, validateConfig, locatePaths, findLine } = require('./configValidator');
+
+// Where the configuration is read from and where changes are written.
+//
+// CONFIG_PATH is a JSON or YAML file (default config/services.json) or a
+// directory of them. Files in CONFIG_DIR (default conf.d next to the file)
+// are merged after it in name order, so each team can keep its services in
+// a file of its own: lists (services, maintenance, alerts.rules) are joined,
+// and a setting, layout value or notifier may only be defined once.
+//
+// Changes made through the API and CLI are written to CONFIG_WRITE_PATH
+// (default CONFIG_PATH, or dashboard.json in a CONFIG_PATH directory). Other
+// files are never rewritten; changing or removing what they define is
+// refused.
+//
+// String values may reference environment variables as ${NAME} or
+// ${NAME:-default} ("$${" is a literal "${"). They are resolved when the
+// configuration is applied and kept as written everywhere else: in the
+// files, in the change history, in the service definitions the API returns
+// and in those sent to probe agents (which resolve them in their own
+// environment).
+
+const CONFIG_EXTENSIONS = ['.json', '.yaml', '.yml'];
+const ENV_REFERENCE = /\$(\$?)\{([A-Za-z_][A-Za-z0-9_]*)(?::-([^}]*))?\}/g;
+
+function getConfigPaths(configPath = process.env.CONFIG_PATH || path.join(__dirname, '../../config/services.json')) {
+  const isDirectory = isDirectoryPath(configPath);
+
+  return {
+    configPath,
+    configDir: isDirectory ? null : process.env.CONFIG_DIR || path.join(path.dirname(configPath), 'conf.d'),
+    writePath: process.env.CONFIG_WRITE_PATH || (isDirectory ? path.join(configPath, 'dashboard.json') : configPath)
+  };
+}
+
+// The configuration as written in the files, merged but not resolved
+function readRaw(paths = getConfigPaths()) {
+  return combineSources(readSources(paths)).config;
+}
+
+// The resolved and validated configuration, the merged files (raw) and the
+// same as JSON (configData) for the change history. Throws ConfigValidationError.
+function loadConfiguration(paths = getConfigPaths()) {
+  const sources = readSources(paths);
+  const { config: raw, locate } = combineSources(sources);
+  const { config, errors } = validateRaw(raw);
+
+  if (errors.length > 0) {
+    throw new ConfigValidationError(errors.map(error => ({ ...error, ...locate(error.path) })));
+  }
+
+  return { config, raw, configData: JSON.stringify(raw, null, 2), sources };
+}
+
+// Problems that would keep a raw configuration from being saved: unset
+// variables, schema errors and changes to what other files define
+function checkConfiguration(raw, paths = getConfigPaths()) {
+  const { errors } = validateRaw(raw);
+
+  if (errors.length === 0) {
+    errors.push(...splitWritable(raw, readSources(paths), paths.writePath).errors);
+  }
+
+  return errors;
+}
+
+// Write the part of a raw configuration that belongs in the write path.
+// Throws ConfigValidationError without writing anything if it is invalid.
+function writeConfiguration(raw, paths = getConfigPaths()) {
+  const { errors } = validateRaw(raw);
+
+  const split = errors.length === 0 ? splitWritable(raw, readSources(paths), paths.writePath) : null;
+  if (split) errors.push(...split.errors);
+
+  if (errors.length > 0) {
+    throw new ConfigValidationError(errors);
+  }
+
+  fs.mkdirSync(path.dirname(paths.writePath), { recursive: true });
+  fs.writeFileSync(paths.writePath, serialize(split.config, paths.writePath), 'utf8');
+}
+
+// Directories to watch for edits, each with a test for the files that matter
+function getWatchTargets(paths = getConfigPaths()) {
+  const targets = [];
+  const add = (directory, matches) => {
+    if (isDirectoryPath(directory)) targets.push({ directory, matches });
+  };
+
+  if (isDirectoryPath(paths.configPath)) {
+    add(paths.configPath, isConfigFile);
+  } else {
+    add(path.dirname(paths.configPath), name => name === path.basename(paths.configPath));
+  }
+
+  if (paths.configDir) add(paths.configDir, isConfigFile);
+  add(path.dirname(paths.writePath), name => name === path.basename(paths.writePath));
+
+  return targets;
+}
+
+// Each file as { file, text, config, lines }, in merge order. The write
+// path is included when it exists.
+function readSources(paths) {
+  const files = [];
+
+  if (isDirectoryPath(paths.configPath)) {
+    files.push(...listConfigFiles(paths.configPath));
+  } else {
+    files.push(paths.configPath);
+    if (paths.configDir && isDirectoryPath(paths.configDir)) {
+      files.push(...listConfigFiles(paths.configDir));
+    }
+  }
+
+  const writePath = path.resolve(paths.writePath);
+  if (!files.some(file => path.resolve(file) === writePath) && fs.existsSync(writePath)) {
+    files.push(paths.writePath);
+  }
+
+  return files.map(readSource);
+}
+
+function listConfigFiles(directory) {
+  return fs.readdirSync(directory)
+    .filter(isConfigFile)
+    .sort()
+    .map(name => path.join(directory, name));
+}
+
+function readSource(file) {
+  const text = fs.readFileSync(file, 'utf8');
+  const name = displayPath(file);
+
+  try {
+    if (isYaml(file)) {
+      const lineCounter = new YAML.LineCounter();
+      const document = YAML.parseDocument(text, { lineCounter });
+
+      if (document.errors.length > 0) {
+        const error = document.errors[0];
+        const line = error.linePos ? error.linePos[0].line : null;
+        throw new ConfigValidationError([{ path: '', message: `Invalid YAML: ${error.message.split('\n')[0].replace(/:$/, '')}`, line }]);
+      }
+
+      const config = document.toJS();
+      return { file, text, config: config === null ? {} : config, lines: locateYamlPaths(document, lineCounter) };
+    }
+
+    const config = parseJson(text);
+    return { file, text, config, lines: locatePaths(text) };
+  } catch (error) {
+    if (error instanceof ConfigValidationError) {
+      error.errors.forEach(item => {
+        item.file = name;
+      });
+    }
+    throw error;
+  }
+}
+
+// Merge the sources into one configuration. locate(path) gives the file
+// and line a path of the merged configuration came from.
+function combineSources(sources) {
+  if (sources.length === 1) {
+    const [source] = sources;
+    return {
+      config: source.config,
+      locate: errorPath => ({ file: displayPath(source.file), line: findLine(source.lines, errorPath) })
+    };
+  }
+
+  const config = { services: [] };
+  const owners = new Map();
+  const errors = [];
+
+  const addItems = (key, list, items, source) => {
+    const start = list.length;
+    items.forEach((item, index) => {
+      owners.set(`${key}[${start + index}]`, { source, path: `${key}[${index}]` });
+    });
+    return list.concat(items);
+  };
+
+  const addEntries = (key, target, entries, source) => {
+    Object.entries(entries).forEach(([name, value]) => {
+      const entryPath = key ? `${key}.${name}` : name;
+      if (owners.has(entryPath)) {
+        errors.push({ path: entryPath, message: `Also set in ${displayPath(owners.get(entryPath).source.file)}`, file: displayPath(source.file), line: findLine(source.lines, entryPath) });
+        return;
+      }
+      owners.set(entryPath, { source, path: entryPath });
+      target[name] = value;
+    });
+  };
+
+  const expect = (source, key, value, kind) => {
+    const valid = kind === 'list' ? Array.isArray(value) : isObject(value);
+    if (!valid) {
+      errors.push({ path: key, message: `${key} must be ${kind === 'list' ? 'a list' : 'an object'}`, file: displayPath(source.file), line: findLine(source.lines, key) });
+    }
+    return valid;
+  };
+
+  sources.forEach(source => {
+    if (!isObject(source.config)) {
+      errors.push({ path: '', message: 'Configuration must be an object', file: displayPath(source.file), line: 1 });
+      return;
+    }
+
+    Object.entries(source.config).forEach(([key, value]) => {
+      if (key === 'services' || key === 'maintenance') {
+        if (expect(source, key, value, 'list')) config[key] = addItems(key, config[key] || [], value, source);
+      } else if (key === 'settings' || key === 'layout') {
+        if (expect(source, key, value, 'object')) addEntries(key, config[key] = config[key] || {}, value, source);
+      } else if (key === 'alerts') {
+        if (!expect(source, key, value, 'object')) return;
+        const alerts = config.alerts = config.alerts || {};
+        Object.entries(value).forEach(([alertKey, alertValue]) => {
+          if (alertKey === 'rules') {
+            if (expect(source, 'alerts.rules', alertValue, 'list')) alerts.rules = addItems('alerts.rules', alerts.rules || [], alertValue, source);
+          } else if (alertKey === 'notifiers') {
+            if (expect(source, 'alerts.notifiers', alertValue, 'object')) addEntries('alerts.notifiers', alerts.notifiers = alerts.notifiers || {}, alertValue, source);
+          } else {
+            addEntries('alerts', alerts, { [alertKey]: alertValue }, source);
+          }
+        });
+      } else {
+        addEntries('', config, { [key]: value }, source);
+      }
+    });
+  });
+
+  if (errors.length > 0) {
+    throw new ConfigValidationError(errors);
+  }
+
+  const locate = (errorPath) => {
+    const match = /^(services\[\d+\]|maintenance\[\d+\]|alerts\.rules\[\d+\]|(?:settings|layout|alerts\.notifiers|alerts)\.[^.[]+)(.*)$/.exec(errorPath);
+    const owner = match && owners.get(match[1]);
+    if (!owner) return { file: null, line: null };
+    return { file: displayPath(owner.source.file), line: findLine(owner.source.lines, owner.path + match[2]) };
+  };
+
+  return { config, locate };
+}
+
+// Resolve and validate a raw configuration. A field whose variable is unset
+// isn't reported as invalid as well.
+function validateRaw(raw) {
+  const { config, errors } = resolveConfig(raw);
+  const unresolved = new Set(errors.map(error => error.path));
+  errors.push(...validateConfig(config).filter(error => !unresolved.has(error.path)));
+  return { config, errors };
+}
+
+// Resolve ${NAME} references in every string value
+function resolveConfig(raw, env = process.env) {
+  const errors = [];
+
+  const resolve = (value, valuePath) => {
+    if (typeof value === 'string') {
+      return resolveString(value, env, name => {
+        errors.push({ path: valuePath, message: `Environment variable ${name} is not set`, line: null });
+      });
+    }
+    if (Array.isArray(value)) {
+      return value.map((item, index) => resolve(item, `${valuePath}[${index}]`));
+    }
+    if (isObject(value)) {
+      return Object.fromEntries(Object.entries(value).map(([key, item]) => [key, resolve(item, valuePath ? `${valuePath}.${key}` : key)]));
+    }
+    return value;
+  };
+
+  return { config: resolve(raw, ''), errors };
+}
+
+// ${NAME:-default} also uses the default when NAME is set but empty
+function resolveString(value, env, onMissing) {
+  return value.replace(ENV_REFERENCE, (match, escaped, name, fallback) => {
+    if (escaped) return match.slice(1);
+    if (fallback !== undefined) return env[name] ? env[name] : fallback;
+    if (env[name] !== undefined) return env[name];
+    onMissing(name);
+    return match;
+  });
+}
+
+// The part of a raw configuration that belongs in the write path: all of
+// it, less what the other files define. Those entries have to be unchanged.
+function splitWritable(raw, sources, writePath) {
+  const target = path.resolve(writePath);
+  const others = sources.filter(source => path.resolve(source.file) !== target);
+  const current = sources.find(source => path.resolve(source.file) === target);
+  const errors = [];
+  const result = JSON.parse(JSON.stringify(raw));
+
+  const definedElsewhere = (label, source) => `${label} is defined in ${displayPath(source.file)}; change it there`;
+
+  others.forEach(source => {
+    const config = isObject(source.config) ? source.config : {};
+
+    ['services', 'maintenance'].forEach(key => {
+      (Array.isArray(config[key]) ? config[key] : []).filter(isObject).forEach(item => {
+        const list = result[key] || [];
+        const index = list.findIndex(entry => isObject(entry) && entry.id === item.id);
+        const label = `${key === 'services' ? 'Service' : 'Maintenance window'} "${item.id}"`;
+
+        if (index === -1 || !isEqual(list[index], item)) {
+          errors.push({ path: index === -1 ? key : `${key}[${index}]`, message: definedElsewhere(label, source), line: null });
+        }
+        if (index !== -1) list.splice(index, 1);
+      });
+    });
+
+    const removeEntries = (key, entries, container) => {
+      Object.entries(entries || {}).forEach(([name, value]) => {
+        const entryPath = key ? `${key}.${name}` : name;
+        if (!container || !isEqual(container[name], value)) {
+          errors.push({ path: entryPath, message: definedElsewhere(entryPath, source), line: null });
+        }
+        if (container) delete container[name];
+      });
+    };
+
+    removeEntries('settings', config.settings, result.settings);
+    removeEntries('layout', config.layout, result.layout);
+
+    Object.entries(config).forEach(([key, value]) => {
+      if (!['services', 'maintenance', 'settings', 'layout', 'alerts'].includes(key)) {
+        removeEntries('', { [key]: value }, result);
+      }
+    });
+
+    const alerts = config.alerts || {};
+    const resultAlerts = result.alerts || {};
+    removeEntries('alerts.notifiers', alerts.notifiers, resultAlerts.notifiers);
+    (alerts.rules || []).forEach(rule => {
+      const rules = resultAlerts.rules || [];
+      const index = rules.findIndex(entry => isEqual(entry, rule));
+      if (index === -1) {
+        errors.push({ path: 'alerts.rules', message: definedElsewhere('An alert rule', source), line: null });
+      } else {
+        rules.splice(index, 1);
+      }
+    });
+    Object.entries(alerts).forEach(([key, value]) => {
+      if (key !== 'notifiers' && key !== 'rules') removeEntries('alerts', { [key]: value }, resultAlerts);
+    });
+  });
+
+  // Leave out sections that are now empty unless the file already had them
+  const had = current && isObject(current.config) ? current.config : { services: [] };
+  if (isObject(result.alerts)) {
+    Object.keys(result.alerts).forEach(key => {
+      if ((had.alerts || {})[key] === undefined && isEmpty(result.alerts[key])) delete result.alerts[key];
+    });
+  }
+  Object.keys(result).forEach(key => {
+    if (key !== 'services' && had[key] === undefined && isEmpty(result[key])) delete result[key];
+  });
+
+  // Keep the file's own order of sections
+  const ordered = {};
+  Object.keys(had).concat(Object.keys(result)).forEach(key => {
+    if (result[key] !== undefined) ordered[key] = result[key];
+  });
+
+  return { config: ordered, errors };
+}
+
+// Map each YAML path ("services[2].endpoint") to the line it starts on
+function locateYamlPaths(document, lineCounter) {
+  const lines = new Map();
+  const lineOf = node => node && node.range ? lineCounter.linePos(node.range[0]).line : null;
+
+  const visit = (node, nodePath) => {
+    if (!node) return;
+    if (!lines.has(nodePath) && lineOf(node)) lines.set(nodePath, lineOf(node));
+
+    if (YAML.isMap(node)) {
+      node.items.forEach(pair => {
+        const key = YAML.isScalar(pair.key) ? pair.key.value : pair.key;
+        const childPath = nodePath ? `${nodePath}.${key}` : String(key);
+        if (lineOf(pair.key)) lines.set(childPath, lineOf(pair.key));
+        visit(pair.value, childPath);
+      });
+    } else if (YAML.isSeq(node)) {
+      node.items.forEach((item, index) => visit(item, `${nodePath}[${index}]`));
+    }
+  };
+
+  visit(document.contents, '');
+  return lines;
+}
+
+function serialize(config, file) {
+  return isYaml(file) ? YAML.stringify(config) : JSON.stringify(config, null, 2);
+}
+
+function isConfigFile(name) {
+  return CONFIG_EXTENSIONS.includes(path.extname(name).toLowerCase()) && !name.startsWith('.');
+}
+
+function isYaml(file) {
+  return ['.yaml', '.yml'].includes(path.extname(file).toLowerCase());
+}
+
+function isDirectoryPath(target) {
+  try {
+    return fs.statSync(target).isDirectory();
+  } catch (error) {
+    return false;
+  }
+}
+
+function displayPath(file) {
+  return path.relative(process.cwd(), file) || file;
+}
+
+function isEmpty(value) {
+  if (Array.isArray(value)) return value.length === 0;
+  return isObject(value) && Object.keys(value).length === 0;
+}
+
+function isEqual(a, b) {
+  return JSON.stringify(a) === JSON.stringify(b);
+}
+
+function isObject(value) {
+  return typeof value === 'object' && value !== null && !Array.isArray(value);
+}
+
+module.exports = {
+  getConfigPaths,
+  readRaw,
+  loadConfiguration,
+  checkConfiguration,
+  writeConfiguration,
+  getWatchTargets,
+  resolveConfig
+};
@@ -0,0 +1,725 @@
+const { checkTypes } = require('./checks');
+const { notifierTypes } = require('./notifiers');
+const { adapterTypes } = require('./scales');
+const { REDACTED } = require('./redact');
+const { parseCron } = require('./schedule');
+
+// Schema checks for the service configuration. Every problem is reported as
+// { path, message, line } (plus the file, when known) so the CLI and API can
+// point at the exact field.
+
+const DEFAULT_TYPES = ['internal', 'hardware', 'third-party'];
+const DEFAULT_CATEGORIES = ['core', 'production', 'operations'];
+const ASSERTION_TYPES = ['json', 'body', 'header', 'statusCode'];
+const ALERT_EVENTS = ['down', 'recovered'];
+const HTTP_METHODS = ['GET', 'HEAD', 'POST', 'PUT', 'PATCH', 'DELETE', 'OPTIONS'];
+const SERVICE_ID_PATTERN = /^[A-Za-z0-9][A-Za-z0-9_-]*$/;
+const LAYOUT_VIEWS = ['grid', 'list', 'list-2col'];
+const LAYOUT_THEMES = ['dark', 'light'];
+const MAX_RECURRING_MINUTES = 7 * 24 * 60;
+
+class ConfigValidationError extends Error {
+  constructor(errors) {
+    const first = errors[0];
+    const summary = first ? `${first.path ? `${first.path}: ` : ''}${first.message}` : 'Invalid configuration';
+    super(errors.length > 1 ? `${summary} (and ${errors.length - 1} more)` : summary);
+    this.name = 'ConfigValidationError';
+    this.errors = errors;
+  }
+}
+
+// Parse JSON config text. Syntax errors are thrown as ConfigValidationError
+// with the line they were found on.
+function parseJson(text) {
+  try {
+    return JSON.parse(text);
+  } catch (error) {
+    const match = /position (\d+)/.exec(error.message);
+    const line = match ? lineAt(text, parseInt(match[1])) : syntaxErrorLine(text);
+    throw new ConfigValidationError([{ path: '', message: `Invalid JSON: ${error.message}`, line }]);
+  }
+}
+
+function validateConfig(config) {
+  const errors = [];
+  const add = (path, message) => errors.push({ path, message, line: null });
+
+  if (!isObject(config)) {
+    add('', 'Configuration must be a JSON object');
+    return errors;
+  }
+
+  if (!Array.isArray(config.services)) {
+    add('services', 'services must be an array');
+    return errors;
+  }
+
+  const settings = config.settings || {};
+  if (config.settings !== undefined && !isObject(config.settings)) {
+    add('settings', 'settings must be an object');
+  } else {
+    validateSettings(settings, add);
+  }
+
+  const knownTypes = Array.isArray(settings.types) ? settings.types : DEFAULT_TYPES;
+  const knownCategories = Array.isArray(settings.categories) ? settings.categories : DEFAULT_CATEGORIES;
+  const seenIds = new Map();
+
+  config.services.forEach((service, index) => {
+    const base = `services[${index}]`;
+
+    if (!isObject(service)) {
+      add(base, 'Service must be an object');
+      return;
+    }
+
+    if (typeof service.id === 'string' && seenIds.has(service.id)) {
+      add(`${base}.id`, `Duplicate service id "${service.id}" (also used by services[${seenIds.get(service.id)}])`);
+    } else if (typeof service.id === 'string') {
+      seenIds.set(service.id, index);
+    }
+
+    validateService(service, base, { knownTypes, knownCategories }, add);
+  });
+
+  validateDependencies(config.services, seenIds, add);
+
+  if (config.alerts !== undefined) {
+    validateAlerts(config.alerts, add);
+  }
+
+  if (config.maintenance !== undefined) {
+    validateMaintenance(config.maintenance, { serviceIds: seenIds, knownCategories }, add);
+  }
+
+  if (config.layout !== undefined) {
+    validateLayout(config.layout, add);
+  }
+
+  return errors;
+}
+
+function validateSettings(settings, add) {
+  ['timeoutThreshold', 'warningThreshold', 'defaultPollInterval', 'criticalPollInterval', 'normalPollInterval',
+    'failureThreshold', 'recoveryThreshold', 'historyRetentionDays', 'historyRollupRetentionDays', 'probeTimeout',
+    'manualCheckLimit'].forEach(key => {
+    if (settings[key] !== undefined && !isPositiveNumber(settings[key])) {
+      add(`settings.${key}`, `${key} must be a positive number`);
+    }
+  });
+
+  ['retryCount', 'retryDelay'].forEach(key => {
+    if (settings[key] !== undefined && !isNonNegativeNumber(settings[key])) {
+      add(`settings.${key}`, `${key} must be zero or more`);
+    }
+  });
+
+  if (isPositiveNumber(settings.warningThreshold) && isPositiveNumber(settings.timeoutThreshold) &&
+      settings.warningThreshold >= settings.timeoutThreshold) {
+    add('settings.warningThreshold', 'warningThreshold must be lower than timeoutThreshold');
+  }
+
+  if (isPositiveNumber(settings.historyRetentionDays) && isPositiveNumber(settings.historyRollupRetentionDays) &&
+      settings.historyRollupRetentionDays < settings.historyRetentionDays) {
+    add('settings.historyRollupRetentionDays', 'historyRollupRetentionDays must not be shorter than historyRetentionDays');
+  }
+
+  ['types', 'categories'].forEach(key => {
+    if (settings[key] !== undefined && !(Array.isArray(settings[key]) && settings[key].every(value => typeof value === 'string'))) {
+      add(`settings.${key}`, `${key} must be a list of names`);
+    }
+  });
+
+  if (settings.statusPageTitle !== undefined && !(typeof settings.statusPageTitle === 'string' && settings.statusPageTitle.trim())) {
+    add('settings.statusPageTitle', 'statusPageTitle must be a non-empty string');
+  }
+}
+
+function validateService(service, base, { knownTypes, knownCategories }, add) {
+  if (typeof service.id !== 'string' || !service.id) {
+    add(`${base}.id`, 'id is required');
+  } else if (!SERVICE_ID_PATTERN.test(service.id)) {
+    add(`${base}.id`, 'id may only contain letters, numbers, "-" and "_"');
+  }
+
+  if (typeof service.name !== 'string' || !service.name.trim()) {
+    add(`${base}.name`, 'name is required');
+  }
+
+  if (typeof service.endpoint !== 'string' || !service.endpoint) {
+    add(`${base}.endpoint`, 'endpoint is required');
+  } else if (!isValidUrl(service.endpoint)) {
+    add(`${base}.endpoint`, `"${service.endpoint}" is not a valid URL`);
+  }
+
+  if (service.type !== undefined && !knownTypes.includes(service.type)) {
+    add(`${base}.type`, `type must be one of: ${knownTypes.join(', ')}`);
+  }
+
+  if (service.category !== undefined && !knownCategories.includes(service.category)) {
+    add(`${base}.category`, `category must be one of: ${knownCategories.join(', ')}`);
+  }
+
+  if (service.pollInterval !== undefined && !isPositiveNumber(service.pollInterval)) {
+    add(`${base}.pollInterval`, 'pollInterval must be a positive number of seconds');
+  }
+
+  ['criticalService', 'statusPage'].forEach(key => {
+    if (service[key] !== undefined && typeof service[key] !== 'boolean') {
+      add(`${base}.${key}`, `${key} must be true or false`);
+    }
+  });
+
+  ['failureThreshold', 'recoveryThreshold'].forEach(key => {
+    if (service[key] !== undefined && !(Number.isInteger(service[key]) && service[key] > 0)) {
+      add(`${base}.${key}`, `${key} must be a whole number of at least 1`);
+    }
+  });
+
+  ['retryCount', 'retryDelay'].forEach(key => {
+    if (service[key] !== undefined && !isNonNegativeNumber(service[key])) {
+      add(`${base}.${key}`, `${key} must be zero or more`);
+    }
+  });
+
+  if (service.probes !== undefined) {
+    validateProbes(service, base, add);
+  } else if (service.quorum !== undefined) {
+    add(`${base}.quorum`, 'quorum needs a probes list');
+  }
+
+  if (service.scale !== undefined) {
+    validateScale(service, `${base}.scale`, add);
+  }
+
+  if (service.metadata !== undefined && !isObject(service.metadata)) {
+    add(`${base}.metadata`, 'metadata must be an object');
+  }
+
+  if (service.check !== undefined) {
+    validateCheck(service, `${base}.check`, add);
+  }
+
+  if (service.request !== undefined) {
+    const requestError = validateRequestConfig(service.request);
+    if (requestError) {
+      add(`${base}.request`, requestError);
+    }
+  }
+
+  if (service.assertions !== undefined) {
+    validateAssertions(service.assertions, `${base}.assertions`, add);
+  }
+}
+
+// probes names the locations checking the service ("local" is this server);
+// quorum is how many of them must see it down
+function validateProbes(service, base, add) {
+  const probes = service.probes;
+
+  if (!Array.isArray(probes) || probes.length === 0 ||
+      !probes.every(id => typeof id === 'string' && SERVICE_ID_PATTERN.test(id))) {
+    add(`${base}.probes`, 'probes must be a non-empty list of probe ids');
+    return;
+  }
+
+  const duplicate = probes.find((id, index) => probes.indexOf(id) !== index);
+  if (duplicate) {
+    add(`${base}.probes`, `Probe "${duplicate}" is listed twice`);
+  }
+
+  if (service.quorum !== undefined &&
+      !(Number.isInteger(service.quorum) && service.quorum >= 1 && service.quorum <= probes.length)) {
+    add(`${base}.quorum`, `quorum must be a whole number from 1 to ${probes.length}`);
+  }
+}
+
+function validateScale(service, base, add) {
+  const scale = service.scale;
+
+  if (!isObject(scale)) {
+    add(base, 'scale must be an object');
+    return;
+  }
+
+  if (!adapterTypes.includes(scale.adapter)) {
+    add(`${base}.adapter`, `adapter must be one of: ${adapterTypes.join(', ')}`);
+  } else if (scale.adapter === 'http' && !(typeof scale.url === 'string' && isValidUrl(scale.url))) {
+    add(`${base}.url`, 'http scales need a valid url');
+  } else if (scale.adapter === 'tcp' && !(Number.isInteger(scale.port) && scale.port > 0 && scale.port < 65536)) {
+    add(`${base}.port`, 'tcp scales need a port between 1 and 65535');
+  }
+
+  ['interval', 'zeroAfter', 'stuckAfter', 'staleAfter'].forEach(key => {
+    if (scale[key] !== undefined && !isPositiveNumber(scale[key])) {
+      add(`${base}.${key}`, `${key} must be a positive number of seconds`);
+    }
+  });
+
+  ['min', 'max'].forEach(key => {
+    if (scale[key] !== undefined && !Number.isFinite(scale[key])) {
+      add(`${base}.${key}`, `${key} must be a number`);
+    }
+  });
+
+  if (Number.isFinite(scale.min) && Number.isFinite(scale.max) && scale.min >= scale.max) {
+    add(`${base}.max`, 'max must be higher than min');
+  }
+
+  ['unit', 'field', 'host'].forEach(key => {
+    if (scale[key] !== undefined && !(typeof scale[key] === 'string' && scale[key])) {
+      add(`${base}.${key}`, `${key} must be a non-empty string`);
+    }
+  });
+}
+
+function validateCheck(service, base, add) {
+  const check = service.check;
+
+  if (!isObject(check)) {
+    add(base, 'check must be an object');
+    return;
+  }
+
+  if (!checkTypes.includes(check.type)) {
+    add(`${base}.type`, `check type must be one of: ${checkTypes.join(', ')}`);
+    return;
+  }
+
+  if (check.port !== undefined && !(Number.isInteger(check.port) && check.port > 0 && check.port < 65536)) {
+    add(`${base}.port`, 'port must be between 1 and 65535');
+  }
+
+  if (check.type === 'tcp' && check.port === undefined && !endpointPort(service.endpoint)) {
+    add(`${base}.port`, 'tcp checks need a port, in check.port or the endpoint URL');
+  }
+
+  if (check.type === 'exec' && (typeof check.command !== 'string' || !check.command)) {
+    add(`${base}.command`, 'exec checks need a command');
+  }
+
+  if (check.type === 'exec' && check.args !== undefined && !Array.isArray(check.args)) {
+    add(`${base}.args`, 'args must be a list');
+  }
+
+  if (check.type === 'tls-cert' && isNonNegativeNumber(check.warningDays) && isNonNegativeNumber(check.criticalDays) &&
+      check.criticalDays > check.warningDays) {
+    add(`${base}.criticalDays`, 'criticalDays must not be more than warningDays');
+  }
+}
+
+function validateAssertions(assertions, base, add) {
+  if (!Array.isArray(assertions)) {
+    add(base, 'assertions must be a list');
+    return;
+  }
+
+  assertions.forEach((assertion, index) => {
+    const path = `${base}[${index}]`;
+
+    if (!isObject(assertion) || !ASSERTION_TYPES.includes(assertion.type)) {
+      add(`${path}.type`, `assertion type must be one of: ${ASSERTION_TYPES.join(', ')}`);
+      return;
+    }
+
+    if (assertion.status !== undefined && !['warning', 'down'].includes(assertion.status)) {
+      add(`${path}.status`, 'status must be warning or down');
+    }
+
+    if (assertion.type === 'json' && typeof assertion.path !== 'string') {
+      add(`${path}.path`, 'json assertions need a path');
+    }
+
+    if (assertion.type === 'header' && typeof assertion.name !== 'string') {
+      add(`${path}.name`, 'header assertions need a header name');
+    }
+
+    if (assertion.type === 'body' && typeof assertion.pattern !== 'string') {
+      add(`${path}.pattern`, 'body assertions need a pattern');
+    }
+
+    if (typeof assertion.pattern === 'string') {
+      try {
+        new RegExp(assertion.pattern, assertion.flags || '');
+      } catch (error) {
+        add(`${path}.pattern`, `Invalid pattern: ${error.message}`);
+      }
+    }
+
+    if (assertion.type === 'statusCode' &&
+        !(Array.isArray(assertion.allowed) && assertion.allowed.every(code => Number.isInteger(code)))) {
+      add(`${path}.allowed`, 'statusCode assertions need a list of allowed codes');
+    }
+  });
+}
+
+// dependsOn must name other configured services and must not form a cycle
+function validateDependencies(services, serviceIds, add) {
+  const graph = new Map();
+
+  services.forEach((service, index) => {
+    if (!isObject(service) || service.dependsOn === undefined) return;
+    const base = `services[${index}].dependsOn`;
+
+    if (!Array.isArray(service.dependsOn) || !service.dependsOn.every(id => typeof id === 'string')) {
+      add(base, 'dependsOn must be a list of service ids');
+      return;
+    }
+
+    service.dependsOn.forEach(id => {
+      if (id === service.id) {
+        add(base, 'A service cannot depend on itself');
+      } else if (!serviceIds.has(id)) {
+        add(base, `Service "${id}" is not defined`);
+      }
+    });
+
+    graph.set(service.id, service.dependsOn.filter(id => id !== service.id && serviceIds.has(id)));
+  });
+
+  const state = new Map();
+  const visit = (id, trail) => {
+    if (state.get(id) === 'done') return;
+    if (state.get(id) === 'visiting') {
+      const cycle = trail.slice(trail.indexOf(id)).concat(id);
+      add(`services[${serviceIds.get(cycle[0])}].dependsOn`, `Dependency cycle: ${cycle.join(' → ')}`);
+      return;
+    }
+
+    state.set(id, 'visiting');
+    (graph.get(id) || []).forEach(dependency => visit(dependency, trail.concat(id)));
+    state.set(id, 'done');
+  };
+
+  graph.forEach((dependencies, id) => visit(id, []));
+}
+
+function validateAlerts(alerts, add) {
+  if (!isObject(alerts)) {
+    add('alerts', 'alerts must be an object');
+    return;
+  }
+
+  const notifiers = alerts.notifiers || {};
+  if (!isObject(notifiers)) {
+    add('alerts.notifiers', 'notifiers must be an object');
+  }
+
+  Object.entries(isObject(notifiers) ? notifiers : {}).forEach(([name, notifier]) => {
+    const base = `alerts.notifiers.${name}`;
+
+    if (!isObject(notifier) || !notifierTypes.includes(notifier.type)) {
+      add(`${base}.type`, `notifier type must be one of: ${notifierTypes.join(', ')}`);
+      return;
+    }
+
+    // A url still redacted after a bundle import is reported by the import
+    if ((notifier.type === 'webhook' || notifier.type === 'slack') && !notifier.urlEnv &&
+        notifier.url !== REDACTED && !isValidUrl(notifier.url)) {
+      add(`${base}.url`, 'url must be a valid URL (or set urlEnv)');
+    }
+
+    if (notifier.type === 'email' && (!notifier.host || !notifier.to)) {
+      add(base, 'email notifiers need host and to');
+    }
+  });
+
+  if (alerts.rules === undefined) return;
+
+  if (!Array.isArray(alerts.rules)) {
+    add('alerts.rules', 'rules must be a list');
+    return;
+  }
+
+  alerts.rules.forEach((rule, index) => {
+    const base = `alerts.rules[${index}]`;
+
+    if (!isObject(rule) || !Array.isArray(rule.notify) || rule.notify.length === 0) {
+      add(`${base}.notify`, 'rules need a list of notifiers to notify');
+      return;
+    }
+
+    rule.notify.forEach(name => {
+      if (!isObject(notifiers) || !notifiers[name]) {
+        add(`${base}.notify`, `Notifier "${name}" is not defined`);
+      }
+    });
+
+    if (rule.events !== undefined &&
+        !(Array.isArray(rule.events) && rule.events.every(event => ALERT_EVENTS.includes(event)))) {
+      add(`${base}.events`, `events must be a list of: ${ALERT_EVENTS.join(', ')}`);
+    }
+  });
+}
+
+function validateMaintenance(maintenance, { serviceIds, knownCategories }, add) {
+  if (!Array.isArray(maintenance)) {
+    add('maintenance', 'maintenance must be a list of windows');
+    return;
+  }
+
+  const seenIds = new Set();
+
+  maintenance.forEach((window, index) => {
+    const base = `maintenance[${index}]`;
+
+    if (!isObject(window)) {
+      add(base, 'Maintenance window must be an object');
+      return;
+    }
+
+    if (typeof window.id !== 'string' || !SERVICE_ID_PATTERN.test(window.id)) {
+      add(`${base}.id`, 'id is required and may only contain letters, numbers, "-" and "_"');
+    } else if (seenIds.has(window.id)) {
+      add(`${base}.id`, `Duplicate maintenance window id "${window.id}"`);
+    } else {
+      seenIds.add(window.id);
+    }
+
+    if (window.services === undefined && window.categories === undefined) {
+      add(base, 'Maintenance windows need services or categories');
+    }
+
+    if (window.services !== undefined) {
+      if (!Array.isArray(window.services)) {
+        add(`${base}.services`, 'services must be a list of service ids');
+      } else {
+        window.services.filter(id => !serviceIds.has(id)).forEach(id => {
+          add(`${base}.services`, `Service "${id}" is not defined`);
+        });
+      }
+    }
+
+    if (window.categories !== undefined &&
+        !(Array.isArray(window.categories) && window.categories.every(category => knownCategories.includes(category)))) {
+      add(`${base}.categories`, `categories must be a list of: ${knownCategories.join(', ')}`);
+    }
+
+    if (window.schedule !== undefined) {
+      try {
+        parseCron(window.schedule);
+      } catch (error) {
+        add(`${base}.schedule`, error.message);
+      }
+
+      if (!isPositiveNumber(window.durationMinutes)) {
+        add(`${base}.durationMinutes`, 'Recurring windows need a positive durationMinutes');
+      } else if (window.durationMinutes > MAX_RECURRING_MINUTES) {
+        add(`${base}.durationMinutes`, `durationMinutes can be at most ${MAX_RECURRING_MINUTES} (7 days)`);
+      }
+    } else if (isNaN(Date.parse(window.start)) || isNaN(Date.parse(window.end))) {
+      add(base, 'Maintenance windows need start and end timestamps, or a schedule and durationMinutes');
+    } else if (Date.parse(window.end) <= Date.parse(window.start)) {
+      add(`${base}.end`, 'end must be after start');
+    }
+  });
+}
+
+// Dashboard defaults for browsers that haven't picked a view or theme yet
+function validateLayout(layout, add) {
+  if (!isObject(layout)) {
+    add('layout', 'layout must be an object');
+    return;
+  }
+
+  if (layout.view !== undefined && !LAYOUT_VIEWS.includes(layout.view)) {
+    add('layout.view', `view must be one of: ${LAYOUT_VIEWS.join(', ')}`);
+  }
+
+  if (layout.theme !== undefined && !LAYOUT_THEMES.includes(layout.theme)) {
+    add('layout.theme', `theme must be one of: ${LAYOUT_THEMES.join(', ')}`);
+  }
+}
+
+// Returns an error message for invalid per-service request settings, or null
+function validateRequestConfig(request) {
+  if (request === undefined || request === null) return null;
+
+  if (!isObject(request)) {
+    return 'Request settings must be an object';
+  }
+
+  if (request.method && !HTTP_METHODS.includes(request.method)) {
+    return `Method must be one of: ${HTTP_METHODS.join(', ')}`;
+  }
+
+  if (request.expectedStatus !== undefined &&
+      (!Array.isArray(request.expectedStatus) || !request.expectedStatus.every(code => Number.isInteger(code)))) {
+    return 'Expected status must be a list of status codes';
+  }
+
+  if (request.timeout !== undefined && !(Number.isInteger(request.timeout) && request.timeout > 0)) {
+    return 'Timeout must be a positive number of milliseconds';
+  }
+
+  const auth = request.auth;
+  if (auth) {
+    if (!['bearer', 'basic'].includes(auth.type)) {
+      return 'Auth type must be bearer or basic';
+    }
+
+    if (auth.type === 'bearer' && !auth.tokenEnv && !auth.token) {
+      return 'Bearer auth requires tokenEnv';
+    }
+
+    if (auth.type === 'basic' && !(auth.username || auth.usernameEnv)) {
+      return 'Basic auth requires a username';
+    }
+  }
+
+  return null;
+}
+
+// Secrets must come from the environment, never from requests to the API.
+// Redacted placeholders are allowed so existing values can be kept on edit.
+function hasInlineSecret(request) {
+  const auth = request && request.auth;
+  if (!auth) return false;
+  return (auth.token && auth.token !== REDACTED) || (auth.password && auth.password !== REDACTED);
+}
+
+// Map each JSON path ("services[2].endpoint") to the line it starts on.
+// Throws { line } at the first character that can't be valid JSON.
+function locatePaths(text) {
+  const lines = new Map();
+  let index = 0;
+  let line = 1;
+
+  const expect = (allowed) => {
+    if (!allowed.includes(text[index])) {
+      throw { line };
+    }
+  };
+
+  const skipWhitespace = () => {
+    while (index < text.length && /\s/.test(text[index])) {
+      if (text[index] === '\n') line++;
+      index++;
+    }
+  };
+
+  const readString = () => {
+    let value = '';
+    index++;
+    while (index < text.length && text[index] !== '"') {
+      if (text[index] === '\\') {
+        value += text[index + 1];
+        index += 2;
+      } else {
+        value += text[index++];
+      }
+    }
+    index++;
+    return value;
+  };
+
+  const readValue = (path) => {
+    skipWhitespace();
+    if (!lines.has(path)) lines.set(path, line);
+
+    const char = text[index];
+    if (char === '{') {
+      index++;
+      skipWhitespace();
+      while (index < text.length && text[index] !== '}') {
+        skipWhitespace();
+        expect('"');
+        const keyLine = line;
+        const key = readString();
+        const childPath = path ? `${path}.${key}` : key;
+        lines.set(childPath, keyLine);
+        skipWhitespace();
+        expect(':');
+        index++;
+        readValue(childPath);
+        skipWhitespace();
+        expect(',}');
+        if (text[index] === ',') index++;
+        skipWhitespace();
+      }
+      index++;
+    } else if (char === '[') {
+      index++;
+      let position = 0;
+      skipWhitespace();
+      while (index < text.length && text[index] !== ']') {
+        readValue(`${path}[${position++}]`);
+        skipWhitespace();
+        expect(',]');
+        if (text[index] === ',') index++;
+        skipWhitespace();
+      }
+      index++;
+    } else if (char === '"') {
+      readString();
+    } else {
+      expect('-0123456789tfn');
+      while (index < text.length && !/[\s,}\]]/.test(text[index])) index++;
+    }
+  };
+
+  readValue('');
+  return lines;
+}
+
+// Closest known line for a path, walking up to its parent when the field is missing
+function findLine(lines, path) {
+  let current = path;
+  while (current) {
+    if (lines.has(current)) return lines.get(current);
+    current = current.replace(/(\.[^.[\]]+|\[\d+\])$/, '');
+  }
+  return lines.get('') || null;
+}
+
+function syntaxErrorLine(text) {
+  try {
+    locatePaths(text);
+  } catch (error) {
+    if (error && error.line) return error.line;
+  }
+  return null;
+}
+
+function lineAt(text, position) {
+  return text.slice(0, position).split('\n').length;
+}
+
+function endpointPort(endpoint) {
+  try {
+    return new URL(endpoint).port;
+  } catch (error) {
+    return null;
+  }
+}
+
+function isValidUrl(value) {
+  try {
+    new URL(value);
+    return true;
+  } catch (error) {
+    return false;
+  }
+}
+
+function isObject(value) {
+  return typeof value === 'object' && value !== null && !Array.isArray(value);
+}
+
+function isPositiveNumber(value) {
+  return typeof value === 'number' && isFinite(value) && value > 0;
+}
+
+function isNonNegativeNumber(value) {
+  return typeof value === 'number' && isFinite(value) && value >= 0;
+}
+
+module.exports = {
+  ConfigValidationError,
+  parseJson,
+  validateConfig,
+  locatePaths,
+  findLine,
+  validateRequestConfig,
+  hasInlineSecret
+};
@@ -1,67 +1,177 @@
 const fs = require('fs');
-const path = require('path');
+const EventEmitter = require('events');
+const historyStore = require('./historyStore');
+const maintenanceService = require('./maintenanceService');
+const probeService = require('./probeService');
+const scaleService = require('./scaleService');
+const statusUpdates = require('./statusUpdates');
+const { getCheck, getCheckType } = require('./checks');
+const { redactRequest, redactCheck, restoreRedacted } = require('./redact');
+const configSource = require('./configSource');
+const { ConfigValidationError, parseJson } = require('./configValidator');
 
-class HealthCheckService {
+const DEFAULT_SETTINGS = {
+  timeoutThreshold: 5000,
+  warningThreshold: 2000
+};
+
+class HealthCheckService extends EventEmitter {
   constructor() {
+    super();
     this.services = [];
+    this.rawServices = [];
     this.settings = {};
+    this.alerts = {};
+    this.maintenance = [];
+    this.layout = {};
     this.statusCache = new Map();
-    this.pollingIntervals = new Map();
+    this.confirmationState = new Map();
+    this.pollers = new Map();
+    this.pollGeneration = 0;
+    this.onDemandChecks = new Map();
+    this.lastConfigContent = null;
+    this.configWatchers = [];
     this.io = null;
   }
 
   initialize(io) {
     this.io = io;
     this.loadConfiguration();
-    this.startPolling();
+    historyStore.initialize(this.settings);
+    this.syncPollers();
+    this.watchConfiguration();
+  }
+
+  // The file changes from the API and CLI are written to (see configSource)
+  getConfigPath() {
+    return configSource.getConfigPaths().writePath;
   }
 
+  // Initial load. An invalid file leaves the dashboard with no services.
   loadConfiguration() {
-    const configPath = process.env.CONFIG_PATH || path.join(__dirname, '../../config/services.json');
-    
     try {
-      const configData = fs.readFileSync(configPath, 'utf8');
-      const config = JSON.parse(configData);
-      
-      this.services = config.services;
-      this.settings = config.settings;
-      
-      console.log(`Loaded ${this.services.length} services from configuration`);
+      this.applyConfiguration(this.readConfiguration());
+      this.emitConfigChange({ action: 'startup', actor: 'system' });
     } catch (error) {
-      console.error('Error loading configuration:', error.message);
+      logConfigurationError(error);
       this.services = [];
-      this.settings = {
-        timeoutThreshold: 5000,
-        warningThreshold: 2000
-      };
+      this.rawServices = [];
+      this.settings = { ...DEFAULT_SETTINGS };
+      this.alerts = {};
+      this.maintenance = [];
+      this.layout = {};
     }
   }
 
+  // Read, resolve and validate the config files. Throws ConfigValidationError.
+  readConfiguration() {
+    const { config, raw, configData } = configSource.loadConfiguration();
+    return { config, raw, configData };
+  }
+
+  // The configuration as written in the files, with ${NAME} references
+  // unresolved. Changes start from this so the references are kept.
+  readRawConfiguration() {
+    return configSource.readRaw();
+  }
+
+  applyConfiguration({ config, raw, configData }) {
+    this.services = config.services;
+    this.rawServices = raw.services;
+    this.settings = { ...DEFAULT_SETTINGS, ...config.settings };
+    this.alerts = config.alerts || {};
+    this.maintenance = config.maintenance || [];
+    this.layout = config.layout || {};
+    this.lastConfigContent = configData;
+    
+    console.log(`Loaded ${this.services.length} services from configuration`);
+  }
+
+  // Write through configSource, which validates first so a bad change never
+  // reaches the file
+  saveConfiguration(config) {
+    configSource.writeConfiguration(config);
+  }
+  
+  // Read the files, let update(config) change them, then validate, save and
+  // apply the result. Returns whatever update returns.
+  modifyConfiguration(update, change = {}) {
+    const config = this.readRawConfiguration();
+    const result = update(config);
+    
+    this.saveConfiguration(config);
+    this.reloadConfiguration(change);
+    
+    return result;
+  }
+
+  // Replace the whole configuration with build(config)'s result as one change. With
+  // dryRun the result is only validated. Returns { before, after }.
+  replaceConfiguration(build, { dryRun = false, ...change } = {}) {
+    const before = this.readRawConfiguration();
+    const after = build(JSON.parse(JSON.stringify(before)));
+
+    if (dryRun) {
+      const errors = configSource.checkConfiguration(after);
+      if (errors.length > 0) {
+        throw new ConfigValidationError(errors);
+      }
+      return { before, after };
+    }
+
+    this.saveConfiguration(after);
+    this.reloadConfiguration(change);
+
+    return { before, after };
+  }
+
+  // Save a previously applied configuration again (used by rollback) and apply it
+  restoreConfiguration(configData, change = {}) {
+    this.saveConfiguration(parseJson(configData));
+    this.reloadConfiguration(change);
+  }
+  
+  // Announce the applied file so it can be versioned and audited.
+  // change: { action, actor, serviceId, ... }
+  emitConfigChange(change) {
+    this.emit('config-change', {
+      ...change,
+      configData: this.lastConfigContent
+    });
+  }
+
   async checkServiceHealth(service) {
     const startTime = Date.now();
+    const checkType = getCheckType(service);
     
     try {
+      const check = getCheck(checkType);
+      if (!check) {
+        throw new Error(`Unknown check type "${checkType}"`);
+      }
+      
+      const timeoutThreshold = (service.request && service.request.timeout) || this.settings.timeoutThreshold;
       const controller = new AbortController();
-      const timeout = setTimeout(() => controller.abort(), this.settings.timeoutThreshold);
+      const timeout = setTimeout(() => controller.abort(), timeoutThreshold);
       
-      const response = await fetch(service.endpoint, {
-        method: 'GET',
-        signal: controller.signal
-      });
+      let outcome;
+      try {
+        outcome = await check.run(service, {
+          signal: controller.signal,
+          timeout: timeoutThreshold
+        });
+      } finally {
+        clearTimeout(timeout);
+      }
       
-      clearTimeout(timeout);
       const responseTime = Date.now() - startTime;
+      let status = outcome.status;
+      let message = outcome.message;
       
-      let status = 'healthy';
-      let message = null;
-      
-      if (!response.ok) {
-        status = 'down';
-        message = `HTTP ${response.status}`;
-      } else if (responseTime > this.settings.timeoutThreshold) {
+      if (status !== 'down' && responseTime > timeoutThreshold) {
         status = 'down';
         message = 'Timeout';
-      } else if (responseTime > this.settings.warningThreshold) {
+      } else if (status === 'healthy' && responseTime > this.settings.warningThreshold) {
         status = 'warning';
         message = 'High Latency';
       }
@@ -74,7 +184,10 @@ class HealthCheckService {
         lastChecked: new Date().toISOString(),
         message: message,
         type: service.type,
-        category: service.category
+        category: service.category,
+        checkType: checkType,
+        ...(outcome.statusCode !== undefined && { statusCode: outcome.statusCode }),
+        ...(outcome.details && { details: outcome.details })
       };
       
     } catch (error) {
@@ -88,70 +201,404 @@ class HealthCheckService {
         lastChecked: new Date().toISOString(),
         message: error.name === 'AbortError' ? 'Timeout' : 'Connection Failed',
         type: service.type,
-        category: service.category
+        category: service.category,
+        checkType: checkType
       };
     }
   }
 
+  // Check a service, retrying failures with backoff, then apply the
+  // failure/recovery thresholds so a single blip doesn't flip the tile.
+  // Services with a probes list are judged on the quorum of their locations.
+  // Bad scale readings turn a healthy result into a warning.
+  async runServiceCheck(service) {
+    let result;
+    if (service.probes) {
+      const local = service.probes.includes(probeService.LOCAL_PROBE) ? await this.checkWithRetries(service) : null;
+      result = probeService.combineResults(service, local);
+    } else {
+      result = await this.checkWithRetries(service);
+    }
+    
+    return this.applyMaintenance(service, this.applyDependencies(service, this.applyThresholds(service, this.applyScaleReadings(service, result))));
+  }
+
+  // The raw check result after retries. Every attempt is announced as a
+  // "check" event for metrics. Probe agents report this result.
+  async checkWithRetries(service) {
+    const retryCount = this.getServiceSetting(service, 'retryCount', 0);
+    let retryDelay = this.getServiceSetting(service, 'retryDelay', 1000);
+    const attempt = async () => {
+      const result = await this.checkServiceHealth(service);
+      this.emit('check', { service, result });
+      return result;
+    };
+    let result = await attempt();
+    
+    for (let retry = 1; retry <= retryCount && result.status === 'down'; retry++) {
+      await new Promise(resolve => setTimeout(resolve, retryDelay));
+      retryDelay *= 2;
+      result = await attempt();
+    }
+    
+    return result;
+  }
+
+  applyScaleReadings(service, result) {
+    const condition = service.scale && scaleService.getCondition(service.id);
+    if (!condition || result.status !== 'healthy') return result;
+    
+    return {
+      ...result,
+      status: 'warning',
+      message: condition.message,
+      scaleCondition: condition.type
+    };
+  }
+
+  applyThresholds(service, result) {
+    const failureThreshold = this.getServiceSetting(service, 'failureThreshold', 1);
+    const recoveryThreshold = this.getServiceSetting(service, 'recoveryThreshold', 1);
+    const state = this.confirmationState.get(service.id) || { down: false, failures: 0, successes: 0 };
+    
+    if (result.status === 'down') {
+      state.failures++;
+      state.successes = 0;
+    } else {
+      state.successes++;
+      state.failures = 0;
+    }
+    
+    let status = result.status;
+    let message = result.message;
+    let confirmation = null;
+    
+    if (result.status === 'down' && !state.down) {
+      if (state.failures >= failureThreshold) {
+        state.down = true;
+      } else {
+        status = 'pending';
+        confirmation = { direction: 'down', count: state.failures, threshold: failureThreshold };
+      }
+    } else if (result.status !== 'down' && state.down) {
+      if (state.successes >= recoveryThreshold) {
+        state.down = false;
+      } else {
+        status = 'pending';
+        message = 'Recovering';
+        confirmation = { direction: 'up', count: state.successes, threshold: recoveryThreshold };
+      }
+    }
+    
+    this.confirmationState.set(service.id, state);
+    
+    return {
+      ...result,
+      status: status,
+      rawStatus: result.status,
+      message: message,
+      confirmation: confirmation
+    };
+  }
+
+  // A down service whose upstream is down (or itself impacted) reports
+  // "impacted" instead, naming the root causes in impactedBy
+  applyDependencies(service, result) {
+    if (result.status !== 'down' || !service.dependsOn) return result;
+    
+    const rootCauses = this.findRootCauses(service);
+    if (rootCauses.length === 0) return result;
+    
+    return {
+      ...result,
+      status: 'impacted',
+      checkStatus: 'down',
+      impactedBy: rootCauses
+    };
+  }
+
+  // Upstream services that are down for reasons of their own. An upstream
+  // under maintenance still counts if its check is failing.
+  findRootCauses(service) {
+    const rootCauses = new Set();
+    
+    (service.dependsOn || []).forEach(dependencyId => {
+      const upstream = this.statusCache.get(dependencyId);
+      if (!upstream) return;
+      
+      const status = upstream.status === 'maintenance' ? upstream.checkStatus : upstream.status;
+      
+      if (status === 'impacted') {
+        (upstream.impactedBy || []).forEach(id => rootCauses.add(id));
+      } else if (status === 'down') {
+        rootCauses.add(dependencyId);
+      }
+    });
+    
+    return Array.from(rootCauses);
+  }
+
+  // Re-derive the status of services that depend on serviceId once its
+  // status changes, instead of waiting for their next check
+  updateDependents(serviceId) {
+    this.services
+      .filter(service => (service.dependsOn || []).includes(serviceId))
+      .forEach(service => {
+        const cached = this.statusCache.get(service.id);
+        if (!cached || cached.status === 'maintenance') return;
+        
+        const { impactedBy, checkStatus, ...base } = cached;
+        if (cached.status === 'impacted') {
+          base.status = checkStatus;
+        }
+        
+        const updated = this.applyDependencies(service, base);
+        if (updated.status !== cached.status ||
+            JSON.stringify(updated.impactedBy) !== JSON.stringify(cached.impactedBy)) {
+          this.updateStatus(updated);
+        }
+      });
+  }
+
+  // During a maintenance window or silence the service reports "maintenance";
+  // checkStatus keeps the confirmed status it would otherwise have
+  applyMaintenance(service, result) {
+    const maintenance = maintenanceService.getActiveMaintenance(service);
+    if (!maintenance) return result;
+    
+    return {
+      ...result,
+      status: 'maintenance',
+      checkStatus: result.status,
+      maintenance: maintenance
+    };
+  }
+
+  getServiceSetting(service, key, fallback) {
+    if (service[key] !== undefined) return service[key];
+    if (this.settings[key] !== undefined) return this.settings[key];
+    return fallback;
+  }
+
   async checkAllServices() {
-    const checks = this.services.map(service => this.checkServiceHealth(service));
+    const checks = this.services.map(service => this.runServiceCheck(service));
     const results = await Promise.all(checks);
     
-    // Update cache
-    results.forEach(result => {
-      this.statusCache.set(result.id, result);
-    });
+    results.forEach(result => this.recordResult(result));
+    this.broadcastStatus();
+    
+    return results;
+  }
+
+  // Update cache and history, and announce status transitions
+  recordResult(result) {
+    // The service may have been removed while it was being checked
+    if (!this.hasService(result.id)) return;
+    
+    historyStore.record(result);
+    this.updateStatus(result);
+  }
+
+  updateStatus(result) {
+    const previous = this.statusCache.get(result.id);
+    
+    this.statusCache.set(result.id, result);
     
-    // Emit to connected clients
-    if (this.io) {
-      this.io.emit('status-update', {
-        timestamp: new Date().toISOString(),
-        services: results
+    if (!previous || previous.status !== result.status) {
+      const service = this.services.find(s => s.id === result.id);
+      this.emit('status-change', {
+        service: service,
+        previous: previous || null,
+        current: result
       });
     }
     
-    return results;
+    if (!previous || previous.status !== result.status ||
+        JSON.stringify(previous.impactedBy) !== JSON.stringify(result.impactedBy)) {
+      this.updateDependents(result.id);
+    }
   }
 
-  startPolling() {
-    // Group services by poll interval
-    const intervalGroups = new Map();
+  // Reconcile running pollers with this.services: start new services, stop
+  // removed ones, restart changed ones and retune changed intervals. Cached
+  // status for untouched services is kept.
+  syncPollers() {
+    const configuredIds = new Set();
+    const counts = { started: 0, restarted: 0, retuned: 0, stopped: 0 };
     
     this.services.forEach(service => {
-      const interval = service.pollInterval * 1000;
-      if (!intervalGroups.has(interval)) {
-        intervalGroups.set(interval, []);
+      configuredIds.add(service.id);
+      const interval = this.getPollInterval(service);
+      const poller = this.pollers.get(service.id);
+      
+      if (!poller) {
+        this.startPoller(service, interval, true);
+        counts.started++;
+      } else if (definitionKey(poller.service) !== definitionKey(service)) {
+        this.startPoller(service, interval, true);
+        counts.restarted++;
+      } else if (poller.interval !== interval) {
+        this.startPoller(service, interval, false);
+        counts.retuned++;
+      } else {
+        poller.service = service;
+      }
+    });
+    
+    this.pollers.forEach((poller, serviceId) => {
+      if (!configuredIds.has(serviceId)) {
+        this.stopPoller(serviceId);
+        this.statusCache.delete(serviceId);
+        this.confirmationState.delete(serviceId);
+        counts.stopped++;
       }
-      intervalGroups.get(interval).push(service);
     });
     
-    // Start polling for each interval group
-    intervalGroups.forEach((services, interval) => {
-      const pollGroup = async () => {
-        const checks = services.map(service => this.checkServiceHealth(service));
-        const results = await Promise.all(checks);
+    console.log(`Pollers: ${counts.started} started, ${counts.restarted} restarted, ${counts.retuned} retuned, ${counts.stopped} stopped`);
+    
+    if (counts.stopped > 0) {
+      this.broadcastStatus();
+    }
+  }
+
+  startPoller(service, interval, checkNow) {
+    this.stopPoller(service.id);
+    
+    const generation = ++this.pollGeneration;
+    const isCurrent = () => {
+      const poller = this.pollers.get(service.id);
+      return poller && poller.generation === generation;
+    };
+    
+    // Runs from a timer, so errors are logged here rather than left unhandled
+    const poll = async () => {
+      try {
+        if (!isCurrent()) return;
         
-        results.forEach(result => {
-          this.statusCache.set(result.id, result);
-        });
+        const result = await this.runServiceCheck(this.pollers.get(service.id).service);
+        
+        // Drop results from a poller that was stopped or replaced mid-check
+        if (!isCurrent()) return;
+        
+        this.recordResult(result);
+        this.broadcastStatus();
+      } catch (error) {
+        console.error(`Error checking ${service.id}:`, error.message);
+      }
+    };
+    
+    this.pollers.set(service.id, {
+      service: service,
+      interval: interval,
+      generation: generation,
+      timer: setInterval(poll, interval)
+    });
+    
+    if (checkNow) {
+      poll();
+    }
+  }
+
+  // Check a service outside its schedule and publish the result. Returns
+  // null if the service was changed or removed while it was being checked.
+  async checkServiceNow(serviceId) {
+    const [result] = await this.checkServicesNow([serviceId]);
+    return result || null;
+  }
+
+  // Check several services outside their schedule and publish the results
+  // in one update. Services changed or removed meanwhile are left out.
+  async checkServicesNow(serviceIds) {
+    const results = (await Promise.all(serviceIds.map(id => this.runOnDemandCheck(id)))).filter(Boolean);
+    
+    if (results.length > 0) {
+      this.broadcastStatus();
+    }
+    
+    return results;
+  }
+
+  // One on-demand check per service at a time: callers asking while one is
+  // running share its result instead of checking the service again
+  runOnDemandCheck(serviceId) {
+    const poller = this.pollers.get(serviceId);
+    if (!poller) return Promise.resolve(null);
+    
+    const running = this.onDemandChecks.get(serviceId);
+    if (running && running.poller === poller) return running.check;
+    
+    const entry = { poller: poller, check: null };
+    entry.check = this.runServiceCheck(poller.service)
+      .then(result => {
+        if (this.pollers.get(serviceId) !== poller) return null;
         
-        if (this.io) {
-          this.io.emit('status-update', {
-            timestamp: new Date().toISOString(),
-            services: Array.from(this.statusCache.values())
-          });
+        this.recordResult(result);
+        return result;
+      })
+      .finally(() => {
+        if (this.onDemandChecks.get(serviceId) === entry) {
+          this.onDemandChecks.delete(serviceId);
         }
-      };
-      
-      // Initial check
-      pollGroup();
+      });
+    
+    this.onDemandChecks.set(serviceId, entry);
+    return entry.check;
+  }
+
+  stopPoller(serviceId) {
+    const poller = this.pollers.get(serviceId);
+    
+    if (poller) {
+      clearInterval(poller.timer);
+      this.pollers.delete(serviceId);
+    }
+  }
+
+  getPollInterval(service) {
+    return (service.pollInterval || this.settings.defaultPollInterval || 60) * 1000;
+  }
+
+  // Push what changed to the connected clients (see statusUpdates)
+  broadcastStatus() {
+    statusUpdates.publish();
+  }
+
+  // Apply edits to the config files as they are saved, without a reload call
+  watchConfiguration() {
+    if (process.env.CONFIG_WATCH === 'false' || this.configWatchers.length > 0) return;
+    
+    let debounce = null;
+    
+    // Watch directories so editors that save by replacing the file are seen
+    configSource.getWatchTargets().forEach(({ directory, matches }) => {
+      try {
+        const watcher = fs.watch(directory, (eventType, changedFile) => {
+          if (changedFile && !matches(changedFile)) return;
+          
+          clearTimeout(debounce);
+          debounce = setTimeout(() => this.handleConfigFileChange(), 300);
+        });
+        watcher.unref();
+        this.configWatchers.push(watcher);
+      } catch (error) {
+        console.error(`Unable to watch configuration directory ${directory}:`, error.message);
+      }
+    });
+  }
+
+  handleConfigFileChange() {
+    try {
+      const { configData } = this.readConfiguration();
       
-      // Set up interval
-      const intervalId = setInterval(pollGroup, interval);
-      this.pollingIntervals.set(interval, intervalId);
+      // Our own writes have already been applied
+      if (configData === this.lastConfigContent) return;
       
-      console.log(`Started polling ${services.length} services every ${interval/1000}s`);
-    });
+      console.log('Configuration file changed, applying');
+      this.reloadConfiguration({ action: 'file-edit', actor: 'file' });
+    } catch (error) {
+      console.error('Ignoring configuration change, keeping the current configuration');
+      logConfigurationError(error);
+    }
   }
 
   getAllStatuses() {
@@ -162,70 +609,154 @@ class HealthCheckService {
     return this.statusCache.get(serviceId);
   }
 
-  reloadConfiguration() {
-    // Clear existing intervals
-    this.pollingIntervals.forEach(intervalId => clearInterval(intervalId));
-    this.pollingIntervals.clear();
-    this.statusCache.clear();
-    
-    // Reload and restart
-    this.loadConfiguration();
-    this.startPolling();
+  hasService(serviceId) {
+    return this.services.some(service => service.id === serviceId);
   }
 
-  addService(serviceData) {
-    const configPath = process.env.CONFIG_PATH || path.join(__dirname, '../../config/services.json');
+  // Throws without touching the running configuration if the file is invalid
+  reloadConfiguration(change = {}) {
+    const previousContent = this.lastConfigContent;
+    
+    this.applyConfiguration(this.readConfiguration());
+    historyStore.configure(this.settings);
     
+    // Only a started dashboard polls; the CLI tools change the file and exit
+    if (this.io) this.syncPollers();
+    
+    if (this.lastConfigContent !== previousContent) {
+      this.emitConfigChange({ action: 'reload', actor: null, ...change });
+    }
+  }
+
+  addService(serviceData, { actor = null } = {}) {
+    return this.addServices([serviceData], { actor }).services[0];
+  }
+
+  // Add several services as one configuration change. With dryRun the file
+  // is left alone; the result still holds the configuration before and after
+  // (validated), so callers can preview the change.
+  addServices(servicesData, { actor = null, action = 'add-service', dryRun = false } = {}) {
     try {
       // Load current config
-      const configData = fs.readFileSync(configPath, 'utf8');
-      const config = JSON.parse(configData);
+      const before = this.readRawConfiguration();
+      const config = JSON.parse(JSON.stringify(before));
       
-      // Generate ID if not provided
-      if (!serviceData.id) {
-        serviceData.id = serviceData.name.toLowerCase().replace(/\s+/g, '-').replace(/[^a-z0-9-]/g, '');
+      const newServices = servicesData.map(serviceData => {
+        // Generate ID if not provided
+        if (!serviceData.id) {
+          serviceData.id = serviceData.name.toLowerCase().replace(/\s+/g, '-').replace(/[^a-z0-9-]/g, '');
+        }
+        
+        // Check if service ID already exists
+        if (config.services.some(s => s.id === serviceData.id)) {
+          throw new Error(`Service with ID "${serviceData.id}" already exists`);
+        }
+        
+        const newService = this.buildService(serviceData);
+        
+        // Add service to config
+        config.services.push(newService);
+        return newService;
+      });
+      
+      if (dryRun) {
+        const errors = configSource.checkConfiguration(config);
+        if (errors.length > 0) {
+          throw new ConfigValidationError(errors);
+        }
+        return { services: newServices, before, after: config };
       }
       
-      // Check if service ID already exists
-      if (config.services.some(s => s.id === serviceData.id)) {
-        throw new Error(`Service with ID "${serviceData.id}" already exists`);
+      // Save config file
+      this.saveConfiguration(config);
+      
+      // Reload configuration to start polling the new services
+      this.reloadConfiguration(newServices.length === 1
+        ? { action, actor, serviceId: newServices[0].id }
+        : { action, actor, serviceIds: newServices.map(service => service.id) });
+      
+      return { services: newServices, before, after: config };
+    } catch (error) {
+      console.error('Error adding service:', error.message);
+      throw error;
+    }
+  }
+
+  updateService(serviceId, serviceData, { replace = false, actor = null } = {}) {
+    try {
+      // Load current config
+      const config = this.readRawConfiguration();
+      
+      const serviceIndex = config.services.findIndex(s => s.id === serviceId);
+      
+      if (serviceIndex === -1) {
+        throw new Error(`Service with ID "${serviceId}" not found`);
       }
       
-      // Set defaults
-      const newService = {
-        id: serviceData.id,
-        name: serviceData.name,
-        endpoint: serviceData.endpoint,
-        type: serviceData.type || 'internal',
-        category: serviceData.category || 'core',
-        pollInterval: serviceData.pollInterval || this.settings.defaultPollInterval || 60,
-        criticalService: serviceData.criticalService !== undefined ? serviceData.criticalService : false,
-        ...(serviceData.metadata && { metadata: serviceData.metadata })
-      };
+      const existing = config.services[serviceIndex];
+      let updatedService;
+      
+      if (replace) {
+        updatedService = this.buildService({ ...serviceData, id: serviceId });
+      } else {
+        // Omitted fields are kept; null clears a field
+        updatedService = { ...existing };
+        Object.entries(serviceData).forEach(([key, value]) => {
+          if (value === null) {
+            delete updatedService[key];
+          } else if (value !== undefined) {
+            updatedService[key] = value;
+          }
+        });
+      }
+      
+      // The id is the service's identity; it can't be changed
+      updatedService.id = serviceId;
+      restoreRedacted(updatedService, existing);
       
-      // Add service to config
-      config.services.push(newService);
+      config.services[serviceIndex] = updatedService;
       
       // Save config file
-      fs.writeFileSync(configPath, JSON.stringify(config, null, 2), 'utf8');
+      this.saveConfiguration(config);
       
-      // Reload configuration to start polling the new service
-      this.reloadConfiguration();
+      // Reload configuration to pick up the changes
+      this.reloadConfiguration({ action: 'update-service', actor, serviceId });
       
-      return newService;
+      return updatedService;
     } catch (error) {
-      console.error('Error adding service:', error.message);
+      console.error('Error updating service:', error.message);
       throw error;
     }
   }
 
-  deleteService(serviceId) {
-    const configPath = process.env.CONFIG_PATH || path.join(__dirname, '../../config/services.json');
-    
+  // Apply defaults to a new or replaced service definition
+  buildService(serviceData) {
+    return {
+      id: serviceData.id,
+      name: serviceData.name,
+      endpoint: serviceData.endpoint,
+      type: serviceData.type || 'internal',
+      category: serviceData.category || 'core',
+      pollInterval: serviceData.pollInterval || this.settings.defaultPollInterval || 60,
+      criticalService: serviceData.criticalService !== undefined ? serviceData.criticalService : false,
+      ...(serviceData.statusPage !== undefined && { statusPage: serviceData.statusPage }),
+      ...(serviceData.failureThreshold && { failureThreshold: serviceData.failureThreshold }),
+      ...(serviceData.recoveryThreshold && { recoveryThreshold: serviceData.recoveryThreshold }),
+      ...(serviceData.dependsOn && serviceData.dependsOn.length > 0 && { dependsOn: serviceData.dependsOn }),
+      ...(serviceData.probes && { probes: serviceData.probes }),
+      ...(serviceData.quorum && { quorum: serviceData.quorum }),
+      ...(serviceData.scale && { scale: serviceData.scale }),
+      ...(serviceData.check && { check: serviceData.check }),
+      ...(serviceData.request && { request: serviceData.request }),
+      ...(serviceData.assertions && { assertions: serviceData.assertions }),
+      ...(serviceData.metadata && { metadata: serviceData.metadata })
+    };
+  }
+
+  deleteService(serviceId, { actor = null } = {}) {
     try {
       // Load current config
-      const configData = fs.readFileSync(configPath, 'utf8');
-      const config = JSON.parse(configData);
+      const config = this.readRawConfiguration();
       
       // Find service index
       const serviceIndex = config.services.findIndex(s => s.id === serviceId);
@@ -238,10 +769,10 @@ class HealthCheckService {
       const deletedService = config.services.splice(serviceIndex, 1)[0];
       
       // Save config file
-      fs.writeFileSync(configPath, JSON.stringify(config, null, 2), 'utf8');
+      this.saveConfiguration(config);
       
       // Reload configuration to stop polling the deleted service
-      this.reloadConfiguration();
+      this.reloadConfiguration({ action: 'delete-service', actor, serviceId });
       
       return deletedService;
     } catch (error) {
@@ -250,8 +781,10 @@ class HealthCheckService {
     }
   }
 
+  // Definitions as written, so values from ${NAME} references never reach
+  // the API
   getAllServices() {
-    return this.services.map(service => ({
+    return this.rawServices.map(service => ({
       id: service.id,
       name: service.name,
       endpoint: service.endpoint,
@@ -259,9 +792,39 @@ class HealthCheckService {
       category: service.category,
       pollInterval: service.pollInterval,
       criticalService: service.criticalService,
+      statusPage: service.statusPage,
+      failureThreshold: service.failureThreshold,
+      recoveryThreshold: service.recoveryThreshold,
+      dependsOn: service.dependsOn,
+      probes: service.probes,
+      quorum: service.quorum,
+      scale: service.scale,
+      check: redactCheck(service.check),
+      request: redactRequest(service.request),
+      assertions: service.assertions,
       metadata: service.metadata
     }));
   }
 }
 
+function logConfigurationError(error) {
+  if (error instanceof ConfigValidationError) {
+    console.error('Error loading configuration:');
+    error.errors.forEach(item => {
+      const file = item.file ? `${item.file}${item.line ? `:${item.line}` : ''}` : (item.line ? `line ${item.line}` : null);
+      const location = [file, item.path || null].filter(Boolean).join(', ');
+      console.error(`  ${location ? `${location}: ` : ''}${item.message}`);
+    });
+  } else {
+    console.error('Error loading configuration:', error.message);
+  }
+}
+
+// Everything about a service except its poll interval, which can be
+// changed without restarting the poller
+function definitionKey(service) {
+  const { pollInterval, ...definition } = service;
+  return JSON.stringify(definition);
+}
+
 module.exports = new HealthCheckService();
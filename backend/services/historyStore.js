@@ -0,0 +1,377 @@
+const fs = require('fs');
+const path = require('path');
+
+const HOUR_MS = 60 * 60 * 1000;
+const DAY_MS = 24 * HOUR_MS;
+const RESOLUTION_UNITS = { m: 60 * 1000, h: HOUR_MS, d: DAY_MS };
+const MAX_BUCKETS = 2000;
+
+// Statuses counted per bucket. Pending and maintenance results say nothing
+// about whether the service was up, so uptime leaves them out:
+//   uptime = (healthy + warning) / (healthy + warning + down + impacted)
+const COUNTED_STATUSES = ['healthy', 'warning', 'down', 'pending', 'impacted', 'maintenance'];
+
+// Append-only history of health check results.
+//
+// Raw checks are written one JSON object per line to raw/<YYYY-MM-DD>.jsonl.
+// Once a raw day is older than the raw retention, it is rolled up into hourly
+// buckets in rollup/<YYYY-MM-DD>.jsonl and the raw file is removed. Rollups are
+// deleted once they pass the rollup retention.
+class HistoryStore {
+  constructor() {
+    this.basePath = null;
+    this.rawRetentionDays = 7;
+    this.rollupRetentionDays = 90;
+    this.pruneInterval = null;
+  }
+
+  initialize(settings = {}) {
+    this.basePath = process.env.HISTORY_PATH || path.join(__dirname, '../../data/history');
+    this.configure(settings);
+
+    fs.mkdirSync(path.join(this.basePath, 'raw'), { recursive: true });
+    fs.mkdirSync(path.join(this.basePath, 'rollup'), { recursive: true });
+
+    this.prune();
+
+    if (!this.pruneInterval) {
+      this.pruneInterval = setInterval(() => this.prune(), HOUR_MS);
+      this.pruneInterval.unref();
+    }
+
+    console.log(`History store ready at ${this.basePath}`);
+  }
+
+  configure(settings = {}) {
+    this.rawRetentionDays = settings.historyRetentionDays || 7;
+    this.rollupRetentionDays = settings.historyRollupRetentionDays || 90;
+  }
+
+  record(result) {
+    if (!this.basePath) return;
+
+    const entry = {
+      id: result.id,
+      status: result.status,
+      responseTime: result.responseTime,
+      lastChecked: result.lastChecked,
+      message: result.message
+    };
+
+    try {
+      const file = this.rawFile(dayKey(new Date(result.lastChecked)));
+      fs.appendFileSync(file, JSON.stringify(entry) + '\n', 'utf8');
+    } catch (error) {
+      console.error('Error recording history:', error.message);
+    }
+  }
+
+  // Raw checks for a service, oldest first
+  getChecks(serviceId, from, to) {
+    const checks = [];
+
+    this.daysInRange(from, to).forEach(day => {
+      readLines(this.rawFile(day)).forEach(entry => {
+        const time = Date.parse(entry.lastChecked);
+        if (entry.id === serviceId && time >= from.getTime() && time <= to.getTime()) {
+          checks.push(entry);
+        }
+      });
+    });
+
+    return checks;
+  }
+
+  // Status changes for a service, newest first: { at, from, to, message }.
+  // Only raw checks have the order needed, so this covers the raw retention.
+  getTransitions(serviceId, from, to) {
+    const transitions = [];
+    let previous = null;
+
+    this.getChecks(serviceId, from, to).forEach(entry => {
+      if (previous && previous.status !== entry.status) {
+        transitions.push({
+          at: entry.lastChecked,
+          from: previous.status,
+          to: entry.status,
+          message: entry.message
+        });
+      }
+      previous = entry;
+    });
+
+    return transitions.reverse();
+  }
+
+  // The latest raw checks of every service from today and yesterday,
+  // oldest first: { serviceId: [entry] }
+  getRecentChecks(limit) {
+    const now = new Date();
+    const recent = {};
+
+    this.daysInRange(new Date(now.getTime() - DAY_MS), now).forEach(day => {
+      readLines(this.rawFile(day)).forEach(entry => {
+        if (!recent[entry.id]) recent[entry.id] = [];
+        recent[entry.id].push(entry);
+        if (recent[entry.id].length > limit) recent[entry.id].shift();
+      });
+    });
+
+    return recent;
+  }
+
+  // Bucketed aggregates for a service. Rolled-up days can only be served at
+  // hourly resolution or coarser; finer buckets over those days are merged
+  // from the hourly rollups they overlap.
+  getAggregates(serviceId, from, to, resolution) {
+    const size = parseResolution(resolution);
+    if (!size) {
+      throw new Error(`Invalid resolution "${resolution}"`);
+    }
+
+    const buckets = new Map();
+    const bucketFor = (time) => {
+      const start = Math.floor(time / size) * size;
+      if (!buckets.has(start)) {
+        buckets.set(start, newBucket(start));
+      }
+      return buckets.get(start);
+    };
+
+    this.daysInRange(from, to).forEach(day => {
+      const rawEntries = readLines(this.rawFile(day));
+
+      if (rawEntries.length > 0) {
+        rawEntries.forEach(entry => {
+          const time = Date.parse(entry.lastChecked);
+          if (entry.id !== serviceId || time < from.getTime() || time > to.getTime()) return;
+
+          const bucket = bucketFor(time);
+          bucket.count++;
+          countStatus(bucket, entry.status);
+          bucket.latencies.push(entry.responseTime);
+        });
+        return;
+      }
+
+      readLines(this.rollupFile(day)).forEach(rollup => {
+        const time = Date.parse(rollup.bucket);
+        if (rollup.id !== serviceId || time + HOUR_MS <= from.getTime() || time > to.getTime()) return;
+
+        const bucket = bucketFor(time);
+        bucket.count += rollup.count;
+        COUNTED_STATUSES.forEach(status => {
+          bucket[status] += rollup[status] || 0;
+        });
+        bucket.rollups.push(rollup);
+      });
+    });
+
+    return Array.from(buckets.values())
+      .sort((a, b) => a.start - b.start)
+      .map(bucket => summarizeBucket(bucket, size));
+  }
+
+  prune() {
+    if (!this.basePath) return;
+
+    const today = startOfDay(new Date()).getTime();
+    const rawCutoff = today - this.rawRetentionDays * DAY_MS;
+    const rollupCutoff = today - this.rollupRetentionDays * DAY_MS;
+
+    try {
+      listDays(path.join(this.basePath, 'raw')).forEach(day => {
+        if (Date.parse(day) >= rawCutoff) return;
+
+        if (Date.parse(day) >= rollupCutoff) {
+          this.rollupDay(day);
+        }
+        fs.unlinkSync(this.rawFile(day));
+      });
+
+      listDays(path.join(this.basePath, 'rollup')).forEach(day => {
+        if (Date.parse(day) < rollupCutoff) {
+          fs.unlinkSync(this.rollupFile(day));
+        }
+      });
+    } catch (error) {
+      console.error('Error pruning history:', error.message);
+    }
+  }
+
+  rollupDay(day) {
+    const groups = new Map();
+
+    readLines(this.rawFile(day)).forEach(entry => {
+      const hour = Math.floor(Date.parse(entry.lastChecked) / HOUR_MS) * HOUR_MS;
+      const key = `${entry.id}|${hour}`;
+
+      if (!groups.has(key)) {
+        groups.set(key, { id: entry.id, ...newBucket(hour) });
+      }
+
+      const group = groups.get(key);
+      group.count++;
+      countStatus(group, entry.status);
+      group.latencies.push(entry.responseTime);
+    });
+
+    const lines = Array.from(groups.values()).map(group => {
+      const summary = summarizeBucket(group, HOUR_MS);
+      return JSON.stringify({
+        id: group.id,
+        bucket: summary.start,
+        count: summary.count,
+        ...Object.fromEntries(COUNTED_STATUSES.map(status => [status, summary[status]])),
+        min: summary.latency.min,
+        max: summary.latency.max,
+        avg: summary.latency.avg,
+        p50: summary.latency.p50,
+        p95: summary.latency.p95
+      });
+    });
+
+    if (lines.length > 0) {
+      fs.writeFileSync(this.rollupFile(day), lines.join('\n') + '\n', 'utf8');
+    }
+  }
+
+  isValidResolution(resolution) {
+    return parseResolution(resolution) !== null;
+  }
+
+  // Whether aggregating from..to at resolution gives too many buckets
+  // to return at once
+  isTooManyBuckets(from, to, resolution) {
+    const span = to.getTime() - Math.max(from.getTime(), this.getEarliest().getTime());
+    return span / parseResolution(resolution) > MAX_BUCKETS;
+  }
+
+  // The start of the oldest day history can still have
+  getEarliest() {
+    const keptDays = Math.max(this.rawRetentionDays, this.rollupRetentionDays);
+    return new Date(startOfDay(new Date()).getTime() - keptDays * DAY_MS);
+  }
+
+  // Days from..to that can have files; callers may pass any range, so it is
+  // limited to the retention and to today
+  daysInRange(from, to) {
+    const days = [];
+    const first = Math.max(startOfDay(from).getTime(), this.getEarliest().getTime());
+    const last = Math.min(to.getTime(), Date.now() + DAY_MS);
+
+    for (let time = first; time <= last; time += DAY_MS) {
+      days.push(dayKey(new Date(time)));
+    }
+    return days;
+  }
+
+  rawFile(day) {
+    return path.join(this.basePath, 'raw', `${day}.jsonl`);
+  }
+
+  rollupFile(day) {
+    return path.join(this.basePath, 'rollup', `${day}.jsonl`);
+  }
+}
+
+function parseResolution(resolution) {
+  const match = /^(\d+)([mhd])$/.exec(resolution || '');
+  if (!match || parseInt(match[1]) <= 0) return null;
+  return parseInt(match[1]) * RESOLUTION_UNITS[match[2]];
+}
+
+function newBucket(start) {
+  const bucket = { start, count: 0, latencies: [], rollups: [] };
+  COUNTED_STATUSES.forEach(status => {
+    bucket[status] = 0;
+  });
+  return bucket;
+}
+
+// Unknown statuses count as healthy
+function countStatus(bucket, status) {
+  bucket[COUNTED_STATUSES.includes(status) ? status : 'healthy']++;
+}
+
+function uptime(bucket) {
+  const up = bucket.healthy + bucket.warning;
+  const measured = up + bucket.down + bucket.impacted;
+  return measured ? Math.round((up / measured) * 10000) / 100 : null;
+}
+
+function summarizeBucket(bucket, size) {
+  const latencies = bucket.latencies.slice().sort((a, b) => a - b);
+  let latency;
+
+  if (bucket.rollups.length === 0) {
+    latency = {
+      min: latencies.length ? latencies[0] : null,
+      max: latencies.length ? latencies[latencies.length - 1] : null,
+      avg: latencies.length ? Math.round(latencies.reduce((sum, value) => sum + value, 0) / latencies.length) : null,
+      p50: percentile(latencies, 50),
+      p95: percentile(latencies, 95)
+    };
+  } else {
+    // Percentiles cannot be merged exactly; weight the hourly values by check count
+    const weighted = (field) => Math.round(
+      bucket.rollups.reduce((sum, rollup) => sum + rollup[field] * rollup.count, 0) / bucket.count
+    );
+    latency = {
+      min: Math.min(...bucket.rollups.map(rollup => rollup.min)),
+      max: Math.max(...bucket.rollups.map(rollup => rollup.max)),
+      avg: weighted('avg'),
+      p50: weighted('p50'),
+      p95: Math.max(...bucket.rollups.map(rollup => rollup.p95))
+    };
+  }
+
+  return {
+    start: new Date(bucket.start).toISOString(),
+    end: new Date(bucket.start + size).toISOString(),
+    count: bucket.count,
+    ...Object.fromEntries(COUNTED_STATUSES.map(status => [status, bucket[status]])),
+    uptime: uptime(bucket),
+    latency
+  };
+}
+
+function percentile(sorted, p) {
+  if (sorted.length === 0) return null;
+  const index = Math.min(sorted.length - 1, Math.ceil((p / 100) * sorted.length) - 1);
+  return sorted[Math.max(0, index)];
+}
+
+function readLines(file) {
+  if (!fs.existsSync(file)) return [];
+
+  return fs.readFileSync(file, 'utf8')
+    .split('\n')
+    .filter(line => line.trim())
+    .map(line => {
+      try {
+        return JSON.parse(line);
+      } catch (error) {
+        return null;
+      }
+    })
+    .filter(Boolean);
+}
+
+function listDays(dir) {
+  if (!fs.existsSync(dir)) return [];
+
+  return fs.readdirSync(dir)
+    .filter(file => /^\d{4}-\d{2}-\d{2}\.jsonl$/.test(file))
+    .map(file => file.replace('.jsonl', ''));
+}
+
+function startOfDay(date) {
+  return new Date(Date.UTC(date.getUTCFullYear(), date.getUTCMonth(), date.getUTCDate()));
+}
+
+function dayKey(date) {
+  return date.toISOString().slice(0, 10);
+}
+
+module.exports = new HistoryStore();
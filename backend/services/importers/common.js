@@ -0,0 +1,56 @@
+// Helpers shared by the importers
+
+// A file that can't be imported; routes answer 400 with the message
+class ImportError extends Error {
+  constructor(message) {
+    super(message);
+    this.name = 'ImportError';
+  }
+}
+
+// Images that speak their own protocol and get a TCP check
+const DATASTORE_IMAGES = {
+  postgres: 5432,
+  mysql: 3306,
+  mariadb: 3306,
+  redis: 6379,
+  mongo: 27017,
+  rabbitmq: 5672,
+  memcached: 11211
+};
+
+// "postgres:16-alpine", "bitnami/redis" -> the datastore's port, or null
+function datastorePort(image) {
+  if (!image) return null;
+  const name = String(image).split('@')[0].split(':')[0].split('/').pop();
+  return DATASTORE_IMAGES[name] || null;
+}
+
+// Compose labels are either a map or a list of "key=value"
+function labelsFrom(labels) {
+  if (Array.isArray(labels)) {
+    return Object.fromEntries(labels.map(label => {
+      const index = String(label).indexOf('=');
+      return index < 0 ? [label, ''] : [label.slice(0, index), label.slice(index + 1)];
+    }));
+  }
+  return isObject(labels) ? labels : {};
+}
+
+// A valid service id: lowercase letters, numbers and "-"
+function slugify(text) {
+  return String(text).toLowerCase().replace(/[^a-z0-9]+/g, '-').replace(/^-+|-+$/g, '') || 'service';
+}
+
+// "order-api" -> "Order Api"
+function titleCase(text) {
+  return String(text).split(/[-_\s]+/).filter(Boolean)
+    .map(word => word.charAt(0).toUpperCase() + word.slice(1))
+    .join(' ');
+}
+
+function isObject(value) {
+  return value !== null && typeof value === 'object' && !Array.isArray(value);
+}
+
+module.exports = { ImportError, datastorePort, labelsFrom, slugify, titleCase, isObject };
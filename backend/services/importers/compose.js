@@ -0,0 +1,103 @@
+const { ImportError, datastorePort, labelsFrom, titleCase, isObject } = require('./common');
+
+const DEFAULT_HEALTH_PATH = '/health';
+
+// docker-compose files: one service per compose service that publishes (or
+// exposes) a port. The health path comes from the "status-dashboard.path"
+// label, then a URL in the service's healthcheck command, then /health.
+// Well-known datastores (postgres, redis, ...) get a TCP check instead.
+// Other "status-dashboard.*" labels (id, name, type, category) override the
+// proposed values.
+function detect(docs) {
+  return docs.length === 1 && isObject(docs[0].services) && !docs[0].openapi && !docs[0].swagger && !docs[0].kind;
+}
+
+function propose(docs, options) {
+  const proposals = [];
+  const skipped = [];
+
+  Object.entries(docs[0].services).forEach(([name, definition]) => {
+    const source = `compose service "${name}"`;
+    if (!isObject(definition)) {
+      throw new ImportError(`Compose service "${name}" has no definition`);
+    }
+
+    const labels = labelsFrom(definition.labels);
+    const port = findPort(definition);
+
+    if (!port) {
+      skipped.push({ source, reason: 'No published or exposed port' });
+      return;
+    }
+
+    // Published ports are reached through the host, others on the compose network
+    const host = port.published ? options.host : name;
+    const portNumber = port.published || port.target;
+    const storePort = datastorePort(definition.image);
+
+    const service = storePort && !labels['status-dashboard.path']
+      ? { endpoint: `tcp://${host}:${portNumber}`, check: { type: 'tcp' } }
+      : { endpoint: `http://${host}:${portNumber}${healthPath(definition, labels)}` };
+
+    proposals.push({
+      source,
+      service: {
+        id: labels['status-dashboard.id'] || name,
+        name: labels['status-dashboard.name'] || titleCase(name),
+        ...service,
+        type: labels['status-dashboard.type'] || options.type,
+        category: labels['status-dashboard.category'] || options.category
+      }
+    });
+  });
+
+  return { proposals, skipped };
+}
+
+// The first port as { published, target }; published is null for ports that
+// are only exposed to other containers
+function findPort(definition) {
+  const ports = (definition.ports || []).map(parsePort).filter(Boolean);
+  if (ports.length > 0) {
+    const published = ports.find(port => port.published);
+    return published || ports[0];
+  }
+
+  const exposed = (definition.expose || []).map(value => parseInt(value)).find(value => value > 0);
+  return exposed ? { published: null, target: exposed } : null;
+}
+
+// "8080:80", "127.0.0.1:8080:80/tcp", "80", or { published, target }
+function parsePort(port) {
+  if (isObject(port)) {
+    return port.target ? { published: parseInt(port.published) || null, target: parseInt(port.target) } : null;
+  }
+
+  const parts = String(port).split('/')[0].split(':');
+  const target = parseInt(parts[parts.length - 1]);
+  const published = parts.length > 1 ? parseInt(parts[parts.length - 2]) : null;
+
+  if (!target) return null;
+  return { published: published || null, target };
+}
+
+function healthPath(definition, labels) {
+  if (labels['status-dashboard.path']) return labels['status-dashboard.path'];
+
+  const test = definition.healthcheck && definition.healthcheck.test;
+  const command = Array.isArray(test) ? test.join(' ') : String(test || '');
+  const match = /https?:\/\/[^\s"']+/.exec(command);
+
+  if (match) {
+    try {
+      const url = new URL(match[0]);
+      return url.pathname + url.search;
+    } catch (error) {
+      return DEFAULT_HEALTH_PATH;
+    }
+  }
+
+  return DEFAULT_HEALTH_PATH;
+}
+
+module.exports = { detect, propose };
@@ -0,0 +1,119 @@
+const YAML = require('yaml');
+const openapi = require('./openapi');
+const kubernetes = require('./kubernetes');
+const compose = require('./compose');
+const { ImportError, slugify } = require('./common');
+
+// Sources services.json entries can be proposed from, in detection order.
+// Each importer takes the parsed YAML/JSON documents and returns
+// { proposals: [{ source, service }], skipped: [{ source, reason }] }.
+const importers = {
+  openapi,
+  kubernetes,
+  compose
+};
+
+const DEFAULT_OPTIONS = {
+  host: 'localhost',
+  clusterDomain: 'cluster.local',
+  type: 'internal',
+  category: 'core'
+};
+
+// Parse YAML (or JSON) text, which may hold several documents
+function parseDocuments(text) {
+  const documents = YAML.parseAllDocuments(String(text || ''));
+  const failed = documents.find(document => document.errors.length > 0);
+
+  if (failed) {
+    throw new ImportError(`Invalid YAML: ${failed.errors[0].message.split('\n')[0].replace(/:$/, '')}`);
+  }
+
+  const docs = documents.map(document => document.toJS()).filter(doc => doc !== null && doc !== undefined);
+  if (docs.length === 0) {
+    throw new ImportError('Nothing to import');
+  }
+  return docs;
+}
+
+function detectFormat(docs) {
+  return Object.keys(importers).find(format => importers[format].detect(docs)) || null;
+}
+
+// Proposed entries with valid ids. options: format (detected when omitted),
+// host, clusterDomain, baseUrl, type, category.
+function proposeServices(text, options = {}) {
+  const docs = parseDocuments(text);
+  const format = options.format || detectFormat(docs);
+
+  if (!importers[format]) {
+    throw new ImportError(options.format
+      ? `Unknown format "${options.format}"; use one of: ${Object.keys(importers).join(', ')}`
+      : 'Could not tell the format; pass one of: ' + Object.keys(importers).join(', '));
+  }
+
+  const settings = { ...DEFAULT_OPTIONS };
+  Object.entries(options).forEach(([key, value]) => {
+    if (value !== undefined && value !== null && value !== '') settings[key] = value;
+  });
+
+  const { proposals, skipped } = proposeWith(importers[format], format, docs, settings);
+  proposals.forEach(proposal => {
+    proposal.service.id = slugify(proposal.service.id);
+  });
+
+  return { format, proposals, skipped };
+}
+
+// A file that matched a format but has the wrong shape somewhere the
+// importer didn't expect is reported as an ImportError, not a crash
+function proposeWith(importer, format, docs, settings) {
+  try {
+    return importer.propose(docs, settings);
+  } catch (error) {
+    if (error instanceof ImportError) throw error;
+    throw new ImportError(`Could not read the ${format} file: ${error.message}`);
+  }
+}
+
+// Split proposals into services to add and conflicts with services already
+// configured (same id or same endpoint). Ids repeated within the import get
+// a numeric suffix.
+function planImport(proposals, existingServices) {
+  const existing = new Map(existingServices.map(service => [service.id, service]));
+  const taken = new Set(existing.keys());
+  const services = [];
+  const conflicts = [];
+
+  proposals.forEach(({ source, service }) => {
+    const current = existing.get(service.id);
+    const sameEndpoint = existingServices.find(item => item.endpoint === service.endpoint);
+
+    if (sameEndpoint && sameEndpoint !== current) {
+      conflicts.push({ source, id: service.id, reason: `Already configured as "${sameEndpoint.id}"` });
+      return;
+    }
+
+    if (current) {
+      conflicts.push({
+        source,
+        id: service.id,
+        reason: current.endpoint === service.endpoint
+          ? 'Already configured'
+          : `Id "${service.id}" is already used by "${current.name}"`
+      });
+      return;
+    }
+
+    let id = service.id;
+    for (let suffix = 2; taken.has(id); suffix++) {
+      id = `${service.id}-${suffix}`;
+    }
+    taken.add(id);
+    services.push({ ...service, id });
+  });
+
+  return { services, conflicts };
+}
+
+module.exports = { ImportError, proposeServices, planImport, parseDocuments, importFormats: Object.keys(importers) };
@@ -0,0 +1,97 @@
+const { titleCase, isObject } = require('./common');
+
+const WORKLOAD_KINDS = ['Deployment', 'StatefulSet', 'DaemonSet'];
+
+// Kubernetes manifests: one service per Deployment/StatefulSet/DaemonSet that
+// has a readiness probe (or failing that, a liveness probe) and a Service
+// selecting its pods. The check goes through the Service's cluster DNS name
+// to the probe's path. "status-dashboard/*" annotations on the workload (id,
+// name, type, category) override the proposed values.
+function detect(docs) {
+  return docs.some(doc => isObject(doc) && typeof doc.kind === 'string' && typeof doc.apiVersion === 'string');
+}
+
+function propose(docs, options) {
+  const items = docs
+    .flatMap(doc => isObject(doc) && doc.kind === 'List' ? doc.items || [] : [doc])
+    .filter(isObject);
+  const services = items.filter(item => item.kind === 'Service');
+  const proposals = [];
+  const skipped = [];
+
+  items.filter(item => WORKLOAD_KINDS.includes(item.kind)).forEach(workload => {
+    const metadata = workload.metadata || {};
+    const source = `${workload.kind} "${metadata.name}"`;
+    const namespace = metadata.namespace || 'default';
+    const template = (workload.spec && workload.spec.template) || {};
+    const podLabels = (template.metadata && template.metadata.labels) || {};
+    const containers = (template.spec && template.spec.containers) || [];
+
+    const container = containers.find(item => item.readinessProbe) || containers.find(item => item.livenessProbe);
+    if (!container) {
+      skipped.push({ source, reason: 'No readiness or liveness probe' });
+      return;
+    }
+
+    const probe = container.readinessProbe || container.livenessProbe;
+    const action = probe.httpGet || probe.tcpSocket;
+    if (!action) {
+      skipped.push({ source, reason: 'Only httpGet and tcpSocket probes can be imported' });
+      return;
+    }
+
+    const service = services.find(item => ((item.metadata || {}).namespace || 'default') === namespace && selects(item, podLabels));
+    if (!service) {
+      skipped.push({ source, reason: 'No Service selects its pods' });
+      return;
+    }
+
+    const servicePort = findServicePort(service, container, action.port);
+    if (!servicePort) {
+      skipped.push({ source, reason: `Service "${service.metadata.name}" does not expose the probe port` });
+      return;
+    }
+
+    const host = `${service.metadata.name}.${namespace}.svc.${options.clusterDomain}`;
+    const annotations = metadata.annotations || {};
+    const check = probe.httpGet
+      ? { endpoint: `${(probe.httpGet.scheme || 'HTTP').toLowerCase()}://${host}:${servicePort.port}${probe.httpGet.path || '/'}` }
+      : { endpoint: `tcp://${host}:${servicePort.port}`, check: { type: 'tcp' } };
+
+    proposals.push({
+      source,
+      service: {
+        id: annotations['status-dashboard/id'] || metadata.name,
+        name: annotations['status-dashboard/name'] || titleCase(metadata.name),
+        ...check,
+        type: annotations['status-dashboard/type'] || options.type,
+        category: annotations['status-dashboard/category'] || options.category
+      }
+    });
+  });
+
+  return { proposals, skipped };
+}
+
+function selects(service, podLabels) {
+  const selector = (service.spec && service.spec.selector) || {};
+  const entries = Object.entries(selector);
+  return entries.length > 0 && entries.every(([key, value]) => podLabels[key] === value);
+}
+
+// The Service port whose targetPort reaches the probe port. Either side may
+// use a named container port.
+function findServicePort(service, container, probePort) {
+  const containerPorts = container.ports || [];
+  const resolve = (port) => {
+    if (typeof port === 'number') return port;
+    const named = containerPorts.find(item => item.name === port);
+    return named ? named.containerPort : parseInt(port) || null;
+  };
+
+  const target = resolve(probePort);
+  return ((service.spec && service.spec.ports) || [])
+    .find(port => resolve(port.targetPort !== undefined ? port.targetPort : port.port) === target) || null;
+}
+
+module.exports = { detect, propose };
@@ -0,0 +1,91 @@
+const { ImportError, titleCase, isObject } = require('./common');
+
+// Paths tried in order when no operation is tagged "health"
+const HEALTH_PATHS = ['/health', '/healthz', '/health/ready', '/health/live', '/readyz', '/livez', '/status', '/ping'];
+
+// OpenAPI 3 and Swagger 2 specs: one service per spec, checking its health
+// operation on the first server (or the baseUrl option). The health
+// operation is a parameterless GET tagged "health" or with "health" in its
+// operationId, or else the first of the usual health paths.
+function detect(docs) {
+  return docs.length === 1 && isObject(docs[0]) && !!(docs[0].openapi || docs[0].swagger) && isObject(docs[0].paths);
+}
+
+function propose(docs, options) {
+  const spec = docs[0];
+  const info = spec.info || {};
+  const source = `OpenAPI spec "${info.title || 'untitled'}"`;
+
+  const baseUrl = options.baseUrl || serverUrl(spec);
+  if (!baseUrl) {
+    return { proposals: [], skipped: [{ source, reason: 'No absolute server URL; pass a baseUrl' }] };
+  }
+
+  if (!isHttpUrl(baseUrl)) {
+    throw new ImportError(`baseUrl "${baseUrl}" must be an absolute http or https URL`);
+  }
+
+  const healthPath = findHealthPath(spec.paths);
+  if (!healthPath) {
+    return { proposals: [], skipped: [{ source, reason: 'No health endpoint found' }] };
+  }
+
+  const title = info.title || new URL(baseUrl).hostname;
+
+  return {
+    proposals: [{
+      source,
+      service: {
+        id: title,
+        name: titleCase(title),
+        endpoint: baseUrl.replace(/\/+$/, '') + healthPath,
+        type: options.type,
+        category: options.category
+      }
+    }],
+    skipped: []
+  };
+}
+
+function findHealthPath(paths) {
+  const candidates = Object.entries(paths)
+    .filter(([pathName, item]) => isObject(item) && isObject(item.get) && !pathName.includes('{'));
+
+  const tagged = candidates.find(([, item]) =>
+    (item.get.tags || []).some(tag => String(tag).toLowerCase() === 'health') ||
+    /health/i.test(item.get.operationId || ''));
+  if (tagged) return tagged[0];
+
+  const known = HEALTH_PATHS.find(healthPath => candidates.some(([pathName]) => pathName === healthPath));
+  return known || null;
+}
+
+// OpenAPI 3 servers (with variable defaults filled in) or Swagger 2
+// schemes/host/basePath. Relative server URLs can't be used.
+function serverUrl(spec) {
+  if (Array.isArray(spec.servers) && spec.servers.length > 0) {
+    const server = spec.servers[0];
+    const url = String(server.url || '').replace(/\{(\w+)\}/g, (match, name) => {
+      const variable = (server.variables || {})[name];
+      return variable && variable.default !== undefined ? variable.default : match;
+    });
+    return /^https?:\/\/[^{}]+$/.test(url) ? url : null;
+  }
+
+  if (spec.host) {
+    const scheme = (spec.schemes || []).includes('https') ? 'https' : (spec.schemes || ['http'])[0];
+    return `${scheme}://${spec.host}${spec.basePath || ''}`;
+  }
+
+  return null;
+}
+
+function isHttpUrl(value) {
+  try {
+    return ['http:', 'https:'].includes(new URL(value).protocol);
+  } catch (error) {
+    return false;
+  }
+}
+
+module.exports = { detect, propose };
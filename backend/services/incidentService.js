@@ -0,0 +1,261 @@
+const fs = require('fs');
+const path = require('path');
+const EventEmitter = require('events');
+
+// Incidents built from status transitions.
+//
+// An incident opens when a service is confirmed down. Services impacted by it
+// (see dependsOn) join the same incident rather than opening their own, and
+// every status change of a member is added to the timeline. The incident is
+// resolved once none of its services are down, impacted or still recovering.
+// Operators can acknowledge an incident and add notes.
+//
+// Each incident is stored as incidents/<id>.json and kept after it resolves.
+// Every change is emitted as "incident" with the updated incident. Who
+// acknowledged an incident and its notes are only for signed-in users; the
+// Socket.IO "incidents-update" broadcast leaves them out (see withoutOperators).
+class IncidentService extends EventEmitter {
+  constructor() {
+    super();
+    this.healthCheckService = null;
+    this.basePath = null;
+    this.openIncidents = new Map();
+    this.lastNumber = 0;
+  }
+
+  initialize(healthCheckService) {
+    this.healthCheckService = healthCheckService;
+    this.basePath = process.env.INCIDENTS_PATH || path.join(__dirname, '../../data/incidents');
+    fs.mkdirSync(this.basePath, { recursive: true });
+
+    this.readAll().forEach(incident => {
+      this.lastNumber = Math.max(this.lastNumber, incident.number);
+      if (incident.state === 'open') {
+        this.openIncidents.set(incident.id, incident);
+      }
+    });
+
+    healthCheckService.on('status-change', (change) => {
+      try {
+        this.handleStatusChange(change);
+      } catch (error) {
+        console.error('Error updating incidents:', error.message);
+      }
+    });
+
+    healthCheckService.on('config-change', () => this.handleConfigChange());
+  }
+
+  handleStatusChange({ service, previous, current }) {
+    if (!service) return;
+
+    let incident = this.findOpenIncident(service.id);
+
+    if (!isAffected(current)) {
+      if (!incident) return;
+
+      this.addEvent(incident, statusEvent(service, current));
+      this.resolveIfRecovered(incident);
+      this.save(incident);
+      return;
+    }
+
+    if (!incident && current.status === 'impacted') {
+      incident = (current.impactedBy || []).map(id => this.findOpenIncident(id)).find(Boolean) || null;
+    }
+
+    // Unconfirmed failures don't open incidents
+    if (!incident && current.status === 'pending') return;
+
+    if (!incident) {
+      incident = this.open(service, current);
+    } else if (!incident.services.includes(service.id)) {
+      incident.services.push(service.id);
+      this.addEvent(incident, { ...statusEvent(service, current), type: 'joined' });
+    } else if (!previous || previous.status !== current.status) {
+      this.addEvent(incident, statusEvent(service, current));
+    }
+
+    this.save(incident);
+  }
+
+  // Services removed from the configuration can no longer recover
+  handleConfigChange() {
+    this.openIncidents.forEach(incident => {
+      const removed = incident.services.filter(id => !this.healthCheckService.hasService(id));
+      if (removed.length === 0) return;
+
+      removed.forEach(serviceId => {
+        this.addEvent(incident, { type: 'removed', serviceId, message: 'Removed from configuration' });
+      });
+      incident.services = incident.services.filter(id => !removed.includes(id));
+      this.resolveIfRecovered(incident);
+      this.save(incident);
+    });
+  }
+
+  open(service, result) {
+    const number = ++this.lastNumber;
+    const incident = {
+      id: `INC-${number}`,
+      number: number,
+      title: `${service.name} ${result.status === 'impacted' ? 'impacted' : 'down'}`,
+      state: 'open',
+      rootServiceId: service.id,
+      services: [service.id],
+      openedAt: result.lastChecked,
+      resolvedAt: null,
+      durationSeconds: null,
+      acknowledgedBy: null,
+      acknowledgedAt: null,
+      timeline: []
+    };
+
+    this.addEvent(incident, { ...statusEvent(service, result), type: 'opened' });
+    this.openIncidents.set(incident.id, incident);
+    console.log(`Incident ${incident.id} opened: ${incident.title}`);
+
+    return incident;
+  }
+
+  // Services not checked yet (just after a restart) count as still affected
+  resolveIfRecovered(incident) {
+    const stillAffected = incident.services.some(serviceId => {
+      const status = this.healthCheckService.getServiceStatus(serviceId);
+      return !status || isAffected(status);
+    });
+    if (stillAffected) return;
+
+    const now = new Date();
+    incident.state = 'resolved';
+    incident.resolvedAt = now.toISOString();
+    incident.durationSeconds = Math.round((now.getTime() - Date.parse(incident.openedAt)) / 1000);
+    this.addEvent(incident, { type: 'resolved', message: 'All services recovered' });
+    this.openIncidents.delete(incident.id);
+
+    console.log(`Incident ${incident.id} resolved after ${incident.durationSeconds}s`);
+  }
+
+  acknowledge(incidentId, actor) {
+    const incident = this.getIncident(incidentId);
+    if (!incident || incident.acknowledgedBy) return incident;
+
+    incident.acknowledgedBy = actor;
+    incident.acknowledgedAt = new Date().toISOString();
+    this.addEvent(incident, { type: 'acknowledged', actor });
+    this.save(incident);
+
+    return incident;
+  }
+
+  addNote(incidentId, text, actor) {
+    const incident = this.getIncident(incidentId);
+    if (!incident) return null;
+
+    this.addEvent(incident, { type: 'note', actor, message: text });
+    this.save(incident);
+
+    return incident;
+  }
+
+  addEvent(incident, event) {
+    incident.timeline.push({ timestamp: new Date().toISOString(), ...event });
+  }
+
+  findOpenIncident(serviceId) {
+    return Array.from(this.openIncidents.values()).find(incident => incident.services.includes(serviceId)) || null;
+  }
+
+  getOpenIncidents() {
+    return Array.from(this.openIncidents.values()).sort((a, b) => b.number - a.number);
+  }
+
+  getIncident(incidentId) {
+    if (this.openIncidents.has(incidentId)) {
+      return this.openIncidents.get(incidentId);
+    }
+
+    const file = this.incidentFile(incidentId);
+    if (!/^INC-\d+$/.test(incidentId) || !fs.existsSync(file)) return null;
+    return JSON.parse(fs.readFileSync(file, 'utf8'));
+  }
+
+  // Incidents overlapping [from, to], newest first
+  getIncidents({ state = null, serviceId = null, from = null, to = null, limit = 50 } = {}) {
+    return this.readAll()
+      .filter(incident => !state || incident.state === state)
+      .filter(incident => !serviceId || incident.services.includes(serviceId) ||
+        incident.timeline.some(event => event.serviceId === serviceId))
+      .filter(incident => !to || Date.parse(incident.openedAt) <= to.getTime())
+      .filter(incident => !from || !incident.resolvedAt || Date.parse(incident.resolvedAt) >= from.getTime())
+      .sort((a, b) => b.number - a.number)
+      .slice(0, limit);
+  }
+
+  readAll() {
+    return fs.readdirSync(this.basePath)
+      .filter(file => /^INC-\d+\.json$/.test(file))
+      .map(file => {
+        try {
+          return JSON.parse(fs.readFileSync(path.join(this.basePath, file), 'utf8'));
+        } catch (error) {
+          return null;
+        }
+      })
+      .filter(Boolean)
+      .map(incident => this.openIncidents.get(incident.id) || incident);
+  }
+
+  save(incident) {
+    try {
+      fs.writeFileSync(this.incidentFile(incident.id), JSON.stringify(incident, null, 2), 'utf8');
+    } catch (error) {
+      console.error('Error saving incident:', error.message);
+    }
+
+    this.emit('incident', incident);
+
+    if (this.healthCheckService.io) {
+      this.healthCheckService.io.emit('incidents-update', {
+        timestamp: new Date().toISOString(),
+        incidents: this.getOpenIncidents().map(open => this.withoutOperators(open))
+      });
+    }
+  }
+
+  // A copy for anonymous readers: no acknowledger, notes or actors
+  withoutOperators(incident) {
+    const { acknowledgedBy, timeline, ...summary } = incident;
+    return {
+      ...summary,
+      timeline: timeline
+        .filter(event => event.type !== 'note')
+        .map(({ actor, ...event }) => event)
+    };
+  }
+
+  incidentFile(incidentId) {
+    return path.join(this.basePath, `${incidentId}.json`);
+  }
+}
+
+// Down, impacted, or confirmed down and not yet recovered. A service under
+// maintenance counts by the status its check would otherwise have.
+function isAffected(result) {
+  const status = result.status === 'maintenance' ? result.checkStatus : result.status;
+  if (status === 'pending') {
+    return !!(result.confirmation && result.confirmation.direction === 'up');
+  }
+  return status === 'down' || status === 'impacted';
+}
+
+function statusEvent(service, result) {
+  return {
+    type: 'status',
+    serviceId: service.id,
+    status: result.status,
+    message: result.message
+  };
+}
+
+module.exports = new IncidentService();
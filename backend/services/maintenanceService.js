@@ -0,0 +1,196 @@
+const fs = require('fs');
+const path = require('path');
+const crypto = require('crypto');
+const { parseCron, findOccurrence } = require('./schedule');
+const { ConfigValidationError } = require('./configValidator');
+
+const MINUTE_MS = 60 * 1000;
+
+// Scheduled maintenance windows and ad-hoc silences.
+//
+// Windows live in the "maintenance" section of services.json, so they are
+// validated and versioned with the rest of the configuration:
+//   { id, services, categories, start, end, reason }                one-off
+//   { id, services, categories, schedule, durationMinutes, reason } recurring (cron)
+// Silences are short-lived and kept in their own file so they survive a
+// restart without touching the configuration.
+//
+// A service covered by either reports the "maintenance" status and does not
+// alert. Services whose coverage starts or ends are re-checked straight away.
+class MaintenanceService {
+  constructor() {
+    this.healthCheckService = null;
+    this.silencesPath = null;
+    this.silences = [];
+    this.activeIds = new Set();
+    this.refreshInterval = null;
+  }
+
+  initialize(healthCheckService) {
+    this.healthCheckService = healthCheckService;
+    this.silencesPath = process.env.SILENCES_PATH || path.join(__dirname, '../../data/silences.json');
+    this.silences = this.loadSilences();
+
+    healthCheckService.on('config-change', () => this.refresh());
+
+    if (!this.refreshInterval) {
+      this.refreshInterval = setInterval(() => this.refresh(), MINUTE_MS);
+      this.refreshInterval.unref();
+    }
+  }
+
+  getWindows() {
+    return (this.healthCheckService && this.healthCheckService.maintenance) || [];
+  }
+
+  // Windows with whether they are running now and, if so, until when
+  getWindowStates(at = new Date()) {
+    return this.getWindows().map(window => {
+      const period = activePeriod(window, at);
+      return {
+        ...window,
+        active: !!period,
+        until: period ? period.end.toISOString() : null
+      };
+    });
+  }
+
+  getSilences(at = new Date()) {
+    return this.silences.filter(silence => Date.parse(silence.until) > at.getTime());
+  }
+
+  // The window or silence covering a service as { kind, id, reason, until },
+  // or null. When several apply, the one lasting longest wins.
+  getActiveMaintenance(service, at = new Date()) {
+    let active = null;
+
+    const consider = (kind, item, end) => {
+      if (!active || end.getTime() > Date.parse(active.until)) {
+        active = { kind, id: item.id, reason: item.reason || null, until: end.toISOString() };
+      }
+    };
+
+    this.getWindows().forEach(window => {
+      if (!covers(window, service)) return;
+      const period = activePeriod(window, at);
+      if (period) consider('window', window, period.end);
+    });
+
+    this.getSilences(at).forEach(silence => {
+      const matches = silence.serviceId ? silence.serviceId === service.id : silence.category === service.category;
+      if (matches) consider('silence', silence, new Date(silence.until));
+    });
+
+    return active;
+  }
+
+  addSilence({ serviceId, category, minutes, reason }, actor) {
+    const now = new Date();
+    const silence = {
+      id: crypto.randomUUID(),
+      ...(serviceId ? { serviceId } : { category }),
+      reason: reason || null,
+      createdBy: actor || null,
+      createdAt: now.toISOString(),
+      until: new Date(now.getTime() + minutes * MINUTE_MS).toISOString()
+    };
+
+    this.silences = [...this.getSilences(now), silence];
+    this.saveSilences();
+    this.refresh();
+
+    return silence;
+  }
+
+  removeSilence(silenceId) {
+    const silence = this.silences.find(item => item.id === silenceId);
+    if (!silence) return null;
+
+    this.silences = this.getSilences().filter(item => item.id !== silenceId);
+    this.saveSilences();
+    this.refresh();
+
+    return silence;
+  }
+
+  addWindow(window, actor) {
+    return this.healthCheckService.modifyConfiguration(config => {
+      const windows = config.maintenance || [];
+      if (windows.some(existing => existing.id === window.id)) {
+        throw new ConfigValidationError([{ path: `maintenance[${windows.length}].id`, message: `Maintenance window "${window.id}" already exists` }]);
+      }
+      config.maintenance = [...windows, window];
+      return window;
+    }, { action: 'add-maintenance', actor });
+  }
+
+  removeWindow(windowId, actor) {
+    return this.healthCheckService.modifyConfiguration(config => {
+      const window = (config.maintenance || []).find(existing => existing.id === windowId);
+      config.maintenance = (config.maintenance || []).filter(existing => existing.id !== windowId);
+      if (config.maintenance.length === 0) delete config.maintenance;
+      return window;
+    }, { action: 'delete-maintenance', actor });
+  }
+
+  // Re-check services entering or leaving maintenance so their tiles change
+  // now rather than at their next poll
+  refresh() {
+    if (!this.healthCheckService) return;
+
+    const now = new Date();
+    const active = new Set(this.healthCheckService.services
+      .filter(service => this.getActiveMaintenance(service, now))
+      .map(service => service.id));
+
+    const changed = [...active].filter(id => !this.activeIds.has(id))
+      .concat([...this.activeIds].filter(id => !active.has(id)));
+
+    this.activeIds = active;
+
+    changed.forEach(serviceId => {
+      this.healthCheckService.checkServiceNow(serviceId).catch(error => {
+        console.error(`Error re-checking ${serviceId}:`, error.message);
+      });
+    });
+  }
+
+  loadSilences() {
+    try {
+      if (!fs.existsSync(this.silencesPath)) return [];
+      const silences = JSON.parse(fs.readFileSync(this.silencesPath, 'utf8'));
+      return Array.isArray(silences) ? silences : [];
+    } catch (error) {
+      console.error('Error loading silences:', error.message);
+      return [];
+    }
+  }
+
+  saveSilences() {
+    try {
+      fs.mkdirSync(path.dirname(this.silencesPath), { recursive: true });
+      fs.writeFileSync(this.silencesPath, JSON.stringify(this.silences, null, 2), 'utf8');
+    } catch (error) {
+      console.error('Error saving silences:', error.message);
+    }
+  }
+}
+
+function covers(window, service) {
+  return (window.services || []).includes(service.id) ||
+    (window.categories || []).includes(service.category);
+}
+
+// { start, end } of the window's period covering `at`, or null
+function activePeriod(window, at) {
+  if (window.schedule) {
+    const start = findOccurrence(parseCron(window.schedule), window.durationMinutes, at);
+    return start ? { start, end: new Date(start.getTime() + window.durationMinutes * MINUTE_MS) } : null;
+  }
+
+  const start = new Date(window.start);
+  const end = new Date(window.end);
+  return at >= start && at < end ? { start, end } : null;
+}
+
+module.exports = new MaintenanceService();
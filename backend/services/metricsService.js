@@ -0,0 +1,141 @@
+// Prometheus metrics built from health check results.
+//
+// Every check attempt (retries included) updates the counters, the response
+// time histogram and the "last check" gauges of its service. Series are
+// labelled with the service's id, name, type, category, criticalService and
+// metadata.location as currently configured, and are dropped when the
+// service is removed.
+
+const PREFIX = 'service_monitor';
+const RESPONSE_TIME_BUCKETS = [0.05, 0.1, 0.25, 0.5, 1, 2, 5, 10];
+const STATUSES = ['healthy', 'warning', 'down', 'pending', 'impacted', 'maintenance'];
+
+class MetricsService {
+  constructor() {
+    this.healthCheckService = null;
+    this.series = new Map();
+  }
+
+  initialize(healthCheckService) {
+    this.healthCheckService = healthCheckService;
+
+    healthCheckService.on('check', ({ service, result }) => this.recordCheck(service, result));
+
+    healthCheckService.on('config-change', () => {
+      this.series.forEach((series, serviceId) => {
+        if (!healthCheckService.hasService(serviceId)) {
+          this.series.delete(serviceId);
+        }
+      });
+    });
+  }
+
+  recordCheck(service, result) {
+    if (!this.series.has(service.id)) {
+      this.series.set(service.id, {
+        checks: 0,
+        failures: 0,
+        buckets: RESPONSE_TIME_BUCKETS.map(() => 0),
+        sum: 0,
+        last: null
+      });
+    }
+
+    const series = this.series.get(service.id);
+    const seconds = result.responseTime / 1000;
+
+    series.checks++;
+    if (result.status === 'down') series.failures++;
+    series.sum += seconds;
+    RESPONSE_TIME_BUCKETS.forEach((bound, index) => {
+      if (seconds <= bound) series.buckets[index]++;
+    });
+    series.last = result;
+  }
+
+  // Prometheus text exposition format 0.0.4
+  render() {
+    const services = this.healthCheckService.services.filter(service => this.series.has(service.id));
+    const lines = [];
+
+    const metric = (name, type, help, samples) => {
+      lines.push(`# HELP ${PREFIX}_${name} ${help}`);
+      lines.push(`# TYPE ${PREFIX}_${name} ${type}`);
+      samples.forEach(([suffix, labels, value]) => {
+        lines.push(`${PREFIX}_${name}${suffix}${formatLabels(labels)} ${formatValue(value)}`);
+      });
+    };
+
+    const perService = (valueFor) => services
+      .map(service => [service, this.series.get(service.id)])
+      .flatMap(([service, series]) => {
+        const value = valueFor(series, service);
+        return value === null || value === undefined ? [] : [['', serviceLabels(service), value]];
+      });
+
+    metric('up', 'gauge', 'Whether the last check succeeded (1) or failed (0).',
+      perService(series => series.last.status === 'down' ? 0 : 1));
+
+    metric('status', 'gauge', 'Dashboard status of the service after confirmation, dependencies and maintenance (1 for the current status).',
+      services.flatMap(service => {
+        const current = this.healthCheckService.getServiceStatus(service.id);
+        if (!current) return [];
+        return STATUSES.map(status => ['', { ...serviceLabels(service), status }, current.status === status ? 1 : 0]);
+      }));
+
+    metric('http_status_code', 'gauge', 'HTTP status code returned by the last check.',
+      perService(series => series.last.statusCode));
+
+    metric('last_response_time_seconds', 'gauge', 'Response time of the last check in seconds.',
+      perService(series => series.last.responseTime / 1000));
+
+    metric('last_check_timestamp_seconds', 'gauge', 'Unix time of the last check.',
+      perService(series => Date.parse(series.last.lastChecked) / 1000));
+
+    metric('checks_total', 'counter', 'Checks run, including retries.',
+      perService(series => series.checks));
+
+    metric('check_failures_total', 'counter', 'Checks that failed, including retries.',
+      perService(series => series.failures));
+
+    metric('response_time_seconds', 'histogram', 'Check response times in seconds.',
+      services.flatMap(service => {
+        const series = this.series.get(service.id);
+        const labels = serviceLabels(service);
+        return [
+          ...RESPONSE_TIME_BUCKETS.map((bound, index) => ['_bucket', { ...labels, le: String(bound) }, series.buckets[index]]),
+          ['_bucket', { ...labels, le: '+Inf' }, series.checks],
+          ['_sum', labels, series.sum],
+          ['_count', labels, series.checks]
+        ];
+      }));
+
+    return lines.join('\n') + '\n';
+  }
+}
+
+function serviceLabels(service) {
+  return {
+    service: service.id,
+    name: service.name,
+    type: service.type || '',
+    category: service.category || '',
+    critical: service.criticalService ? 'true' : 'false',
+    location: (service.metadata && service.metadata.location) || ''
+  };
+}
+
+function formatLabels(labels) {
+  const pairs = Object.entries(labels).map(([name, value]) => `${name}="${escapeLabelValue(value)}"`);
+  return `{${pairs.join(',')}}`;
+}
+
+function escapeLabelValue(value) {
+  return String(value).replace(/\\/g, '\\\\').replace(/\n/g, '\\n').replace(/"/g, '\\"');
+}
+
+function formatValue(value) {
+  return Number.isInteger(value) ? String(value) : String(Math.round(value * 1000000) / 1000000);
+}
+
+module.exports = new MetricsService();
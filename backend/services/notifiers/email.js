@@ -0,0 +1,30 @@
+const nodemailer = require('nodemailer');
+const { formatSubject, formatBody } = require('./format');
+
+// SMTP email. Credentials may be given inline or via "userEnv"/"passEnv"
+// naming environment variables, so they can stay out of services.json.
+async function send(config, alert) {
+  if (!config.host || !config.to) {
+    throw new Error('SMTP host and recipient are required');
+  }
+
+  const user = config.userEnv ? process.env[config.userEnv] : config.user;
+  const pass = config.passEnv ? process.env[config.passEnv] : config.pass;
+
+  const transport = nodemailer.createTransport({
+    host: config.host,
+    port: config.port || 587,
+    secure: config.secure === true,
+    ignoreTLS: config.ignoreTLS === true,
+    ...(user && { auth: { user, pass } })
+  });
+
+  await transport.sendMail({
+    from: config.from || 'status-dashboard@localhost',
+    to: Array.isArray(config.to) ? config.to.join(', ') : config.to,
+    subject: formatSubject(alert),
+    text: formatBody(alert)
+  });
+}
+
+module.exports = { send };
@@ -0,0 +1,37 @@
+// Human-readable alert text shared by the chat and email notifiers
+
+function formatSubject(alert) {
+  const state = alert.event === 'down' ? 'DOWN' : 'RECOVERED';
+  return `[${state}] ${alert.serviceName}`;
+}
+
+function formatBody(alert) {
+  const lines = [];
+
+  if (alert.event === 'down') {
+    lines.push(`${alert.serviceName} is down${alert.message ? `: ${alert.message}` : ''}`);
+  } else {
+    lines.push(`${alert.serviceName} has recovered (${alert.status})`);
+    if (alert.downtimeSeconds !== null) {
+      lines.push(`Down for ${formatDuration(alert.downtimeSeconds)}`);
+    }
+  }
+
+  lines.push(`Category: ${alert.category}${alert.criticalService ? ' (critical)' : ''}`);
+  if (alert.location) {
+    lines.push(`Location: ${alert.location}`);
+  }
+  lines.push(`Time: ${alert.timestamp}`);
+
+  return lines.join('\n');
+}
+
+function formatDuration(seconds) {
+  if (seconds < 60) return `${seconds}s`;
+
+  const hours = Math.floor(seconds / 3600);
+  const minutes = Math.floor((seconds % 3600) / 60);
+  return hours > 0 ? `${hours}h ${minutes}m` : `${minutes}m`;
+}
+
+module.exports = { formatSubject, formatBody };
@@ -0,0 +1,16 @@
+const webhook = require('./webhook');
+const slack = require('./slack');
+const email = require('./email');
+
+// Notifier types available to "alerts.notifiers" in services.json
+const notifiers = {
+  webhook,
+  slack,
+  email
+};
+
+function getNotifier(type) {
+  return notifiers[type] || null;
+}
+
+module.exports = { getNotifier, notifierTypes: Object.keys(notifiers) };
@@ -0,0 +1,15 @@
+const { postJson, notifierUrl } = require('./webhook');
+const { formatSubject, formatBody } = require('./format');
+
+// Slack-format incoming webhook (also accepted by Mattermost, Rocket.Chat, etc.)
+async function send(config, alert) {
+  const icon = alert.event === 'down' ? ':red_circle:' : ':large_green_circle:';
+
+  await postJson(notifierUrl(config), {
+    ...(config.channel && { channel: config.channel }),
+    ...(config.username && { username: config.username }),
+    text: `${icon} *${formatSubject(alert)}*\n${formatBody(alert)}`
+  }, config);
+}
+
+module.exports = { send };
@@ -0,0 +1,41 @@
+const DEFAULT_TIMEOUT = 5000;
+
+// Generic webhook: POSTs the alert as JSON
+async function send(config, alert) {
+  await postJson(notifierUrl(config), alert, config);
+}
+
+// The URL may be given inline or via "urlEnv" naming an environment
+// variable, since webhook URLs often embed their token
+function notifierUrl(config) {
+  return config.urlEnv ? process.env[config.urlEnv] : config.url;
+}
+
+async function postJson(url, payload, config = {}) {
+  if (!url) {
+    throw new Error('Webhook URL is not configured');
+  }
+
+  const controller = new AbortController();
+  const timeout = setTimeout(() => controller.abort(), config.timeout || DEFAULT_TIMEOUT);
+
+  try {
+    const response = await fetch(url, {
+      method: 'POST',
+      headers: {
+        'Content-Type': 'application/json',
+        ...(config.headers || {})
+      },
+      body: JSON.stringify(payload),
+      signal: controller.signal
+    });
+
+    if (!response.ok) {
+      throw new Error(`Webhook responded with HTTP ${response.status}`);
+    }
+  } finally {
+    clearTimeout(timeout);
+  }
+}
+
+module.exports = { send, postJson, notifierUrl };
@@ -0,0 +1,274 @@
+const { getCheckType } = require('./checks');
+const { redactService } = require('./redact');
+
+// The probe id for checks run by this server
+const LOCAL_PROBE = 'local';
+const DEFAULT_PROBE_TIMEOUT = 90;
+const LIVENESS_INTERVAL = 15000;
+const RESULT_STATUSES = ['healthy', 'warning', 'down'];
+// Probe messages become the service's message on the dashboard
+const MAX_MESSAGE_LENGTH = 200;
+
+// Settings probe agents need to run checks the way this server does
+const CHECK_SETTINGS = ['timeoutThreshold', 'warningThreshold', 'retryCount', 'retryDelay', 'defaultPollInterval'];
+// The parts of a service definition a probe agent needs to check it
+const CHECK_FIELDS = ['id', 'endpoint', 'check', 'request', 'assertions', 'pollInterval', 'retryCount', 'retryDelay'];
+
+// Probe agents (npm run probe) check services from other networks and report
+// the results here. A service with a probes list is checked from every
+// location it names, "local" being this server, and its status comes from
+// the locations' latest results:
+//   at least quorum (default a majority) down  -> down
+//   fewer down                                 -> warning
+//   none down                                  -> the worst of the others
+// A probe is online while it keeps calling in (settings.probeTimeout
+// seconds, default 90). Results from offline probes, or older than two poll
+// intervals, don't count. Everything is kept in memory.
+class ProbeService {
+  constructor() {
+    this.healthCheckService = null;
+    this.probes = new Map();
+    this.results = new Map();
+    this.livenessTimer = null;
+  }
+
+  initialize(healthCheckService) {
+    this.healthCheckService = healthCheckService;
+
+    healthCheckService.on('config-change', () => {
+      this.pruneResults();
+      this.broadcastProbes();
+    });
+
+    this.livenessTimer = setInterval(() => this.checkLiveness(), LIVENESS_INTERVAL);
+    this.livenessTimer.unref();
+  }
+
+  // Services assigned to a probe, with everything needed to check them
+  getAssignments(probeId) {
+    return this.healthCheckService.services.filter(service => (service.probes || []).includes(probeId));
+  }
+
+  // A probe called in: mark it online and return its assignments.
+  // info: { hostname, version } as reported by the agent
+  recordHeartbeat(probeId, info = {}) {
+    this.touch(probeId, info);
+
+    const settings = {};
+    CHECK_SETTINGS.forEach(key => {
+      if (this.healthCheckService.settings[key] !== undefined) settings[key] = this.healthCheckService.settings[key];
+    });
+
+    // Definitions as written; the agent resolves ${NAME} references and
+    // *Env secrets from its own environment
+    const assigned = new Set(this.getAssignments(probeId).map(service => service.id));
+    const services = this.healthCheckService.rawServices
+      .filter(service => assigned.has(service.id))
+      .map(toProbeService);
+
+    return { services, settings };
+  }
+
+  // Store a probe's raw check results. Results for services not assigned to
+  // the probe, or with an unknown status, are rejected.
+  // Returns { accepted, rejected: [{ id, reason }] }
+  recordResults(probeId, results) {
+    this.touch(probeId);
+
+    const assigned = new Set(this.getAssignments(probeId).map(service => service.id));
+    const rejected = [];
+    let accepted = 0;
+
+    results.forEach(result => {
+      const id = result && typeof result.id === 'string' ? result.id : null;
+
+      if (!id || !assigned.has(id)) {
+        rejected.push({ id, reason: 'Service is not assigned to this probe' });
+      } else if (!RESULT_STATUSES.includes(result.status)) {
+        rejected.push({ id, reason: `status must be one of: ${RESULT_STATUSES.join(', ')}` });
+      } else {
+        if (!this.results.has(id)) this.results.set(id, new Map());
+        this.results.get(id).set(probeId, {
+          status: result.status,
+          responseTime: Number(result.responseTime) || 0,
+          lastChecked: isNaN(Date.parse(result.lastChecked)) ? new Date().toISOString() : result.lastChecked,
+          message: typeof result.message === 'string' ? result.message.trim().slice(0, MAX_MESSAGE_LENGTH) || null : null,
+          receivedAt: Date.now()
+        });
+        accepted++;
+      }
+    });
+
+    return { accepted, rejected };
+  }
+
+  touch(probeId, info = {}) {
+    const probe = this.probes.get(probeId) || { id: probeId, online: false, hostname: null, version: null };
+
+    probe.lastSeen = Date.now();
+    if (typeof info.hostname === 'string') probe.hostname = info.hostname;
+    if (typeof info.version === 'string') probe.version = info.version;
+    this.probes.set(probeId, probe);
+
+    if (!probe.online) {
+      probe.online = true;
+      console.log(`Probe ${probeId} is online`);
+      this.broadcastProbes();
+    }
+  }
+
+  checkLiveness() {
+    const cutoff = Date.now() - this.getProbeTimeout();
+    let changed = false;
+
+    this.probes.forEach(probe => {
+      if (probe.online && probe.lastSeen < cutoff) {
+        probe.online = false;
+        changed = true;
+        console.warn(`Probe ${probe.id} is offline (last seen ${new Date(probe.lastSeen).toISOString()})`);
+      }
+    });
+
+    if (changed) this.broadcastProbes();
+  }
+
+  getProbeTimeout() {
+    return (this.healthCheckService.settings.probeTimeout || DEFAULT_PROBE_TIMEOUT) * 1000;
+  }
+
+  // Probes that have called in or are named by a service
+  getProbes() {
+    const ids = new Set(this.probes.keys());
+    this.healthCheckService.services.forEach(service => {
+      (service.probes || []).forEach(id => {
+        if (id !== LOCAL_PROBE) ids.add(id);
+      });
+    });
+
+    return Array.from(ids).sort().map(id => {
+      const probe = this.probes.get(id);
+      return {
+        id: id,
+        online: !!(probe && probe.online),
+        lastSeen: probe ? new Date(probe.lastSeen).toISOString() : null,
+        hostname: probe ? probe.hostname : null,
+        version: probe ? probe.version : null,
+        services: this.getAssignments(id).map(service => service.id)
+      };
+    });
+  }
+
+  // One result for a service with a probes list from the latest result of
+  // each location. localResult is this server's check, if it is one of them.
+  combineResults(service, localResult) {
+    const now = Date.now();
+    const maxAge = 2 * this.healthCheckService.getPollInterval(service);
+    const reported = this.results.get(service.id) || new Map();
+
+    const locations = service.probes.map(probeId => {
+      if (probeId === LOCAL_PROBE) return toLocation(probeId, localResult);
+
+      const probe = this.probes.get(probeId);
+      const result = reported.get(probeId);
+
+      if (!probe || !probe.online) {
+        return { probe: probeId, status: 'unknown', message: 'Probe offline' };
+      }
+      if (!result || now - result.receivedAt > maxAge) {
+        return { probe: probeId, status: 'unknown', message: 'No recent result' };
+      }
+      return toLocation(probeId, result);
+    });
+
+    const reporting = locations.filter(location => location.status !== 'unknown');
+    const down = reporting.filter(location => location.status === 'down');
+    const required = service.quorum || Math.floor(service.probes.length / 2) + 1;
+
+    let status;
+    let message;
+    if (reporting.length === 0) {
+      status = 'pending';
+      message = 'No results from probes';
+    } else if (down.length > 0) {
+      status = down.length >= required ? 'down' : 'warning';
+      message = `Down from ${down.length} of ${locations.length} locations (${down.map(location => location.probe).join(', ')})`;
+    } else {
+      const worst = reporting.find(location => location.status === 'warning') || reporting[0];
+      status = worst.status;
+      message = worst.message;
+    }
+
+    return {
+      id: service.id,
+      name: service.name,
+      status: status,
+      responseTime: median(reporting.map(location => location.responseTime)),
+      lastChecked: new Date().toISOString(),
+      message: message,
+      type: service.type,
+      category: service.category,
+      checkType: getCheckType(service),
+      locations: locations,
+      quorum: { down: down.length, total: locations.length, required: required }
+    };
+  }
+
+  // Drop results for services and probes no longer configured together
+  pruneResults() {
+    const services = new Map(this.healthCheckService.services.map(service => [service.id, service]));
+
+    this.results.forEach((byProbe, serviceId) => {
+      const service = services.get(serviceId);
+      byProbe.forEach((result, probeId) => {
+        if (!service || !(service.probes || []).includes(probeId)) byProbe.delete(probeId);
+      });
+      if (byProbe.size === 0) this.results.delete(serviceId);
+    });
+  }
+
+  broadcastProbes() {
+    if (this.healthCheckService.io) {
+      this.healthCheckService.io.emit('probes-update', {
+        timestamp: new Date().toISOString(),
+        probes: this.getProbes()
+      });
+    }
+  }
+}
+
+// Only what the check needs, with header values, credentials and exec env
+// redacted. The request body is kept so POST checks still work; secrets in
+// it should be ${NAME} references.
+function toProbeService(service) {
+  const fields = {};
+  CHECK_FIELDS.forEach(key => {
+    if (service[key] !== undefined) fields[key] = service[key];
+  });
+
+  const redacted = redactService(fields);
+  if (fields.request && fields.request.body !== undefined) {
+    redacted.request.body = fields.request.body;
+  }
+  return redacted;
+}
+
+function toLocation(probeId, result) {
+  return {
+    probe: probeId,
+    status: result.status,
+    responseTime: result.responseTime,
+    lastChecked: result.lastChecked,
+    message: result.message
+  };
+}
+
+function median(values) {
+  if (values.length === 0) return 0;
+
+  const sorted = values.slice().sort((a, b) => a - b);
+  const middle = Math.floor(sorted.length / 2);
+  return sorted.length % 2 ? sorted[middle] : Math.round((sorted[middle - 1] + sorted[middle]) / 2);
+}
+
+module.exports = new ProbeService();
+module.exports.LOCAL_PROBE = LOCAL_PROBE;
@@ -0,0 +1,151 @@
+// Inline secrets are never returned by the API; environment variable names
+// (such as "passEnv") are not secret and are returned as they are
+const REDACTED = '********';
+const NOTIFIER_SECRETS = ['url', 'user', 'pass'];
+
+// Any header can carry a key (X-Geotab-Key, X-Token, ...), so every inline
+// header value is hidden; headersEnv names are not secret
+function redactRequest(request) {
+  if (!request) return request;
+  
+  const redacted = { ...request };
+  
+  if (request.headers) {
+    redacted.headers = Object.fromEntries(Object.keys(request.headers).map(name => [name, REDACTED]));
+  }
+  
+  if (request.auth) {
+    redacted.auth = { ...request.auth };
+    if (redacted.auth.token) redacted.auth.token = REDACTED;
+    if (redacted.auth.password) redacted.auth.password = REDACTED;
+  }
+  
+  if (request.body !== undefined) {
+    redacted.body = REDACTED;
+  }
+  
+  return redacted;
+}
+
+// Values sent back unchanged from GET /api/config/services are still
+// redacted; keep the stored secret instead of saving the placeholder
+function restoreRedacted(service, existing) {
+  const request = service.request;
+  const previous = existing.request || {};
+  
+  if (request) {
+    if (request.headers) {
+      Object.keys(request.headers).forEach(name => {
+        if (request.headers[name] === REDACTED && previous.headers) {
+          request.headers[name] = previous.headers[name];
+        }
+      });
+    }
+    
+    if (request.auth && previous.auth) {
+      if (request.auth.token === REDACTED) request.auth.token = previous.auth.token;
+      if (request.auth.password === REDACTED) request.auth.password = previous.auth.password;
+    }
+    
+    if (request.body === REDACTED) {
+      request.body = previous.body;
+    }
+  }
+  
+  if (service.check && service.check.env && existing.check && existing.check.env) {
+    Object.keys(service.check.env).forEach(name => {
+      if (service.check.env[name] === REDACTED) {
+        service.check.env[name] = existing.check.env[name];
+      }
+    });
+  }
+}
+
+function redactCheck(check) {
+  if (!check || !check.env) return check;
+  
+  const env = {};
+  Object.keys(check.env).forEach(name => {
+    env[name] = REDACTED;
+  });
+  
+  return { ...check, env };
+}
+
+function redactService(service) {
+  if (!service) return service;
+  
+  return {
+    ...service,
+    ...(service.request && { request: redactRequest(service.request) }),
+    ...(service.check && { check: redactCheck(service.check) })
+  };
+}
+
+// Notifier headers often carry webhook tokens, so all of their values are
+// hidden, as are webhook and Slack URLs (which embed their token) and email
+// credentials
+function redactNotifier(notifier) {
+  if (!notifier || typeof notifier !== 'object') return notifier;
+  
+  const redacted = { ...notifier };
+  
+  if (notifier.headers) {
+    redacted.headers = Object.fromEntries(Object.keys(notifier.headers).map(header => [header, REDACTED]));
+  }
+  
+  NOTIFIER_SECRETS.forEach(field => {
+    if (notifier[field]) redacted[field] = REDACTED;
+  });
+  
+  return redacted;
+}
+
+// Redacted notifier values sent back unchanged keep the stored ones
+function restoreNotifiers(notifiers, existingNotifiers) {
+  Object.entries(notifiers || {}).forEach(([name, notifier]) => {
+    const existing = (existingNotifiers || {})[name];
+    if (!notifier || typeof notifier !== 'object' || !existing) return;
+    
+    if (notifier.headers && existing.headers) {
+      Object.keys(notifier.headers).forEach(header => {
+        if (notifier.headers[header] === REDACTED) notifier.headers[header] = existing.headers[header];
+      });
+    }
+    
+    NOTIFIER_SECRETS.forEach(field => {
+      if (notifier[field] === REDACTED) notifier[field] = existing[field];
+    });
+  });
+}
+
+function redactConfig(config) {
+  if (!config) return config;
+  
+  const redacted = { ...config };
+  
+  if (Array.isArray(config.services)) {
+    redacted.services = config.services.map(redactService);
+  }
+  
+  if (config.alerts && config.alerts.notifiers) {
+    const notifiers = {};
+    Object.entries(config.alerts.notifiers).forEach(([name, notifier]) => {
+      notifiers[name] = redactNotifier(notifier);
+    });
+    redacted.alerts = { ...config.alerts, notifiers };
+  }
+  
+  return redacted;
+}
+
+module.exports = {
+  REDACTED,
+  redactService,
+  redactRequest,
+  redactCheck,
+  redactNotifier,
+  redactConfig,
+  restoreRedacted,
+  restoreNotifiers
+};
@@ -0,0 +1,203 @@
+const { getAdapter } = require('./scales');
+
+const NAMESPACE = '/scale-data';
+const TREND_LENGTH = 60;
+const EVALUATE_INTERVAL = 5000;
+const DEFAULTS = {
+  unit: 'kg',
+  min: 0,
+  zeroAfter: 600,
+  stuckAfter: 120,
+  staleAfter: 30
+};
+
+// Live weights from the scale stations. Services with a "scale" section have
+// a reader started for them (see scales/), and every reading is sent on the
+// /scale-data Socket.IO namespace as "scale-data":
+//   { serviceId, weight, unit, timestamp, condition }
+// New connections get "scale-snapshot" with each station's latest reading
+// and recent trend.
+//
+// Readings don't decide whether a scale is up; its check does. But while the
+// check is healthy, bad readings turn the tile into a warning:
+//   out-of-range  below scale.min (default 0) or above scale.max
+//   zero          0 for scale.zeroAfter seconds (default 600)
+//   stuck         the same other weight for scale.stuckAfter seconds (default 120)
+//   no-data       nothing for scale.staleAfter seconds (default 30)
+class ScaleService {
+  constructor() {
+    this.healthCheckService = null;
+    this.namespace = null;
+    this.stations = new Map();
+    this.evaluateTimer = null;
+  }
+
+  initialize(healthCheckService, io) {
+    this.healthCheckService = healthCheckService;
+    this.namespace = io.of(NAMESPACE);
+
+    this.namespace.on('connection', socket => {
+      socket.emit('scale-snapshot', {
+        timestamp: new Date().toISOString(),
+        stations: this.getStations()
+      });
+    });
+
+    healthCheckService.on('config-change', () => this.syncStations());
+
+    this.evaluateTimer = setInterval(() => {
+      this.stations.forEach(station => this.evaluate(station));
+    }, EVALUATE_INTERVAL);
+    this.evaluateTimer.unref();
+  }
+
+  // Start readers for new scales, restart changed ones and stop removed ones
+  syncStations() {
+    const configured = new Map(this.healthCheckService.services
+      .filter(service => service.scale)
+      .map(service => [service.id, service]));
+
+    this.stations.forEach((station, serviceId) => {
+      const service = configured.get(serviceId);
+
+      if (!service || stationKey(service) !== station.key) {
+        station.stop();
+        this.stations.delete(serviceId);
+      } else {
+        station.service = service;
+      }
+    });
+
+    configured.forEach((service, serviceId) => {
+      if (!this.stations.has(serviceId)) this.startStation(service);
+    });
+  }
+
+  startStation(service) {
+    const station = {
+      service: service,
+      key: stationKey(service),
+      startedAt: Date.now(),
+      last: null,
+      since: null,
+      trend: [],
+      error: null,
+      condition: null,
+      stop: null
+    };
+
+    station.stop = getAdapter(service.scale.adapter).start(service, {
+      timeout: this.healthCheckService.settings.timeoutThreshold,
+      onReading: weight => this.recordReading(station, weight),
+      onError: error => {
+        if (station.error !== error.message) {
+          console.error(`Scale ${service.id}: ${error.message}`);
+        }
+        station.error = error.message;
+      }
+    });
+
+    this.stations.set(service.id, station);
+  }
+
+  recordReading(station, weight) {
+    const now = Date.now();
+
+    if (!station.last || station.last.weight !== weight) {
+      station.since = now;
+    }
+    station.last = { weight: weight, time: now };
+    station.error = null;
+    station.trend.push(weight);
+    if (station.trend.length > TREND_LENGTH) station.trend.shift();
+
+    this.evaluate(station);
+
+    this.namespace.emit('scale-data', {
+      serviceId: station.service.id,
+      weight: weight,
+      unit: setting(station, 'unit'),
+      timestamp: new Date(now).toISOString(),
+      condition: station.condition
+    });
+  }
+
+  // Update the station's condition. When it starts or stops, or changes
+  // kind, the service is checked again so its tile follows straight away.
+  evaluate(station) {
+    const condition = findCondition(station, Date.now());
+    const changed = (condition && condition.type) !== (station.condition && station.condition.type);
+
+    station.condition = condition;
+
+    if (changed) {
+      const { id } = station.service;
+      console.log(condition ? `Scale ${id}: ${condition.message}` : `Scale ${id}: readings back to normal`);
+      this.healthCheckService.checkServiceNow(id).catch(error => {
+        console.error(`Error re-checking ${id}:`, error.message);
+      });
+    }
+  }
+
+  // { type, message } while a scale's readings look wrong, otherwise null
+  getCondition(serviceId) {
+    const station = this.stations.get(serviceId);
+    return station ? station.condition : null;
+  }
+
+  getStations() {
+    return Array.from(this.stations.values()).map(station => ({
+      serviceId: station.service.id,
+      name: station.service.name,
+      weight: station.last ? station.last.weight : null,
+      unit: setting(station, 'unit'),
+      timestamp: station.last ? new Date(station.last.time).toISOString() : null,
+      condition: station.condition,
+      trend: station.trend.slice()
+    }));
+  }
+}
+
+function findCondition(station, now) {
+  const { last } = station;
+  const unit = setting(station, 'unit');
+  const max = station.service.scale.max;
+  const lastHeard = last ? last.time : station.startedAt;
+
+  if (now - lastHeard >= setting(station, 'staleAfter') * 1000) {
+    return {
+      type: 'no-data',
+      message: station.error ? `No weight readings (${station.error})` : 'No weight readings'
+    };
+  }
+
+  if (!last) return null;
+
+  if (last.weight < setting(station, 'min') || (max !== undefined && last.weight > max)) {
+    return { type: 'out-of-range', message: `Weight out of range (${last.weight} ${unit})` };
+  }
+
+  const unchanged = now - station.since;
+
+  if (last.weight === 0 && unchanged >= setting(station, 'zeroAfter') * 1000) {
+    return { type: 'zero', message: `Reading zero for ${Math.round(unchanged / 60000)} min` };
+  }
+
+  if (last.weight !== 0 && unchanged >= setting(station, 'stuckAfter') * 1000) {
+    return { type: 'stuck', message: `Reading stuck at ${last.weight} ${unit}` };
+  }
+
+  return null;
+}
+
+function setting(station, key) {
+  const value = station.service.scale[key];
+  return value !== undefined ? value : DEFAULTS[key];
+}
+
+// Readers restart when the scale settings or the endpoint they default to change
+function stationKey(service) {
+  return JSON.stringify({ endpoint: service.endpoint, scale: service.scale });
+}
+
+module.exports = new ScaleService();
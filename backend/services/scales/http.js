@@ -0,0 +1,55 @@
+// Polls scale.url every scale.interval seconds (default 1). The response is
+// either JSON, with the weight at scale.field (a dot path, default "weight"),
+// or plain text holding the number.
+function start(service, { onReading, onError, timeout }) {
+  const scale = service.scale;
+  const field = scale.field || 'weight';
+  let stopped = false;
+  let timer = null;
+
+  const poll = async () => {
+    const controller = new AbortController();
+    const abort = setTimeout(() => controller.abort(), timeout);
+
+    try {
+      const response = await fetch(scale.url, { signal: controller.signal });
+      if (!response.ok) {
+        throw new Error(`HTTP ${response.status}`);
+      }
+
+      const text = await response.text();
+      const weight = readWeight(text, field);
+      if (weight === null) {
+        throw new Error(`No weight in response (expected "${field}")`);
+      }
+
+      if (!stopped) onReading(weight);
+    } catch (error) {
+      if (!stopped) onError(error.name === 'AbortError' ? new Error('Timeout') : error);
+    } finally {
+      clearTimeout(abort);
+      if (!stopped) timer = setTimeout(poll, (scale.interval || 1) * 1000);
+    }
+  };
+
+  poll();
+
+  return () => {
+    stopped = true;
+    clearTimeout(timer);
+  };
+}
+
+function readWeight(text, field) {
+  let value;
+  try {
+    value = field.split('.').reduce((object, key) => (object == null ? undefined : object[key]), JSON.parse(text));
+  } catch (error) {
+    value = text.trim();
+  }
+
+  const weight = typeof value === 'number' ? value : parseFloat(value);
+  return Number.isFinite(weight) ? weight : null;
+}
+
+module.exports = { start };
@@ -0,0 +1,18 @@
+const http = require('./http');
+const tcp = require('./tcp');
+const mock = require('./mock');
+
+// Adapters available to a service's "scale.adapter". Each one is started
+// with start(service, { onReading, onError, timeout }) and returns a
+// function that stops it. onReading gets the weight as a number.
+const adapters = {
+  http,
+  tcp,
+  mock
+};
+
+function getAdapter(type) {
+  return adapters[type] || null;
+}
+
+module.exports = { getAdapter, adapterTypes: Object.keys(adapters) };
@@ -0,0 +1,26 @@
+// Made-up readings for trying the dashboard without scales: loads of random
+// weight between scale.min and scale.max (default 0-100) placed on the scale
+// and taken off again, one reading every scale.interval seconds (default 1)
+function start(service, { onReading }) {
+  const scale = service.scale;
+  const min = scale.min !== undefined ? scale.min : 0;
+  const max = scale.max !== undefined ? scale.max : 100;
+  const empty = Math.max(min, 0);
+  let load = empty;
+  let remaining = 0;
+
+  const timer = setInterval(() => {
+    if (remaining <= 0) {
+      load = load === empty ? min + Math.random() * (max - min) : empty;
+      remaining = 5 + Math.floor(Math.random() * 10);
+    }
+    remaining--;
+
+    const settling = load === empty ? 0 : (Math.random() - 0.5) * (max - min) * 0.002;
+    onReading(Math.round(Math.min(max, Math.max(min, load + settling)) * 100) / 100);
+  }, (scale.interval || 1) * 1000);
+
+  return () => clearInterval(timer);
+}
+
+module.exports = { start };
@@ -0,0 +1,51 @@
+const net = require('net');
+
+const RECONNECT_DELAY = 5000;
+
+// Reads the continuous output of a scale indicator, or a serial port shared
+// over the network, from scale.host (default: the endpoint's host) and
+// scale.port. Each line is one reading; the first number on it is the
+// weight, so formats such as "ST,GS,+0012.45kg" work as they are.
+function start(service, { onReading, onError, timeout }) {
+  const scale = service.scale;
+  const host = scale.host || new URL(service.endpoint).hostname;
+  let stopped = false;
+  let socket = null;
+  let reconnect = null;
+
+  const connect = () => {
+    let buffer = '';
+    socket = net.connect({ host, port: scale.port });
+    socket.setTimeout(timeout);
+
+    socket.on('data', data => {
+      buffer += data.toString('latin1');
+      const lines = buffer.split(/\r?\n|\r/);
+      buffer = lines.pop();
+
+      lines.forEach(line => {
+        const match = /[-+]?\d+(\.\d+)?/.exec(line);
+        if (match) onReading(parseFloat(match[0]));
+      });
+    });
+
+    // No data for a while counts as a failure; reconnect in case the link is dead
+    socket.on('timeout', () => socket.destroy(new Error('No data')));
+    socket.on('error', error => {
+      if (!stopped) onError(error.code === 'ECONNREFUSED' ? new Error('Connection Refused') : error);
+    });
+    socket.on('close', () => {
+      if (!stopped) reconnect = setTimeout(connect, RECONNECT_DELAY);
+    });
+  };
+
+  connect();
+
+  return () => {
+    stopped = true;
+    clearTimeout(reconnect);
+    if (socket) socket.destroy();
+  };
+}
+
+module.exports = { start };
@@ -0,0 +1,122 @@
+// Cron expressions for recurring maintenance windows.
+//
+// Standard five fields in server local time: minute hour day-of-month month
+// day-of-week. Each field takes *, numbers, ranges (1-5), lists (1,3,5) and
+// steps (*/15, 8-18/2). Day-of-week 0 and 7 are both Sunday.
+
+const MINUTE_MS = 60 * 1000;
+
+const FIELDS = [
+  { name: 'minute', min: 0, max: 59 },
+  { name: 'hour', min: 0, max: 23 },
+  { name: 'day of month', min: 1, max: 31 },
+  { name: 'month', min: 1, max: 12 },
+  { name: 'day of week', min: 0, max: 7 }
+];
+
+// Returns { minute, hour, dayOfMonth, month, dayOfWeek } as sets of allowed
+// values, plus which day fields were restricted. Throws on invalid syntax.
+function parseCron(expression) {
+  const parts = String(expression || '').trim().split(/\s+/);
+  if (parts.length !== 5) {
+    throw new Error(`Cron expression "${expression}" must have 5 fields`);
+  }
+
+  const [minute, hour, dayOfMonth, month, dayOfWeek] = parts.map((part, index) => parseField(part, FIELDS[index]));
+
+  // Sunday may be written as 7
+  if (dayOfWeek.has(7)) dayOfWeek.add(0);
+
+  return {
+    minute,
+    hour,
+    dayOfMonth,
+    month,
+    dayOfWeek,
+    anyDayOfMonth: parts[2] === '*',
+    anyDayOfWeek: parts[4] === '*'
+  };
+}
+
+function parseField(part, field) {
+  const values = new Set();
+
+  part.split(',').forEach(item => {
+    const match = /^(\*|(\d+)(?:-(\d+))?)(?:\/(\d+))?$/.exec(item);
+    if (!match) {
+      throw new Error(`Invalid ${field.name} "${item}"`);
+    }
+
+    const start = match[1] === '*' ? field.min : parseInt(match[2]);
+    const end = match[1] === '*' ? field.max : (match[3] !== undefined ? parseInt(match[3]) : (match[4] ? field.max : start));
+    const step = match[4] ? parseInt(match[4]) : 1;
+
+    if (start < field.min || end > field.max || start > end || step < 1) {
+      throw new Error(`${field.name} "${item}" is out of range ${field.min}-${field.max}`);
+    }
+
+    for (let value = start; value <= end; value += step) {
+      values.add(value);
+    }
+  });
+
+  return values;
+}
+
+function cronMatches(cron, date) {
+  return dayMatches(cron, date) && cron.hour.has(date.getHours()) && cron.minute.has(date.getMinutes());
+}
+
+// When both day fields are restricted, cron matches either of them
+function dayMatches(cron, date) {
+  if (!cron.month.has(date.getMonth() + 1)) return false;
+
+  const dayOfMonth = cron.dayOfMonth.has(date.getDate());
+  const dayOfWeek = cron.dayOfWeek.has(date.getDay());
+
+  if (cron.anyDayOfMonth || cron.anyDayOfWeek) {
+    return dayOfMonth && dayOfWeek;
+  }
+  return dayOfMonth || dayOfWeek;
+}
+
+// The start of the occurrence covering `at`, searching back `durationMinutes`,
+// or null if no occurrence is in progress. Days and hours that can't match
+// are skipped whole, so long windows cost little more than short ones.
+function findOccurrence(cron, durationMinutes, at = new Date()) {
+  const latest = Math.floor(at.getTime() / MINUTE_MS) * MINUTE_MS;
+  const earliest = latest - (durationMinutes - 1) * MINUTE_MS;
+  let time = latest;
+
+  while (time >= earliest) {
+    const candidate = new Date(time);
+
+    if (!dayMatches(cron, candidate)) {
+      candidate.setHours(0, 0, 0, 0);
+    } else if (!cron.hour.has(candidate.getHours())) {
+      candidate.setMinutes(0, 0, 0);
+    } else {
+      const minute = latestMinute(cron, candidate.getMinutes());
+      if (minute !== null) {
+        candidate.setMinutes(minute, 0, 0);
+        return candidate.getTime() >= earliest ? candidate : null;
+      }
+      candidate.setMinutes(0, 0, 0);
+    }
+
+    // Carry on from the last minute before the skipped day or hour
+    time = candidate.getTime() - MINUTE_MS;
+  }
+
+  return null;
+}
+
+// The latest allowed minute at or before `minute`, or null
+function latestMinute(cron, minute) {
+  for (let value = minute; value >= 0; value--) {
+    if (cron.minute.has(value)) return value;
+  }
+  return null;
+}
+
+module.exports = { parseCron, cronMatches, findOccurrence };
@@ -0,0 +1,204 @@
+const healthCheckService = require('./healthCheck');
+const historyStore = require('./historyStore');
+const incidentService = require('./incidentService');
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+const UPTIME_DAYS = 90;
+const SUMMARY_TTL_MS = 60 * 1000;
+const FEED_LIMIT = 20;
+
+const PUBLIC_STATUSES = {
+  healthy: 'operational',
+  warning: 'degraded',
+  impacted: 'degraded',
+  down: 'outage',
+  maintenance: 'maintenance'
+};
+
+// Public view of the dashboard for the status page.
+//
+// Only service names, categories and statuses are exposed: no ids,
+// endpoints, metadata or check messages. Services with "statusPage": false
+// are left out, and so are incidents that only involved them.
+//
+// Uptime bars for past days don't change, so they are computed once per day;
+// the whole summary is cached for a minute.
+class StatusPageService {
+  constructor() {
+    this.summary = null;
+    this.summaryAt = 0;
+    this.pastDays = { day: null, services: new Map() };
+  }
+
+  getSummary() {
+    if (this.summary && Date.now() - this.summaryAt < SUMMARY_TTL_MS) {
+      return this.summary;
+    }
+
+    const services = getPublicServices();
+    const categories = Array.from(new Set(services.map(service => service.category || 'core')));
+
+    const groups = categories.map(category => {
+      const components = services
+        .filter(service => (service.category || 'core') === category)
+        .map(service => {
+          const days = this.getUptimeDays(service.id);
+          return {
+            name: service.name,
+            status: publicStatus(healthCheckService.getServiceStatus(service.id)),
+            uptime: averageUptime(days),
+            days: days
+          };
+        });
+
+      return { name: category, status: worstStatus(components.map(component => component.status)), components };
+    });
+
+    const status = worstStatus(groups.map(group => group.status));
+
+    this.summary = {
+      title: healthCheckService.settings.statusPageTitle || 'Service Status',
+      status: status,
+      message: OVERALL_MESSAGES[status],
+      groups: groups,
+      incidents: this.getIncidents(),
+      updatedAt: new Date().toISOString()
+    };
+    this.summaryAt = Date.now();
+
+    return this.summary;
+  }
+
+  // Recent incidents involving public services, newest first
+  getIncidents(limit = FEED_LIMIT) {
+    const names = new Map(getPublicServices().map(service => [service.id, service.name]));
+
+    return incidentService.getIncidents({ limit: limit * 5 })
+      .map(incident => toPublicIncident(incident, names))
+      .filter(Boolean)
+      .slice(0, limit);
+  }
+
+  // One entry per UTC day, oldest first: { date, uptime, status }
+  getUptimeDays(serviceId, now = new Date()) {
+    const today = new Date(Math.floor(now.getTime() / DAY_MS) * DAY_MS);
+    const todayKey = today.toISOString().slice(0, 10);
+
+    if (this.pastDays.day !== todayKey) {
+      this.pastDays = { day: todayKey, services: new Map() };
+    }
+
+    if (!this.pastDays.services.has(serviceId)) {
+      const from = new Date(today.getTime() - (UPTIME_DAYS - 1) * DAY_MS);
+      const buckets = historyStore.getAggregates(serviceId, from, new Date(today.getTime() - 1), '1d');
+      this.pastDays.services.set(serviceId, buckets);
+    }
+
+    const buckets = this.pastDays.services.get(serviceId)
+      .concat(historyStore.getAggregates(serviceId, today, now, '1d'));
+    const byDay = new Map(buckets.map(bucket => [bucket.start.slice(0, 10), bucket]));
+
+    const days = [];
+    for (let offset = UPTIME_DAYS - 1; offset >= 0; offset--) {
+      const date = new Date(today.getTime() - offset * DAY_MS).toISOString().slice(0, 10);
+      const bucket = byDay.get(date);
+      days.push({
+        date: date,
+        uptime: bucket ? bucket.uptime : null,
+        status: bucket ? dayStatus(bucket) : 'none'
+      });
+    }
+
+    return days;
+  }
+}
+
+function getPublicServices() {
+  return healthCheckService.services.filter(service => service.statusPage !== false);
+}
+
+// An unconfirmed change keeps showing the status it is changing from
+function publicStatus(result) {
+  if (!result) return 'unknown';
+
+  let status = result.status;
+  if (status === 'pending') {
+    status = result.confirmation && result.confirmation.direction === 'up' ? 'down' : 'healthy';
+  }
+
+  return PUBLIC_STATUSES[status] || 'unknown';
+}
+
+const STATUS_SEVERITY = ['unknown', 'operational', 'maintenance', 'degraded', 'outage'];
+
+const OVERALL_MESSAGES = {
+  unknown: 'Status unavailable',
+  operational: 'All systems operational',
+  maintenance: 'Scheduled maintenance in progress',
+  degraded: 'Some systems are degraded',
+  outage: 'Some systems are experiencing an outage'
+};
+
+function worstStatus(statuses) {
+  return statuses.reduce((worst, status) =>
+    STATUS_SEVERITY.indexOf(status) > STATUS_SEVERITY.indexOf(worst) ? status : worst, 'unknown');
+}
+
+function dayStatus(bucket) {
+  if (bucket.down + (bucket.impacted || 0) === 0) return bucket.warning === 0 ? 'operational' : 'degraded';
+  return bucket.uptime >= 99 ? 'degraded' : 'outage';
+}
+
+// Average over the days with data, weighting each day equally
+function averageUptime(days) {
+  const measured = days.filter(day => day.uptime !== null);
+  if (measured.length === 0) return null;
+  return Math.round(measured.reduce((sum, day) => sum + day.uptime, 0) / measured.length * 100) / 100;
+}
+
+// Drops check messages, notes and who acknowledged; names services instead of
+// using their ids
+function toPublicIncident(incident, names) {
+  const serviceIds = Array.from(new Set(incident.timeline.map(event => event.serviceId).filter(Boolean)));
+  const components = serviceIds.filter(id => names.has(id)).map(id => names.get(id));
+  if (components.length === 0) return null;
+
+  const rootName = names.get(incident.rootServiceId);
+  const updates = incident.timeline
+    .filter(event => !event.serviceId || names.has(event.serviceId))
+    .map(event => publicUpdate(event, names))
+    .filter(Boolean);
+
+  return {
+    id: incident.id,
+    title: rootName ? incident.title : `${components[0]} disruption`,
+    state: incident.state,
+    components: components,
+    openedAt: incident.openedAt,
+    resolvedAt: incident.resolvedAt,
+    durationSeconds: incident.durationSeconds,
+    acknowledged: !!incident.acknowledgedBy,
+    updates: updates
+  };
+}
+
+function publicUpdate(event, names) {
+  const name = names.get(event.serviceId);
+
+  switch (event.type) {
+    case 'opened':
+    case 'joined':
+    case 'status':
+      // Unconfirmed changes aren't worth announcing
+      if (event.status === 'pending') return null;
+      return { timestamp: event.timestamp, message: `${name}: ${PUBLIC_STATUSES[event.status] || event.status}` };
+    case 'acknowledged':
+      return { timestamp: event.timestamp, message: 'Investigating' };
+    case 'resolved':
+      return { timestamp: event.timestamp, message: 'Resolved' };
+    default:
+      return null;
+  }
+}
+
+module.exports = new StatusPageService();
@@ -0,0 +1,171 @@
+const statusUpdates = require('./statusUpdates');
+const incidentService = require('./incidentService');
+
+const BUFFER_SIZE = 500;
+const HEARTBEAT_INTERVAL = 15000;
+const RETRY_MS = 5000;
+
+// Ids carry the server's start time so a client resuming after a restart
+// gets a snapshot instead of a replay of unrelated events
+const BOOT_ID = Date.now().toString(36);
+
+// Status feed for clients that can't use Socket.IO: Server-Sent Events on
+// GET /api/status/stream, fed by the same changes as the Socket.IO deltas
+// (see statusUpdates) and by incident updates. Events:
+//   snapshot   { timestamp, services, incidents }  current status and open incidents
+//   status     a service's new result, as sent in the Socket.IO deltas
+//   removed    { id, timestamp }  a service left the configuration
+//   incident   an incident that opened, changed or resolved, with its latest event
+//   heartbeat  { timestamp }  every 15 seconds, so idle connections stay up
+// Clients can ask for some categories and service types only. The last 500
+// events are kept so a client reconnecting with Last-Event-ID gets what it
+// missed; if they've gone, it gets a new snapshot. A client still behind on
+// one write when the next is due is disconnected, so it resumes that way
+// rather than piling events up in memory.
+class StatusStreamService {
+  constructor() {
+    this.healthCheckService = null;
+    this.clients = new Set();
+    this.buffer = [];
+    this.lastId = 0;
+    this.heartbeatTimer = null;
+  }
+
+  initialize(healthCheckService) {
+    this.healthCheckService = healthCheckService;
+
+    statusUpdates.on('changes', ({ timestamp, services, removed }) => {
+      services.forEach(result => this.publish('status', result, [result]));
+      removed.forEach(result => this.publish('removed', { id: result.id, timestamp }, [result]));
+    });
+
+    incidentService.on('incident', incident => {
+      this.publish('incident', toIncidentEvent(incident), this.servicesOf(incident));
+    });
+
+    this.heartbeatTimer = setInterval(() => {
+      const data = JSON.stringify({ timestamp: new Date().toISOString() });
+      this.clients.forEach(client => this.write(client, `event: heartbeat\ndata: ${data}\n\n`));
+    }, HEARTBEAT_INTERVAL);
+    this.heartbeatTimer.unref();
+  }
+
+  // Start streaming to a response. filter: { categories, types }, empty
+  // lists matching everything. lastEventId resumes an earlier stream.
+  addClient(res, filter, lastEventId) {
+    const client = { res, filter, blocked: false };
+
+    res.writeHead(200, {
+      'Content-Type': 'text/event-stream',
+      'Cache-Control': 'no-cache',
+      'Connection': 'keep-alive',
+      'X-Accel-Buffering': 'no'
+    });
+
+    // One write, so a long replay doesn't count as falling behind
+    const missed = this.eventsSince(lastEventId);
+    const start = missed
+      ? missed.map(event => this.format(client, event)).join('')
+      : this.formatSnapshot(client);
+
+    this.clients.add(client);
+    this.write(client, `retry: ${RETRY_MS}\n\n${start}`);
+    res.on('close', () => this.clients.delete(client));
+  }
+
+  publish(type, data, services) {
+    const number = ++this.lastId;
+    const event = {
+      number: number,
+      id: `${BOOT_ID}-${number}`,
+      type: type,
+      data: JSON.stringify(data),
+      services: services.map(service => ({ category: service.category, type: service.type }))
+    };
+
+    this.buffer.push(event);
+    if (this.buffer.length > BUFFER_SIZE) this.buffer.shift();
+
+    this.clients.forEach(client => this.send(client, event));
+  }
+
+  send(client, event) {
+    const text = this.format(client, event);
+    if (text) this.write(client, text);
+  }
+
+  // The event as the client gets it, or '' when its filter leaves it out
+  format(client, event) {
+    if (!event.services.some(service => matches(client.filter, service))) return '';
+
+    return `id: ${event.id}\nevent: ${event.type}\ndata: ${event.data}\n\n`;
+  }
+
+  formatSnapshot(client) {
+    const data = {
+      timestamp: new Date().toISOString(),
+      services: this.healthCheckService.getAllStatuses().filter(result => matches(client.filter, result)),
+      incidents: incidentService.getOpenIncidents()
+        .filter(incident => this.servicesOf(incident).some(service => matches(client.filter, service)))
+        .map(toIncidentEvent)
+    };
+
+    return `id: ${BOOT_ID}-${this.lastId}\nevent: snapshot\ndata: ${JSON.stringify(data)}\n\n`;
+  }
+
+  // Write to a client, disconnecting it if it hasn't taken the last write yet
+  write(client, text) {
+    if (client.blocked) {
+      this.clients.delete(client);
+      client.res.destroy();
+      return;
+    }
+
+    if (!client.res.write(text)) {
+      client.blocked = true;
+      client.res.once('drain', () => {
+        client.blocked = false;
+      });
+    }
+  }
+
+  // Buffered events after lastEventId, or null when the client has to start
+  // over: a first connection, an id from before a restart, or events that
+  // have already left the buffer
+  eventsSince(lastEventId) {
+    const [boot, number] = String(lastEventId || '').split('-');
+    const last = parseInt(number, 10);
+
+    if (boot !== BOOT_ID || isNaN(last) || last > this.lastId) return null;
+
+    const oldest = this.buffer.length > 0 ? this.buffer[0].number : this.lastId + 1;
+    if (last < oldest - 1) return null;
+
+    return this.buffer.filter(event => event.number > last);
+  }
+
+  // End every stream so the server can close
+  close() {
+    this.clients.forEach(client => client.res.end());
+    this.clients.clear();
+  }
+
+  // The configured services in an incident; incidents whose services have
+  // all been removed still reach unfiltered clients
+  servicesOf(incident) {
+    const services = this.healthCheckService.services.filter(service => incident.services.includes(service.id));
+    return services.length > 0 ? services : [{}];
+  }
+}
+
+function matches(filter, service) {
+  return (filter.categories.length === 0 || filter.categories.includes(service.category)) &&
+    (filter.types.length === 0 || filter.types.includes(service.type));
+}
+
+function toIncidentEvent(incident) {
+  const { timeline, ...summary } = incidentService.withoutOperators(incident);
+  return { ...summary, latest: timeline[timeline.length - 1] || null };
+}
+
+module.exports = new StatusStreamService();
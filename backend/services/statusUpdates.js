@@ -0,0 +1,148 @@
+const EventEmitter = require('events');
+
+const ALL_ROOM = 'all';
+// A new check time or response time alone is sent at most this often per service
+const TIMING_INTERVAL = 30000;
+
+// Live status on the default Socket.IO namespace. A client gets the current
+// status of the services it follows as "status-snapshot" when it connects,
+// then "status-delta" with only the results that changed since the last one
+// (a result whose check time or response time alone changed is sent at most
+// every TIMING_INTERVAL, so tiles keep showing current response times):
+//   status-snapshot  { timestamp, sequences: { room: seq }, services }
+//   status-delta     { room, seq, timestamp, services, removed }
+// Clients follow everything, or pass { categories, services } as the
+// handshake auth (or in a later "subscribe") to follow only some. Each
+// category and service is a room ("category:<name>", "service:<id>") and
+// everything is the "all" room. Every room numbers its deltas, so a client
+// that sees a gap in a room's seq sends "resync" and gets a new snapshot.
+// A change can reach a client through more than one room; applying it twice
+// is harmless.
+//
+// Each publish is also emitted as "changes" { timestamp, services, removed }
+// (removed holding the last result of each removed service) for other feeds.
+class StatusUpdateService extends EventEmitter {
+  constructor() {
+    super();
+    this.healthCheckService = null;
+    this.io = null;
+    this.sequences = new Map();
+    this.lastSent = new Map();
+  }
+
+  initialize(healthCheckService, io) {
+    this.healthCheckService = healthCheckService;
+    this.io = io;
+
+    io.on('connection', socket => {
+      this.subscribe(socket, socket.handshake.auth || {});
+
+      socket.on('subscribe', subscription => this.subscribe(socket, subscription || {}));
+      socket.on('resync', () => this.sendSnapshot(socket));
+    });
+  }
+
+  // Move the socket to the rooms for { categories, services } (everything
+  // when both are empty) and send it a snapshot of them
+  subscribe(socket, { categories, services }) {
+    const rooms = [
+      ...toList(categories).map(category => `category:${category}`),
+      ...toList(services).map(serviceId => `service:${serviceId}`)
+    ];
+
+    socket.rooms.forEach(room => {
+      if (room !== socket.id) socket.leave(room);
+    });
+    socket.join(rooms.length > 0 ? rooms : [ALL_ROOM]);
+    this.sendSnapshot(socket);
+  }
+
+  sendSnapshot(socket) {
+    const rooms = Array.from(socket.rooms).filter(room => room !== socket.id);
+    const sequences = {};
+    rooms.forEach(room => {
+      sequences[room] = this.sequences.get(room) || 0;
+    });
+
+    socket.emit('status-snapshot', {
+      timestamp: new Date().toISOString(),
+      sequences: sequences,
+      services: this.healthCheckService.getAllStatuses()
+        .filter(result => roomsFor(result).some(room => rooms.includes(room)))
+    });
+  }
+
+  // Send each room the results that changed since the last publish, and the
+  // services that were removed
+  publish() {
+    if (!this.io) return;
+
+    const changes = new Map();
+    const change = room => {
+      if (!changes.has(room)) changes.set(room, { services: [], removed: [] });
+      return changes.get(room);
+    };
+    const current = new Map(this.healthCheckService.getAllStatuses().map(result => [result.id, result]));
+    const changed = [];
+    const removed = [];
+    const now = Date.now();
+
+    current.forEach((result, serviceId) => {
+      const sent = this.lastSent.get(serviceId);
+      const json = JSON.stringify(withoutVolatile(result));
+
+      if (sent && sent.json === json &&
+          (sent.result.lastChecked === result.lastChecked || now - sent.sentAt < TIMING_INTERVAL)) {
+        return;
+      }
+
+      // A service that moved category leaves the old category's room
+      if (sent && sent.result.category !== result.category) {
+        change(`category:${sent.result.category}`).removed.push(serviceId);
+      }
+      roomsFor(result).forEach(room => change(room).services.push(result));
+      changed.push(result);
+      this.lastSent.set(serviceId, { result, json, sentAt: now });
+    });
+
+    this.lastSent.forEach((sent, serviceId) => {
+      if (current.has(serviceId)) return;
+
+      roomsFor(sent.result).forEach(room => change(room).removed.push(serviceId));
+      removed.push(sent.result);
+      this.lastSent.delete(serviceId);
+    });
+
+    const timestamp = new Date().toISOString();
+    changes.forEach((delta, room) => {
+      const seq = (this.sequences.get(room) || 0) + 1;
+      this.sequences.set(room, seq);
+      this.io.to(room).emit('status-delta', { room, seq, timestamp, ...delta });
+    });
+
+    if (changed.length > 0 || removed.length > 0) {
+      this.emit('changes', { timestamp, services: changed, removed });
+    }
+  }
+}
+
+// What is compared to decide whether a result changed, as opposed to being
+// checked again
+function withoutVolatile(result) {
+  const { lastChecked, responseTime, ...rest } = result;
+  if (Array.isArray(rest.locations)) {
+    rest.locations = rest.locations.map(({ lastChecked, responseTime, ...location }) => location);
+  }
+  return rest;
+}
+
+function roomsFor(result) {
+  return [ALL_ROOM, `category:${result.category}`, `service:${result.id}`];
+}
+
+function toList(value) {
+  return (Array.isArray(value) ? value : [])
+    .filter(item => typeof item === 'string' && item !== '');
+}
+
+module.exports = new StatusUpdateService();
@@ -1,28 +1,103 @@
 // Configuration
 const API_BASE_URL = window.location.origin + '/api';
+const REDACTED_VALUE = '********';
+// Floor TVs open the dashboard with ?kiosk: read-only, no sign-in
+const KIOSK_MODE = new URLSearchParams(window.location.search).has('kiosk');
+// ?category=a,b and ?service=x,y show only those services; otherwise all
+const SUBSCRIPTION = {
+  categories: listParam('category'),
+  services: listParam('service')
+};
+const POLL_INTERVAL = 30000;
 let socket;
+// Last status-delta seq seen per room, to notice missed updates
+let sequences = {};
+let pollTimer = null;
 let services = [];
+let incidents = [];
+let probes = [];
+// Latest reading and recent weights per scale station, by service id
+const scales = new Map();
+const SCALE_TREND_LENGTH = 60;
+// Recent checks per service for the list view sparklines, by service id
+const trends = new Map();
+const TREND_POINTS = 30;
+// Deltas only carry changed results, so the sparklines are re-read from the history
+const TREND_REFRESH_INTERVAL = 60000;
+let currentUser = null;
 
 // Initialize dashboard
 async function init() {
   try {
     initializeTheme();
     initializeView();
-    await loadServices();
+    await initializeAuth();
+    const status = await loadServices();
+    applyLayoutDefaults(status.layout);
     renderDashboard();
+    await loadIncidents();
+    await loadProbes();
+    await loadTrends();
+    setInterval(loadTrends, TREND_REFRESH_INTERVAL);
     setupSocketConnection();
-    setupPolling();
     setupThemeToggle();
     setupViewToggle();
     setupRefreshButton();
     setupAddServiceModal();
     setupSettingsModal();
+    setupDependenciesModal();
+    setupServiceDetailModal();
+    setupIncidentsPanel();
+    setupLoginModal();
   } catch (error) {
     console.error('Initialization error:', error);
     showError('Failed to initialize dashboard');
   }
 }
 
+// Authentication
+async function initializeAuth() {
+  if (KIOSK_MODE) {
+    document.body.classList.add('kiosk');
+    return;
+  }
+  
+  try {
+    const response = await fetch(`${API_BASE_URL}/auth/me`);
+    const data = await response.json();
+    setCurrentUser(data.user);
+  } catch (error) {
+    console.error('Error loading session:', error);
+    setCurrentUser(null);
+  }
+}
+
+// The body's data-role attribute shows or hides the management controls
+function setCurrentUser(user) {
+  currentUser = user || null;
+  
+  if (currentUser) {
+    document.body.dataset.role = currentUser.role;
+  } else {
+    delete document.body.dataset.role;
+  }
+  
+  const accountBtn = document.getElementById('account-btn');
+  if (accountBtn) {
+    const label = currentUser ? `Sign out ${currentUser.username}` : 'Sign in';
+    accountBtn.classList.toggle('signed-in', !!currentUser);
+    accountBtn.setAttribute('aria-label', label);
+    accountBtn.title = currentUser ? `Signed in as ${currentUser.username} (${currentUser.role}) - click to sign out` : 'Sign In';
+  }
+}
+
+// A 401 means the session expired or the user was removed
+function checkSession(response) {
+  if (response.status === 401) {
+    setCurrentUser(null);
+  }
+}
+
 // Theme Management
 function initializeTheme() {
   const savedTheme = localStorage.getItem('theme') || 'dark';
@@ -73,6 +148,17 @@ function toggleView() {
   localStorage.setItem('view', newView);
 }
 
+// The configured layout applies until this browser picks its own
+function applyLayoutDefaults(layout = {}) {
+  if (layout.theme && !localStorage.getItem('theme')) {
+    document.documentElement.setAttribute('data-theme', layout.theme);
+  }
+  
+  if (layout.view && !localStorage.getItem('view')) {
+    document.documentElement.setAttribute('data-view', layout.view);
+  }
+}
+
 function setupViewToggle() {
   const viewToggle = document.getElementById('view-toggle');
   if (viewToggle) {
@@ -90,7 +176,7 @@ async function loadServices() {
     }
     
     const data = await response.json();
-    services = data.services || [];
+    services = (data.services || []).filter(isFollowed);
     
     return data;
   } catch (error) {
@@ -99,39 +185,139 @@ async function loadServices() {
   }
 }
 
-// Setup Socket.IO connection for real-time updates
+function listParam(name) {
+  const value = new URLSearchParams(window.location.search).get(name);
+  return value ? value.split(',').map(item => item.trim()).filter(Boolean) : [];
+}
+
+function isFollowed(service) {
+  if (SUBSCRIPTION.categories.length === 0 && SUBSCRIPTION.services.length === 0) return true;
+  return SUBSCRIPTION.categories.includes(service.category) || SUBSCRIPTION.services.includes(service.id);
+}
+
+// Setup Socket.IO connection for real-time updates: a snapshot on connect,
+// then only the services that changed
 function setupSocketConnection() {
-  socket = io();
+  socket = io({ auth: SUBSCRIPTION });
   
   socket.on('connect', () => {
     console.log('Connected to server via WebSocket');
+    stopPolling();
+  });
+  
+  // Incidents and probes may have changed while disconnected
+  socket.io.on('reconnect', () => {
+    loadIncidents();
+    loadProbes();
   });
   
-  socket.on('status-update', (data) => {
-    console.log('Received status update:', data);
+  socket.on('status-snapshot', (data) => {
+    sequences = data.sequences || {};
     services = data.services || [];
     updateDashboard();
   });
   
+  socket.on('status-delta', (data) => {
+    const last = sequences[data.room];
+    
+    // Already covered by the snapshot
+    if (last !== undefined && data.seq <= last) return;
+    
+    // Missed an update; ask for a new snapshot
+    if (last === undefined || data.seq !== last + 1) {
+      console.warn(`Missed status updates in ${data.room}, resyncing`);
+      socket.emit('resync');
+      return;
+    }
+    
+    sequences[data.room] = data.seq;
+    applyStatusDelta(data);
+  });
+  
+  socket.on('incidents-update', (data) => {
+    // The broadcast leaves out who acknowledged; signed-in users fetch it
+    if (currentUser) {
+      loadIncidents();
+      return;
+    }
+    incidents = data.incidents || [];
+    renderIncidents();
+  });
+  
+  socket.on('probes-update', (data) => {
+    probes = data.probes || [];
+    renderProbes();
+  });
+  
   socket.on('disconnect', () => {
     console.log('Disconnected from server');
+    setupPolling();
+  });
+  
+  socket.on('connect_error', (error) => {
+    console.error('Socket connection error:', error.message);
+    setupPolling();
   });
   
   socket.on('error', (error) => {
     console.error('Socket error:', error);
   });
+  
+  setupScaleConnection();
+}
+
+function applyStatusDelta({ services: changed, removed }) {
+  const updates = new Map(changed.map(service => [service.id, service]));
+  
+  services = services
+    .filter(service => !removed.includes(service.id))
+    .map(service => {
+      const update = updates.get(service.id);
+      updates.delete(service.id);
+      return update || service;
+    })
+    .concat(Array.from(updates.values()));
+  
+  updateDashboard();
+}
+
+// Live weights from the scale stations, on their own namespace
+function setupScaleConnection() {
+  const scaleSocket = io('/scale-data');
+  
+  scaleSocket.on('scale-snapshot', (data) => {
+    scales.clear();
+    (data.stations || []).forEach(station => scales.set(station.serviceId, station));
+    scales.forEach((station, serviceId) => renderScale(serviceId));
+  });
+  
+  scaleSocket.on('scale-data', (reading) => {
+    const station = scales.get(reading.serviceId) || { serviceId: reading.serviceId, trend: [] };
+    station.trend = station.trend.concat(reading.weight).slice(-SCALE_TREND_LENGTH);
+    scales.set(reading.serviceId, { ...station, ...reading });
+    renderScale(reading.serviceId);
+  });
 }
 
-// Setup polling as fallback
+// Poll the API only while the socket is down
 function setupPolling() {
-  setInterval(async () => {
+  if (pollTimer) return;
+  
+  pollTimer = setInterval(async () => {
     try {
       await loadServices();
       updateDashboard();
+      await loadIncidents();
+      await loadProbes();
     } catch (error) {
       console.error('Polling error:', error);
     }
-  }, 30000); // Poll every 30 seconds as fallback
+  }, POLL_INTERVAL);
+}
+
+function stopPolling() {
+  clearInterval(pollTimer);
+  pollTimer = null;
 }
 
 // Render the entire dashboard
@@ -144,10 +330,12 @@ function renderDashboard() {
     return;
   }
   
+  recordTrends();
   services.forEach(service => {
     const tile = createServiceTile(service);
     container.appendChild(tile);
   });
+  scales.forEach((station, serviceId) => renderScale(serviceId));
   
   updateSummary();
   updateTimestamp();
@@ -165,18 +353,106 @@ function createServiceTile(service) {
   tile.innerHTML = `
     <h2>${service.name}</h2>
     <div class="status-indicator"></div>
+    <div class="maintenance-badge">${escapeHtml(formatMaintenance(service))}</div>
     <div class="service-info">
       <p class="response-time">${service.responseTime}ms</p>
+      <div class="latency-trend">${renderSparkline(trendValues(service.id))}</div>
       ${metadata}
-      <p class="error-message">${service.message || ''}</p>
+      <p class="error-message">${escapeHtml(formatStatusMessage(service))}</p>
+      <div class="service-locations">${renderLocations(service)}</div>
+      <div class="scale-reading"></div>
     </div>
   `;
   
   return tile;
 }
 
+// Tile message, with confirmation progress while a status change is pending
+// and the root cause for services impacted by an upstream outage
+function formatStatusMessage(service) {
+  const message = service.message || '';
+  
+  if (service.status === 'impacted' && service.impactedBy) {
+    const names = service.impactedBy.map(id => {
+      const upstream = services.find(s => s.id === id);
+      return upstream ? upstream.name : id;
+    });
+    return `Impacted by ${names.join(', ')}`;
+  }
+  
+  if (service.status === 'pending' && service.confirmation) {
+    const { count, threshold } = service.confirmation;
+    return `${message} (${count}/${threshold})`.trim();
+  }
+  
+  return message;
+}
+
+// One chip per location for services checked by probe agents
+function renderLocations(service) {
+  return (service.locations || []).map(location => {
+    const detail = location.status === 'unknown'
+      ? location.message
+      : `${location.status}, ${location.responseTime}ms${location.message ? ` · ${location.message}` : ''}`;
+    return `<span class="location location-${escapeHtml(location.status)}" title="${escapeHtml(`${location.probe}: ${detail}`)}">${escapeHtml(location.probe)}</span>`;
+  }).join('');
+}
+
+// Current weight and a sparkline of recent readings on a hardware tile
+function renderScale(serviceId) {
+  const tile = document.getElementById(`service-${serviceId}`);
+  const station = scales.get(serviceId);
+  const service = services.find(s => s.id === serviceId);
+  if (!tile || !station || !service || service.type !== 'hardware') return;
+  
+  const weight = station.weight === null || station.weight === undefined ? '--' : station.weight;
+  const readingEl = tile.querySelector('.scale-reading');
+  readingEl.classList.toggle('scale-condition', !!station.condition);
+  readingEl.title = station.condition ? station.condition.message : '';
+  readingEl.innerHTML = `
+    <span class="scale-weight">${escapeHtml(`${weight} ${station.unit || ''}`.trim())}</span>
+    ${renderSparkline(station.trend || [], 'scale-trend')}
+  `;
+}
+
+function renderSparkline(values, className = '') {
+  if (values.length < 2) return '';
+  
+  const width = 120;
+  const height = 32;
+  const min = Math.min(...values);
+  const range = (Math.max(...values) - min) || 1;
+  const points = values.map((value, index) => {
+    const x = (index / (values.length - 1)) * width;
+    const y = height - 2 - ((value - min) / range) * (height - 4);
+    return `${x.toFixed(1)},${y.toFixed(1)}`;
+  }).join(' ');
+  
+  return `<svg class="${className}" viewBox="0 0 ${width} ${height}" preserveAspectRatio="none" aria-hidden="true"><polyline points="${points}"/></svg>`;
+}
+
+// Badge text for a service in a maintenance window or silence
+function formatMaintenance(service) {
+  if (service.status !== 'maintenance' || !service.maintenance) return '';
+  
+  const until = new Date(service.maintenance.until).toLocaleTimeString([], { hour: '2-digit', minute: '2-digit' });
+  const label = service.maintenance.kind === 'silence' ? 'Silenced' : 'Maintenance';
+  return service.maintenance.reason
+    ? `${label} until ${until} · ${service.maintenance.reason}`
+    : `${label} until ${until}`;
+}
+
 // Update existing dashboard tiles
 function updateDashboard() {
+  // Services were removed; rebuild rather than leave stale tiles
+  const tileCount = document.querySelectorAll('#dashboard-container .service-tile').length;
+  if (tileCount > services.length) {
+    renderDashboard();
+    return;
+  }
+  
+  recordTrends();
+  
   services.forEach(service => {
     const tile = document.getElementById(`service-${service.id}`);
     
@@ -193,7 +469,25 @@ function updateDashboard() {
       // Update error message
       const errorMessageEl = tile.querySelector('.error-message');
       if (errorMessageEl) {
-        errorMessageEl.textContent = service.message || '';
+        errorMessageEl.textContent = formatStatusMessage(service);
+      }
+      
+      // Update maintenance badge
+      const maintenanceEl = tile.querySelector('.maintenance-badge');
+      if (maintenanceEl) {
+        maintenanceEl.textContent = formatMaintenance(service);
+      }
+      
+      // Update latency sparkline
+      const trendEl = tile.querySelector('.latency-trend');
+      if (trendEl) {
+        trendEl.innerHTML = renderSparkline(trendValues(service.id));
+      }
+      
+      // Update probe locations
+      const locationsEl = tile.querySelector('.service-locations');
+      if (locationsEl) {
+        locationsEl.innerHTML = renderLocations(service);
       }
     } else {
       // Service doesn't exist, re-render entire dashboard
@@ -204,16 +498,67 @@ function updateDashboard() {
   
   updateSummary();
   updateTimestamp();
+  
+  if (document.getElementById('dependencies-modal').classList.contains('show')) {
+    loadDependencyGraph();
+  }
+  
+  if (detailServiceId) {
+    updateDetailStatus();
+  }
+}
+
+// Seed the sparklines with recent checks from the history
+async function loadTrends() {
+  try {
+    const response = await fetch(`${API_BASE_URL}/status/trends?points=${TREND_POINTS}`);
+    
+    if (!response.ok) {
+      throw new Error(`HTTP ${response.status}`);
+    }
+    
+    const data = await response.json();
+    Object.entries(data.trends || {}).forEach(([serviceId, checks]) => trends.set(serviceId, checks));
+    updateDashboard();
+  } catch (error) {
+    console.error('Error loading trends:', error);
+  }
+}
+
+// Add each service's latest check to its trend, once per check
+function recordTrends() {
+  services.forEach(service => {
+    const checks = trends.get(service.id) || [];
+    const last = checks[checks.length - 1];
+    
+    if (service.lastChecked && (!last || last.lastChecked !== service.lastChecked)) {
+      trends.set(service.id, checks.concat({
+        lastChecked: service.lastChecked,
+        responseTime: service.responseTime,
+        status: service.status
+      }).slice(-TREND_POINTS));
+    }
+  });
+}
+
+function trendValues(serviceId) {
+  return (trends.get(serviceId) || []).map(check => check.responseTime);
 }
 
 // Update summary statistics
 function updateSummary() {
   const healthyCount = services.filter(s => s.status === 'healthy').length;
   const warningCount = services.filter(s => s.status === 'warning').length;
+  const pendingCount = services.filter(s => s.status === 'pending').length;
+  const maintenanceCount = services.filter(s => s.status === 'maintenance').length;
+  const impactedCount = services.filter(s => s.status === 'impacted').length;
   const downCount = services.filter(s => s.status === 'down').length;
   
   document.getElementById('healthy-count').textContent = healthyCount;
   document.getElementById('warning-count').textContent = warningCount;
+  document.getElementById('pending-count').textContent = pendingCount;
+  document.getElementById('maintenance-count').textContent = maintenanceCount;
+  document.getElementById('impacted-count').textContent = impactedCount;
   document.getElementById('down-count').textContent = downCount;
 }
 
@@ -247,8 +592,24 @@ async function manualRefresh() {
     isRefreshing = true;
     refreshBtn.classList.add('refreshing');
     
-    // Load fresh data
-    await loadServices();
+    // Signed-in users check every service now; everyone else re-reads the
+    // latest scheduled results
+    const response = currentUser
+      ? await fetch(`${API_BASE_URL}/status/check`, { method: 'POST' })
+      : null;
+    
+    if (response && response.ok) {
+      const data = await response.json();
+      const checked = new Map(data.services.map(service => [service.id, service]));
+      services = services.map(service => checked.get(service.id) || service);
+    } else {
+      // Signed out, rate limited or failed: show the latest scheduled results instead
+      if (response) {
+        checkSession(response);
+        console.warn(`Check now failed: HTTP ${response.status}`);
+      }
+      await loadServices();
+    }
     updateDashboard();
     
     // Keep spinning for at least 500ms for visual feedback
@@ -274,7 +635,128 @@ function setupRefreshButton() {
   }
 }
 
-// Add Service Modal Functions
+// Active Incidents
+async function loadIncidents() {
+  try {
+    const response = await fetch(`${API_BASE_URL}/incidents?state=open`);
+    
+    if (!response.ok) {
+      throw new Error(`HTTP ${response.status}`);
+    }
+    
+    const data = await response.json();
+    incidents = data.incidents || [];
+    renderIncidents();
+  } catch (error) {
+    console.error('Error loading incidents:', error);
+  }
+}
+
+function setupIncidentsPanel() {
+  const panel = document.getElementById('incidents-panel');
+  
+  panel.addEventListener('click', (e) => {
+    const ackBtn = e.target.closest('.incident-ack-btn');
+    if (ackBtn) {
+      acknowledgeIncident(ackBtn.dataset.incidentId);
+    }
+  });
+  
+  // Keep durations current between updates
+  setInterval(renderIncidents, 30000);
+}
+
+function renderIncidents() {
+  const panel = document.getElementById('incidents-panel');
+  panel.hidden = incidents.length === 0;
+  
+  panel.innerHTML = incidents.map(incident => {
+    const names = incident.services.map(id => {
+      const service = services.find(s => s.id === id);
+      return service ? service.name : id;
+    });
+    const acknowledgement = incident.acknowledgedBy
+      ? `<span class="incident-ack">Acknowledged by ${escapeHtml(incident.acknowledgedBy)}</span>`
+      : incident.acknowledgedAt
+        ? '<span class="incident-ack">Acknowledged</span>'
+        : `<button class="incident-ack-btn" data-incident-id="${escapeHtml(incident.id)}">Acknowledge</button>`;
+    
+    return `
+      <div class="incident${incident.acknowledgedAt ? ' acknowledged' : ''}">
+        <span class="incident-id">${escapeHtml(incident.id)}</span>
+        <span class="incident-title">${escapeHtml(incident.title)}</span>
+        <span class="incident-services">${escapeHtml(names.join(', '))}</span>
+        <span class="incident-duration">${formatDuration(Date.now() - Date.parse(incident.openedAt))}</span>
+        ${acknowledgement}
+      </div>
+    `;
+  }).join('');
+}
+
+// Probe agents and whether they are calling in
+async function loadProbes() {
+  try {
+    const response = await fetch(`${API_BASE_URL}/probes`);
+    
+    if (!response.ok) {
+      throw new Error(`HTTP ${response.status}`);
+    }
+    
+    const data = await response.json();
+    probes = data.probes || [];
+    renderProbes();
+  } catch (error) {
+    console.error('Error loading probes:', error);
+  }
+}
+
+function renderProbes() {
+  const strip = document.getElementById('probes-summary');
+  strip.hidden = probes.length === 0;
+  
+  strip.innerHTML = '<span class="stat-label">Probes:</span>' + probes.map(probe => {
+    const seen = probe.lastSeen
+      ? `last seen ${new Date(probe.lastSeen).toLocaleTimeString()}${probe.hostname ? ` on ${probe.hostname}` : ''}`
+      : 'never connected';
+    const title = `${probe.online ? 'Online' : 'Offline'}, ${seen} · ${probe.services.length} services`;
+    return `<span class="probe ${probe.online ? 'probe-online' : 'probe-offline'}" title="${escapeHtml(title)}">${escapeHtml(probe.id)}</span>`;
+  }).join('');
+}
+
+async function acknowledgeIncident(incidentId) {
+  try {
+    const response = await fetch(`${API_BASE_URL}/incidents/${encodeURIComponent(incidentId)}/acknowledge`, {
+      method: 'POST'
+    });
+    checkSession(response);
+    
+    const data = await response.json();
+    if (!response.ok) {
+      throw new Error(data.message || data.error || 'Failed to acknowledge incident');
+    }
+    
+    incidents = incidents.map(incident => incident.id === incidentId ? data.incident : incident);
+    renderIncidents();
+  } catch (error) {
+    console.error('Error acknowledging incident:', error);
+    alert(`Failed to acknowledge incident: ${error.message}`);
+  }
+}
+
+// Time since an incident opened: "45s", "12m", "3h 5m", "2d 4h"
+function formatDuration(ms) {
+  const seconds = Math.max(Math.floor(ms / 1000), 0);
+  const minutes = Math.floor(seconds / 60);
+  
+  if (minutes < 1) return `${seconds}s`;
+  if (minutes < 60) return `${minutes}m`;
+  if (minutes < 24 * 60) return `${Math.floor(minutes / 60)}h ${minutes % 60}m`;
+  return `${Math.floor(minutes / (24 * 60))}d ${Math.floor(minutes / 60) % 24}h`;
+}
+
+// Add/Edit Service Modal Functions
+let editingService = null;
+
 function setupAddServiceModal() {
   const modal = document.getElementById('add-service-modal');
   const addServiceBtn = document.getElementById('add-service-btn');
@@ -284,54 +766,111 @@ function setupAddServiceModal() {
   
   // Open modal
   if (addServiceBtn) {
-    addServiceBtn.addEventListener('click', () => {
-      modal.classList.add('show');
-      document.body.style.overflow = 'hidden';
-    });
-  }
-  
-  // Close modal
-  function closeModal() {
-    modal.classList.remove('show');
-    document.body.style.overflow = '';
-    form.reset();
-    hideFormError();
+    addServiceBtn.addEventListener('click', () => openServiceModal());
   }
   
   if (closeBtn) {
-    closeBtn.addEventListener('click', closeModal);
+    closeBtn.addEventListener('click', closeServiceModal);
   }
   
   if (cancelBtn) {
-    cancelBtn.addEventListener('click', closeModal);
+    cancelBtn.addEventListener('click', closeServiceModal);
   }
   
   // Close on backdrop click
   modal.addEventListener('click', (e) => {
     if (e.target === modal) {
-      closeModal();
+      closeServiceModal();
     }
   });
   
   // Close on Escape key
   document.addEventListener('keydown', (e) => {
     if (e.key === 'Escape' && modal.classList.contains('show')) {
-      closeModal();
+      closeServiceModal();
     }
   });
   
   // Handle form submission
   if (form) {
-    form.addEventListener('submit', handleAddService);
+    form.addEventListener('submit', handleServiceFormSubmit);
+  }
+}
+
+// Open the service form empty to add, or pre-filled to edit an existing service
+function openServiceModal(service = null) {
+  const modal = document.getElementById('add-service-modal');
+  const form = document.getElementById('add-service-form');
+  
+  editingService = service;
+  form.reset();
+  hideFormError();
+  
+  document.getElementById('service-modal-title').textContent = service ? 'Edit Service' : 'Add New Service';
+  form.querySelector('.btn-submit').textContent = service ? 'Save Changes' : 'Add Service';
+  
+  if (service) {
+    fillServiceForm(form, service);
+  }
+  
+  modal.classList.add('show');
+  document.body.style.overflow = 'hidden';
+}
+
+function closeServiceModal() {
+  const modal = document.getElementById('add-service-modal');
+  const form = document.getElementById('add-service-form');
+  
+  modal.classList.remove('show');
+  form.reset();
+  hideFormError();
+  editingService = null;
+  
+  // Keep scrolling locked while the settings modal is still open underneath
+  if (!document.getElementById('settings-modal').classList.contains('show')) {
+    document.body.style.overflow = '';
   }
 }
 
-async function handleAddService(e) {
+function fillServiceForm(form, service) {
+  const field = (name) => form.elements.namedItem(name);
+  const request = service.request || {};
+  const auth = request.auth || {};
+  const apiKey = Object.entries(request.headersEnv || {})[0];
+  
+  field('name').value = service.name || '';
+  field('endpoint').value = service.endpoint || '';
+  field('type').value = service.type || 'internal';
+  field('category').value = service.category || 'core';
+  field('pollInterval').value = service.pollInterval || '';
+  field('criticalService').checked = service.criticalService === true;
+  field('hideFromStatusPage').checked = service.statusPage === false;
+  field('location').value = (service.metadata && service.metadata.location) || '';
+  
+  field('method').value = request.method || 'GET';
+  field('timeout').value = request.timeout || '';
+  field('authType').value = auth.type || '';
+  field('authUsername').value = auth.username || '';
+  field('authSecretEnv').value = auth.tokenEnv || auth.passwordEnv || '';
+  field('apiKeyHeader').value = apiKey ? apiKey[0] : '';
+  field('apiKeyEnv').value = apiKey ? apiKey[1] : '';
+  field('body').value = request.body === undefined ? '' :
+    (typeof request.body === 'string' ? request.body : JSON.stringify(request.body));
+  field('expectedStatus').value = (request.expectedStatus || []).join(', ');
+  field('followRedirects').checked = request.followRedirects !== false;
+  
+  // Open the request options when any are set
+  form.querySelector('.form-advanced').open = Object.keys(request).length > 0;
+}
+
+async function handleServiceFormSubmit(e) {
   e.preventDefault();
   
   const form = e.target;
   const submitBtn = form.querySelector('.btn-submit');
   const formData = new FormData(form);
+  const isEdit = editingService !== null;
+  const submitLabel = isEdit ? 'Save Changes' : 'Add Service';
   
   // Get form values
   const serviceData = {
@@ -341,23 +880,48 @@ async function handleAddService(e) {
     category: formData.get('category') || 'core',
     pollInterval: formData.get('pollInterval') ? parseInt(formData.get('pollInterval')) : undefined,
     criticalService: formData.get('criticalService') === 'on',
-    metadata: {}
+    // null clears the field when editing
+    statusPage: formData.get('hideFromStatusPage') === 'on' ? false : (isEdit ? null : undefined),
+    metadata: isEdit ? { ...(editingService.metadata || {}) } : {}
   };
   
   // Add location to metadata if provided
   const location = formData.get('location');
   if (location) {
     serviceData.metadata.location = location;
+  } else {
+    delete serviceData.metadata.location;
+  }
+  
+  try {
+    const request = buildRequestSettings(formData);
+    
+    // Headers aren't editable in the form, so keep any the service already has
+    if (isEdit && editingService.request && editingService.request.headers) {
+      serviceData.request = { ...(request || {}), headers: editingService.request.headers };
+    } else if (request) {
+      serviceData.request = request;
+    } else if (isEdit) {
+      serviceData.request = null;
+    }
+  } catch (error) {
+    showFormError(error.message);
+    return;
   }
   
   // Disable submit button
   submitBtn.disabled = true;
-  submitBtn.textContent = 'Adding...';
+  submitBtn.textContent = isEdit ? 'Saving...' : 'Adding...';
   hideFormError();
   
   try {
-    const response = await fetch(`${API_BASE_URL}/config/service`, {
-      method: 'POST',
+    // Edits use PATCH so fields the form doesn't show (checks, assertions) are kept
+    const url = isEdit
+      ? `${API_BASE_URL}/config/service/${encodeURIComponent(editingService.id)}`
+      : `${API_BASE_URL}/config/service`;
+    
+    const response = await fetch(url, {
+      method: isEdit ? 'PATCH' : 'POST',
       headers: {
         'Content-Type': 'application/json'
       },
@@ -365,31 +929,84 @@ async function handleAddService(e) {
     });
     
     const data = await response.json();
+    checkSession(response);
     
     if (!response.ok) {
-      throw new Error(data.message || 'Failed to add service');
+      throw new Error(data.message || `Failed to ${isEdit ? 'update' : 'add'} service`);
     }
     
     // Success - reload services and close modal
     await loadServices();
     renderDashboard();
+    closeServiceModal();
     
-    // Close modal
-    const modal = document.getElementById('add-service-modal');
-    modal.classList.remove('show');
-    document.body.style.overflow = '';
-    form.reset();
+    if (isEdit) {
+      await loadServicesList();
+    }
     
     // Show success message (optional - could add a toast notification)
-    console.log('Service added successfully:', data.service);
+    console.log(`Service ${isEdit ? 'updated' : 'added'} successfully:`, data.service);
     
   } catch (error) {
-    console.error('Error adding service:', error);
-    showFormError(error.message || 'Failed to add service. Please try again.');
+    console.error(`Error ${isEdit ? 'updating' : 'adding'} service:`, error);
+    showFormError(error.message || 'Failed to save service. Please try again.');
   } finally {
     submitBtn.disabled = false;
-    submitBtn.textContent = 'Add Service';
+    submitBtn.textContent = submitLabel;
+  }
+}
+
+// Build per-service request settings from the Request Options section.
+// Returns undefined when everything is left at its default.
+function buildRequestSettings(formData) {
+  const request = {};
+  
+  const method = formData.get('method');
+  if (method && method !== 'GET') {
+    request.method = method;
+  }
+  
+  const timeout = formData.get('timeout');
+  if (timeout) {
+    request.timeout = parseInt(timeout);
+  }
+  
+  const authType = formData.get('authType');
+  const secretEnv = (formData.get('authSecretEnv') || '').trim();
+  if (authType === 'bearer') {
+    request.auth = { type: 'bearer', tokenEnv: secretEnv };
+  } else if (authType === 'basic') {
+    request.auth = { type: 'basic', username: formData.get('authUsername'), passwordEnv: secretEnv };
+  }
+  
+  const apiKeyHeader = (formData.get('apiKeyHeader') || '').trim();
+  const apiKeyEnv = (formData.get('apiKeyEnv') || '').trim();
+  if (apiKeyHeader && apiKeyEnv) {
+    request.headersEnv = { [apiKeyHeader]: apiKeyEnv };
+  }
+  
+  const body = (formData.get('body') || '').trim();
+  if (body === REDACTED_VALUE) {
+    // Unchanged secret body; the server keeps the stored value
+    request.body = body;
+  } else if (body) {
+    try {
+      request.body = JSON.parse(body);
+    } catch (error) {
+      throw new Error('Request body must be valid JSON');
+    }
+  }
+  
+  const expectedStatus = (formData.get('expectedStatus') || '').trim();
+  if (expectedStatus) {
+    request.expectedStatus = expectedStatus.split(',').map(code => parseInt(code.trim())).filter(code => !isNaN(code));
+  }
+  
+  if (formData.get('followRedirects') !== 'on') {
+    request.followRedirects = false;
   }
+  
+  return Object.keys(request).length > 0 ? request : undefined;
 }
 
 function showFormError(message) {
@@ -446,16 +1063,119 @@ function setupSettingsModal() {
       closeModal();
     }
   });
+  
+  setupBundleControls();
 }
 
-async function loadServicesList() {
-  const servicesListEl = document.getElementById('services-list');
+// Export downloads a bundle; import previews it (dry run) before applying
+function setupBundleControls() {
+  const fileInput = document.getElementById('bundle-file');
+  const preview = document.getElementById('bundle-preview');
   
-  try {
-    const response = await fetch(`${API_BASE_URL}/config/services`);
-    
-    if (!response.ok) {
-      throw new Error(`HTTP ${response.status}`);
+  document.querySelectorAll('[data-export-format]').forEach(button => {
+    button.addEventListener('click', () => {
+      window.location.href = `${API_BASE_URL}/config/export?format=${button.dataset.exportFormat}`;
+    });
+  });
+  
+  document.getElementById('bundle-import-btn').addEventListener('click', () => {
+    fileInput.value = '';
+    fileInput.click();
+  });
+  
+  fileInput.addEventListener('change', async () => {
+    const file = fileInput.files[0];
+    if (!file) return;
+    
+    const content = await file.text();
+    const mode = document.getElementById('bundle-mode').value;
+    
+    try {
+      const result = await importBundle(content, mode, true);
+      renderBundlePreview(result, file.name, () => applyBundle(content, mode));
+    } catch (error) {
+      preview.hidden = false;
+      preview.innerHTML = `<div class="form-error">${escapeHtml(error.message)}</div>`;
+    }
+  });
+  
+  preview.addEventListener('click', (e) => {
+    if (e.target.closest('.btn-cancel')) {
+      preview.hidden = true;
+      preview.innerHTML = '';
+    }
+  });
+}
+
+async function importBundle(content, mode, dryRun) {
+  const response = await fetch(`${API_BASE_URL}/config/import`, {
+    method: 'POST',
+    headers: { 'Content-Type': 'application/json' },
+    body: JSON.stringify({ content, format: 'bundle', mode, dryRun })
+  });
+  
+  const data = await response.json();
+  checkSession(response);
+  
+  if (!response.ok) {
+    const details = (data.errors || []).map(error => `${error.path ? `${error.path}: ` : ''}${error.message}`);
+    throw new Error(details.length > 1 ? details.join('; ') : data.message || 'Failed to import bundle');
+  }
+  
+  return data;
+}
+
+function renderBundlePreview(result, fileName, onApply) {
+  const preview = document.getElementById('bundle-preview');
+  const list = (items, className = '') => items.length === 0 ? '' : `
+    <ul class="${className}">
+      ${items.map(item => `<li>${escapeHtml(item)}</li>`).join('')}
+    </ul>
+  `;
+  
+  preview.hidden = false;
+  preview.innerHTML = `
+    <strong>${escapeHtml(fileName)}</strong> (${escapeHtml(result.mode)}): ${escapeHtml(result.message)}
+    ${list(result.changes.map(change => change.path))}
+    ${list(result.conflicts.map(conflict => conflict.reason), 'bundle-warning')}
+    ${list(result.warnings.map(warning => `${warning.id}: ${warning.message}`), 'bundle-warning')}
+    <div class="modal-actions">
+      <button type="button" class="btn-cancel">Cancel</button>
+      ${result.changes.length > 0 ? '<button type="button" class="btn-submit" id="bundle-apply-btn">Apply</button>' : ''}
+    </div>
+  `;
+  
+  const applyBtn = document.getElementById('bundle-apply-btn');
+  if (applyBtn) {
+    applyBtn.addEventListener('click', onApply);
+  }
+}
+
+async function applyBundle(content, mode) {
+  const preview = document.getElementById('bundle-preview');
+  
+  try {
+    const result = await importBundle(content, mode, false);
+    preview.innerHTML = `<div>${escapeHtml(result.message)}</div>`;
+    
+    await loadServicesList();
+    loadServices().then(() => {
+      renderDashboard();
+    });
+  } catch (error) {
+    preview.innerHTML = `<div class="form-error">${escapeHtml(error.message)}</div>`;
+  }
+}
+
+async function loadServicesList() {
+  const servicesListEl = document.getElementById('services-list');
+  
+  try {
+    const response = await fetch(`${API_BASE_URL}/config/services`);
+    checkSession(response);
+    
+    if (!response.ok) {
+      throw new Error(`HTTP ${response.status}`);
     }
     
     const data = await response.json();
@@ -468,8 +1188,13 @@ async function loadServicesList() {
     
     servicesListEl.innerHTML = services.map(service => createServiceListItem(service)).join('');
     
-    // Attach delete handlers
+    // Attach edit and delete handlers
     services.forEach(service => {
+      const editBtn = document.getElementById(`edit-btn-${service.id}`);
+      if (editBtn) {
+        editBtn.addEventListener('click', () => openServiceModal(service));
+      }
+      
       const deleteBtn = document.getElementById(`delete-btn-${service.id}`);
       if (deleteBtn) {
         deleteBtn.addEventListener('click', () => handleDeleteService(service));
@@ -513,6 +1238,13 @@ function createServiceListItem(service) {
         </div>
       </div>
       <div class="service-item-actions">
+        <button class="btn-edit" id="edit-btn-${service.id}" aria-label="Edit service">
+          <svg xmlns="http://www.w3.org/2000/svg" width="16" height="16" viewBox="0 0 24 24" fill="none" stroke="currentColor" stroke-width="2" stroke-linecap="round" stroke-linejoin="round">
+            <path d="M12 20h9"></path>
+            <path d="M16.5 3.5a2.121 2.121 0 0 1 3 3L7 19l-4 1 1-4L16.5 3.5z"></path>
+          </svg>
+          Edit
+        </button>
         <button class="btn-delete" id="delete-btn-${service.id}" aria-label="Delete service">
           <svg xmlns="http://www.w3.org/2000/svg" width="16" height="16" viewBox="0 0 24 24" fill="none" stroke="currentColor" stroke-width="2" stroke-linecap="round" stroke-linejoin="round">
             <polyline points="3 6 5 6 21 6"></polyline>
@@ -563,6 +1295,7 @@ async function confirmDelete(serviceId) {
     });
     
     const data = await response.json();
+    checkSession(response);
     
     if (!response.ok) {
       throw new Error(data.message || 'Failed to delete service');
@@ -621,10 +1354,515 @@ function cancelDelete(serviceId) {
   }
 }
 
+// Dependencies Modal Functions
+function setupDependenciesModal() {
+  const modal = document.getElementById('dependencies-modal');
+  const dependenciesBtn = document.getElementById('dependencies-btn');
+  const closeBtn = document.getElementById('dependencies-modal-close');
+  
+  if (dependenciesBtn) {
+    dependenciesBtn.addEventListener('click', async () => {
+      modal.classList.add('show');
+      document.body.style.overflow = 'hidden';
+      await loadDependencyGraph();
+    });
+  }
+  
+  function closeModal() {
+    modal.classList.remove('show');
+    document.body.style.overflow = '';
+  }
+  
+  if (closeBtn) {
+    closeBtn.addEventListener('click', closeModal);
+  }
+  
+  // Close on backdrop click
+  modal.addEventListener('click', (e) => {
+    if (e.target === modal) {
+      closeModal();
+    }
+  });
+  
+  // Close on Escape key
+  document.addEventListener('keydown', (e) => {
+    if (e.key === 'Escape' && modal.classList.contains('show')) {
+      closeModal();
+    }
+  });
+}
+
+async function loadDependencyGraph() {
+  const graphEl = document.getElementById('dependency-graph');
+  
+  try {
+    const response = await fetch(`${API_BASE_URL}/dependencies`);
+    
+    if (!response.ok) {
+      throw new Error(`HTTP ${response.status}`);
+    }
+    
+    renderDependencyGraph(graphEl, await response.json());
+  } catch (error) {
+    console.error('Error loading dependencies:', error);
+    graphEl.innerHTML = `<div class="service-item-empty" style="color: var(--color-down);">Error loading dependencies: ${error.message}</div>`;
+  }
+}
+
+// Draw services that take part in a dependency as an SVG graph, upstream
+// services on the left. Root causes are outlined and labelled.
+function renderDependencyGraph(graphEl, graph) {
+  const NODE_WIDTH = 190;
+  const NODE_HEIGHT = 52;
+  const GAP_X = 80;
+  const GAP_Y = 24;
+  
+  const linked = new Set(graph.edges.flatMap(edge => [edge.from, edge.to]));
+  const nodes = graph.nodes.filter(node => linked.has(node.id));
+  
+  if (nodes.length === 0) {
+    graphEl.innerHTML = '<div class="service-item-empty">No dependencies configured. Add <code>dependsOn</code> to a service in services.json.</div>';
+    return;
+  }
+  
+  // A node's column is one past its deepest upstream
+  const columns = new Map();
+  const columnOf = (node) => {
+    if (!columns.has(node.id)) {
+      const upstream = node.dependsOn.map(id => nodes.find(n => n.id === id)).filter(Boolean);
+      columns.set(node.id, upstream.length ? 1 + Math.max(...upstream.map(columnOf)) : 0);
+    }
+    return columns.get(node.id);
+  };
+  nodes.forEach(columnOf);
+  
+  const rowsUsed = new Map();
+  const positions = new Map();
+  nodes.forEach(node => {
+    const column = columns.get(node.id);
+    const row = rowsUsed.get(column) || 0;
+    rowsUsed.set(column, row + 1);
+    positions.set(node.id, {
+      x: 10 + column * (NODE_WIDTH + GAP_X),
+      y: 10 + row * (NODE_HEIGHT + GAP_Y)
+    });
+  });
+  
+  const width = 20 + (Math.max(...columns.values()) + 1) * (NODE_WIDTH + GAP_X) - GAP_X;
+  const height = 20 + Math.max(...rowsUsed.values()) * (NODE_HEIGHT + GAP_Y) - GAP_Y + NODE_HEIGHT;
+  
+  const edges = graph.edges.map(edge => {
+    const from = positions.get(edge.from);
+    const to = positions.get(edge.to);
+    const startX = from.x;
+    const startY = from.y + NODE_HEIGHT / 2;
+    const endX = to.x + NODE_WIDTH + 6;
+    const endY = to.y + NODE_HEIGHT / 2;
+    const impacted = nodes.find(node => node.id === edge.from).status === 'impacted';
+    
+    // Edges skipping a column dip below the row so they don't cross the nodes in between
+    let curve;
+    if (columns.get(edge.from) - columns.get(edge.to) > 1) {
+      const dipY = Math.max(startY, endY) + NODE_HEIGHT;
+      curve = `C ${startX - GAP_X} ${dipY}, ${endX + GAP_X} ${dipY}, ${endX} ${endY}`;
+    } else {
+      const midX = (startX + endX) / 2;
+      curve = `C ${midX} ${startY}, ${midX} ${endY}, ${endX} ${endY}`;
+    }
+    
+    return `<path class="graph-edge${impacted ? ' impacted' : ''}" d="M ${startX} ${startY} ${curve}" marker-end="url(#graph-arrow)"></path>`;
+  }).join('');
+  
+  const nodeShapes = nodes.map(node => {
+    const { x, y } = positions.get(node.id);
+    const label = node.rootCause ? 'Root cause' : node.status;
+    
+    return `
+      <g class="graph-node status-${node.status}${node.rootCause ? ' root-cause' : ''}">
+        <title>${escapeHtml(node.message || node.status)}</title>
+        <rect x="${x}" y="${y}" width="${NODE_WIDTH}" height="${NODE_HEIGHT}" rx="8"></rect>
+        <text x="${x + 12}" y="${y + 22}">${escapeHtml(node.name)}</text>
+        <text class="graph-node-status" x="${x + 12}" y="${y + 40}">${escapeHtml(label)}</text>
+      </g>
+    `;
+  }).join('');
+  
+  graphEl.innerHTML = `
+    <svg xmlns="http://www.w3.org/2000/svg" width="${width}" height="${height}" viewBox="0 0 ${width} ${height}">
+      <defs>
+        <marker id="graph-arrow" viewBox="0 0 10 10" refX="8" refY="5" markerWidth="8" markerHeight="8" orient="auto">
+          <path class="graph-arrow" d="M 0 0 L 10 5 L 0 10 z"></path>
+        </marker>
+      </defs>
+      ${edges}
+      ${nodeShapes}
+    </svg>
+  `;
+}
+
+// Service Detail Modal Functions
+let detailServiceId = null;
+let detailRange = '24h';
+const DETAIL_RANGES = {
+  '24h': { duration: 24 * 60 * 60 * 1000, resolution: '30m' },
+  '7d': { duration: 7 * 24 * 60 * 60 * 1000, resolution: '4h' }
+};
+const DETAIL_CHECKS = 60;
+
+function setupServiceDetailModal() {
+  const modal = document.getElementById('service-detail-modal');
+  const closeBtn = document.getElementById('service-detail-close');
+  
+  // Tiles are re-created when the dashboard is re-rendered, so listen on the container
+  document.getElementById('dashboard-container').addEventListener('click', (e) => {
+    const tile = e.target.closest('.service-tile');
+    if (tile) {
+      openServiceDetail(tile.id.replace(/^service-/, ''));
+    }
+  });
+  
+  modal.querySelectorAll('.detail-range-btn').forEach(button => {
+    button.addEventListener('click', () => {
+      detailRange = button.dataset.range;
+      modal.querySelectorAll('.detail-range-btn').forEach(other => other.classList.toggle('active', other === button));
+      loadServiceDetail();
+    });
+  });
+  
+  document.getElementById('check-now-btn').addEventListener('click', runCheckNow);
+  
+  function closeModal() {
+    modal.classList.remove('show');
+    document.body.style.overflow = '';
+    detailServiceId = null;
+  }
+  
+  if (closeBtn) {
+    closeBtn.addEventListener('click', closeModal);
+  }
+  
+  // Close on backdrop click
+  modal.addEventListener('click', (e) => {
+    if (e.target === modal) {
+      closeModal();
+    }
+  });
+  
+  // Close on Escape key
+  document.addEventListener('keydown', (e) => {
+    if (e.key === 'Escape' && modal.classList.contains('show')) {
+      closeModal();
+    }
+  });
+}
+
+function openServiceDetail(serviceId) {
+  detailServiceId = serviceId;
+  document.getElementById('service-detail-modal').classList.add('show');
+  document.body.style.overflow = 'hidden';
+  
+  updateDetailStatus();
+  loadServiceDetail();
+}
+
+// Header line, kept current by live updates while the panel is open
+function updateDetailStatus() {
+  const service = services.find(s => s.id === detailServiceId);
+  if (!service) return;
+  
+  const message = formatStatusMessage(service);
+  const statusEl = document.getElementById('detail-status');
+  document.getElementById('service-detail-title').textContent = service.name;
+  statusEl.className = `detail-status status-${service.status}`;
+  statusEl.textContent = [service.status, message, `${service.responseTime}ms`].filter(Boolean).join(' · ');
+}
+
+async function loadServiceDetail() {
+  const serviceId = detailServiceId;
+  const { duration, resolution } = DETAIL_RANGES[detailRange];
+  const to = new Date();
+  const from = new Date(to.getTime() - duration);
+  const range = `from=${encodeURIComponent(from.toISOString())}&to=${encodeURIComponent(to.toISOString())}`;
+  const base = `${API_BASE_URL}/status/${encodeURIComponent(serviceId)}`;
+  
+  loadServiceConfig(serviceId);
+  
+  try {
+    const [history, recent, transitions] = await Promise.all([
+      fetchJson(`${base}/history?${range}&resolution=${resolution}`),
+      fetchJson(`${base}/history`),
+      fetchJson(`${base}/transitions?${range}`)
+    ]);
+    
+    // Closed or switched to another service while loading
+    if (serviceId !== detailServiceId) return;
+    
+    renderLatencyChart(history.buckets, from, to);
+    renderRecentChecks(recent.checks.slice(-DETAIL_CHECKS), history.buckets);
+    renderTransitions(transitions.transitions);
+  } catch (error) {
+    console.error('Error loading service detail:', error);
+    document.getElementById('detail-latency').innerHTML = '<div class="service-item-empty">Failed to load history</div>';
+  }
+}
+
+async function fetchJson(url) {
+  const response = await fetch(url);
+  
+  if (!response.ok) {
+    throw new Error(`HTTP ${response.status}`);
+  }
+  
+  return response.json();
+}
+
+// Average and p95 latency per bucket across the selected range
+function renderLatencyChart(buckets, from, to) {
+  const chartEl = document.getElementById('detail-latency');
+  const summaryEl = document.getElementById('detail-latency-summary');
+  const points = buckets.filter(bucket => bucket.latency.avg !== null);
+  
+  if (points.length < 2) {
+    chartEl.innerHTML = '<div class="service-item-empty">Not enough checks in this range yet</div>';
+    summaryEl.textContent = '';
+    return;
+  }
+  
+  const width = 600;
+  const height = 160;
+  const peak = Math.max(...points.map(bucket => bucket.latency.p95)) || 1;
+  const line = (field) => points.map(bucket => {
+    const x = ((Date.parse(bucket.start) - from.getTime()) / (to.getTime() - from.getTime())) * width;
+    const y = height - 4 - (bucket.latency[field] / peak) * (height - 8);
+    return `${Math.max(x, 0).toFixed(1)},${y.toFixed(1)}`;
+  }).join(' ');
+  
+  const count = points.reduce((sum, bucket) => sum + bucket.count, 0);
+  const average = Math.round(points.reduce((sum, bucket) => sum + bucket.latency.avg * bucket.count, 0) / count);
+  
+  summaryEl.textContent = `avg ${average}ms · p95 peak ${peak}ms`;
+  chartEl.innerHTML = `
+    <svg viewBox="0 0 ${width} ${height}" preserveAspectRatio="none" role="img" aria-label="Latency over the last ${detailRange}">
+      <polyline class="chart-p95" points="${line('p95')}"/>
+      <polyline class="chart-avg" points="${line('avg')}"/>
+    </svg>
+  `;
+}
+
+// One bar per recent check, with the uptime over the selected range
+function renderRecentChecks(checks, buckets) {
+  const checksEl = document.getElementById('detail-checks');
+  // Pending and maintenance checks don't count towards uptime
+  const total = (field) => buckets.reduce((sum, bucket) => sum + (bucket[field] || 0), 0);
+  const up = total('healthy') + total('warning');
+  const measured = up + total('down') + total('impacted');
+  
+  document.getElementById('detail-uptime').textContent = measured
+    ? `${(Math.round((up / measured) * 10000) / 100)}% uptime over ${detailRange}`
+    : '';
+  
+  checksEl.innerHTML = checks.length === 0
+    ? '<div class="service-item-empty">No checks yet</div>'
+    : checks.map(check => {
+      const title = [new Date(check.lastChecked).toLocaleString(), check.status, `${check.responseTime}ms`, check.message]
+        .filter(Boolean).join(' · ');
+      return `<span class="detail-check status-${escapeHtml(check.status)}" title="${escapeHtml(title)}"></span>`;
+    }).join('');
+}
+
+function renderTransitions(transitions) {
+  const listEl = document.getElementById('detail-transitions');
+  
+  listEl.innerHTML = transitions.length === 0
+    ? `<li class="service-item-empty">No status changes in the last ${detailRange}</li>`
+    : transitions.map(transition => `
+      <li>
+        <span class="detail-transition-time">${escapeHtml(new Date(transition.at).toLocaleString())}</span>
+        <span>${escapeHtml(transition.from)} → ${escapeHtml(transition.to)}</span>
+        <span class="detail-transition-message">${escapeHtml(transition.message || '')}</span>
+      </li>
+    `).join('');
+}
+
+// The service's settings as configured (secrets redacted); needs a sign-in
+async function loadServiceConfig(serviceId) {
+  const configEl = document.getElementById('detail-config');
+  
+  if (!currentUser) {
+    configEl.textContent = 'Sign in to see the configuration.';
+    return;
+  }
+  
+  try {
+    const response = await fetch(`${API_BASE_URL}/config/services`);
+    checkSession(response);
+    
+    if (!response.ok) {
+      throw new Error(`HTTP ${response.status}`);
+    }
+    
+    const data = await response.json();
+    const service = (data.services || []).find(s => s.id === serviceId);
+    
+    if (serviceId === detailServiceId) {
+      configEl.textContent = service ? JSON.stringify(service, null, 2) : 'Service not found';
+    }
+  } catch (error) {
+    console.error('Error loading service configuration:', error);
+    configEl.textContent = 'Failed to load the configuration.';
+  }
+}
+
+async function runCheckNow() {
+  const button = document.getElementById('check-now-btn');
+  const serviceId = detailServiceId;
+  
+  button.disabled = true;
+  button.textContent = 'Checking...';
+  
+  try {
+    const response = await fetch(`${API_BASE_URL}/status/${encodeURIComponent(serviceId)}/check`, { method: 'POST' });
+    const data = await response.json();
+    checkSession(response);
+    
+    if (!response.ok) {
+      throw new Error(data.message || `HTTP ${response.status}`);
+    }
+    
+    services = services.map(service => service.id === serviceId ? data.service : service);
+    updateDashboard();
+    
+    if (serviceId === detailServiceId) {
+      loadServiceDetail();
+    }
+  } catch (error) {
+    console.error('Error checking service:', error);
+    document.getElementById('detail-status').textContent = `Check failed: ${error.message}`;
+  } finally {
+    button.disabled = false;
+    button.textContent = 'Check Now';
+  }
+}
+
+// Sign In Modal Functions
+function setupLoginModal() {
+  const modal = document.getElementById('login-modal');
+  const accountBtn = document.getElementById('account-btn');
+  const closeBtn = document.getElementById('login-modal-close');
+  const cancelBtn = document.getElementById('login-cancel-btn');
+  const form = document.getElementById('login-form');
+  
+  function openModal() {
+    form.reset();
+    hideLoginError();
+    modal.classList.add('show');
+    document.body.style.overflow = 'hidden';
+    document.getElementById('login-username').focus();
+  }
+  
+  function closeModal() {
+    modal.classList.remove('show');
+    document.body.style.overflow = '';
+  }
+  
+  if (accountBtn) {
+    accountBtn.addEventListener('click', () => {
+      if (currentUser) {
+        signOut();
+      } else {
+        openModal();
+      }
+    });
+  }
+  
+  if (closeBtn) {
+    closeBtn.addEventListener('click', closeModal);
+  }
+  
+  if (cancelBtn) {
+    cancelBtn.addEventListener('click', closeModal);
+  }
+  
+  // Close on backdrop click
+  modal.addEventListener('click', (e) => {
+    if (e.target === modal) {
+      closeModal();
+    }
+  });
+  
+  // Close on Escape key
+  document.addEventListener('keydown', (e) => {
+    if (e.key === 'Escape' && modal.classList.contains('show')) {
+      closeModal();
+    }
+  });
+  
+  form.addEventListener('submit', async (e) => {
+    e.preventDefault();
+    hideLoginError();
+    
+    const submitBtn = form.querySelector('.btn-submit');
+    submitBtn.disabled = true;
+    
+    try {
+      const response = await fetch(`${API_BASE_URL}/auth/login`, {
+        method: 'POST',
+        headers: {
+          'Content-Type': 'application/json'
+        },
+        body: JSON.stringify({
+          username: form.username.value.trim(),
+          password: form.password.value
+        })
+      });
+      
+      const data = await response.json();
+      
+      if (!response.ok) {
+        throw new Error(data.message || 'Sign in failed');
+      }
+      
+      setCurrentUser(data.user);
+      closeModal();
+      loadIncidents();
+    } catch (error) {
+      showLoginError(error.message);
+    } finally {
+      submitBtn.disabled = false;
+    }
+  });
+}
+
+async function signOut() {
+  try {
+    await fetch(`${API_BASE_URL}/auth/logout`, { method: 'POST' });
+  } catch (error) {
+    console.error('Error signing out:', error);
+  }
+  
+  setCurrentUser(null);
+  document.getElementById('settings-modal').classList.remove('show');
+  closeServiceModal();
+  loadIncidents();
+}
+
+function showLoginError(message) {
+  const errorEl = document.getElementById('login-error');
+  errorEl.textContent = message;
+  errorEl.style.display = 'block';
+}
+
+function hideLoginError() {
+  const errorEl = document.getElementById('login-error');
+  errorEl.style.display = 'none';
+  errorEl.textContent = '';
+}
+
+// Safe for text and attribute values
 function escapeHtml(text) {
   const div = document.createElement('div');
   div.textContent = text;
-  return div.innerHTML;
+  return div.innerHTML.replace(/"/g, '&quot;');
 }
 
 // Make cancelDelete and confirmDelete available globally for onclick handlers
@@ -0,0 +1,163 @@
+const { test, beforeEach, after } = require('node:test');
+const assert = require('node:assert');
+const EventEmitter = require('events');
+const fs = require('fs');
+const http = require('http');
+const net = require('net');
+const os = require('os');
+const path = require('path');
+const alertService = require('../backend/services/alertService');
+
+const AlertService = alertService.constructor;
+const dataDir = fs.mkdtempSync(path.join(os.tmpdir(), 'alerts-'));
+process.env.ALERT_LOG_PATH = path.join(dataDir, 'alerts.jsonl');
+process.env.ALERT_STATE_PATH = path.join(dataDir, 'alert-state.json');
+
+const service = { id: 'api', name: 'Catalog API', type: 'internal', category: 'core' };
+
+// A webhook receiver on a local port, recording the alerts posted to it
+function startWebhook() {
+  const received = [];
+  const server = http.createServer((req, res) => {
+    let body = '';
+    req.on('data', chunk => { body += chunk; });
+    req.on('end', () => {
+      received.push(JSON.parse(body));
+      res.end('ok');
+    });
+  });
+
+  return new Promise(resolve => server.listen(0, '127.0.0.1', () => {
+    resolve({ received, url: `http://127.0.0.1:${server.address().port}/hook`, close: () => server.close() });
+  }));
+}
+
+// Just enough SMTP for one plain-text message per connection
+function startSmtp() {
+  const messages = [];
+  const server = net.createServer(socket => {
+    let data = null;
+    let pending = '';
+    socket.write('220 localhost ESMTP\r\n');
+    socket.on('data', chunk => {
+      const lines = (pending + chunk).split('\r\n');
+      pending = lines.pop();
+      lines.forEach(line => {
+        if (data !== null) {
+          if (line === '.') {
+            messages.push(data.join('\n'));
+            data = null;
+            socket.write('250 OK\r\n');
+          } else {
+            data.push(line);
+          }
+        } else if (/^EHLO|^HELO/i.test(line)) {
+          socket.write('250 localhost\r\n');
+        } else if (/^DATA/i.test(line)) {
+          data = [];
+          socket.write('354 End with .\r\n');
+        } else if (/^QUIT/i.test(line)) {
+          socket.end('221 Bye\r\n');
+        } else {
+          socket.write('250 OK\r\n');
+        }
+      });
+    });
+  });
+
+  return new Promise(resolve => server.listen(0, '127.0.0.1', () => {
+    resolve({ messages, port: server.address().port, close: () => server.close() });
+  }));
+}
+
+function createHealthCheck(alerts) {
+  const healthCheck = new EventEmitter();
+  healthCheck.alerts = alerts;
+  healthCheck.hasService = id => id === service.id;
+  return healthCheck;
+}
+
+function result(status) {
+  return { id: service.id, status, message: status === 'down' ? 'HTTP 500' : null, responseTime: 12, lastChecked: new Date().toISOString() };
+}
+
+let webhook;
+let smtp;
+
+beforeEach(async () => {
+  fs.rmSync(process.env.ALERT_STATE_PATH, { force: true });
+  fs.rmSync(process.env.ALERT_LOG_PATH, { force: true });
+  if (!webhook) webhook = await startWebhook();
+  if (!smtp) smtp = await startSmtp();
+  webhook.received.length = 0;
+  smtp.messages.length = 0;
+});
+
+after(() => {
+  webhook.close();
+  smtp.close();
+  fs.rmSync(dataDir, { recursive: true, force: true });
+});
+
+test('sends down and recovered alerts to the matching notifiers', async () => {
+  const alerts = new AlertService();
+  alerts.initialize(createHealthCheck({
+    notifiers: {
+      hook: { type: 'webhook', url: webhook.url },
+      mail: { type: 'email', host: '127.0.0.1', port: smtp.port, ignoreTLS: true, to: 'ops@example.com' }
+    },
+    rules: [{ notify: ['hook', 'mail'] }]
+  }));
+
+  await alerts.handleStatusChange({ service, current: result('down') });
+  await alerts.handleStatusChange({ service, current: result('healthy') });
+
+  assert.deepStrictEqual(webhook.received.map(alert => alert.event), ['down', 'recovered']);
+  assert.strictEqual(webhook.received[0].serviceId, 'api');
+  assert.strictEqual(smtp.messages.length, 2);
+  assert.match(smtp.messages[0], /Catalog API/);
+  assert.deepStrictEqual(alerts.getRecentAlerts().map(record => record.success), [true, true, true, true]);
+});
+
+test('does not alert again after a restart for a service still down', async () => {
+  const config = { notifiers: { hook: { type: 'webhook', url: webhook.url } }, rules: [{ notify: ['hook'] }] };
+
+  const before = new AlertService();
+  before.initialize(createHealthCheck(config));
+  await before.handleStatusChange({ service, current: result('down') });
+
+  const restarted = new AlertService();
+  restarted.initialize(createHealthCheck(config));
+  await restarted.handleStatusChange({ service, current: result('down') });
+  await restarted.handleStatusChange({ service, current: result('healthy') });
+
+  assert.deepStrictEqual(webhook.received.map(alert => alert.event), ['down', 'recovered']);
+});
+
+test('records failed deliveries in the alert log', async () => {
+  const alerts = new AlertService();
+  alerts.initialize(createHealthCheck({
+    notifiers: { hook: { type: 'webhook', url: 'http://127.0.0.1:1/hook', timeout: 500 } },
+    rules: [{ notify: ['hook', 'missing'] }]
+  }));
+
+  await alerts.handleStatusChange({ service, current: result('down') });
+
+  const records = alerts.getRecentAlerts();
+  assert.strictEqual(records.length, 2);
+  assert.ok(records.every(record => record.success === false && record.error));
+});
+
+test('reads webhook URLs from urlEnv', async () => {
+  process.env.TEST_WEBHOOK_URL = webhook.url;
+  const alerts = new AlertService();
+  alerts.initialize(createHealthCheck({
+    notifiers: { hook: { type: 'webhook', urlEnv: 'TEST_WEBHOOK_URL' } },
+    rules: [{ notify: ['hook'] }]
+  }));
+
+  await alerts.handleStatusChange({ service, current: result('down') });
+
+  assert.deepStrictEqual(webhook.received.map(alert => alert.event), ['down']);
+  delete process.env.TEST_WEBHOOK_URL;
+});
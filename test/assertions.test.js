@@ -0,0 +1,38 @@
+const { test } = require('node:test');
+const assert = require('node:assert');
+const { evaluateAssertions } = require('../backend/services/assertions');
+
+function response(body, statusCode = 200) {
+  return { statusCode, body, headers: new Headers({ 'content-type': 'application/json' }) };
+}
+
+test('passes when every assertion holds', () => {
+  const assertions = [
+    { type: 'json', path: '$.db', equals: 'up' },
+    { type: 'header', name: 'content-type', pattern: 'json' },
+    { type: 'statusCode', allowed: [200] }
+  ];
+
+  assert.strictEqual(evaluateAssertions(assertions, response('{"db":"up"}')), null);
+});
+
+test('returns the most severe failure', () => {
+  const assertions = [
+    { type: 'json', path: '$.queue', lessThan: 10, status: 'warning', message: 'Queue Backlog' },
+    { type: 'json', path: '$.db', equals: 'up', message: 'DB Timeout' }
+  ];
+
+  assert.deepStrictEqual(evaluateAssertions(assertions, response('{"db":"down","queue":50}')), {
+    status: 'down',
+    message: 'DB Timeout'
+  });
+});
+
+test('reports an invalid pattern as a failed assertion', () => {
+  const assertions = [{ type: 'body', pattern: '(unclosed', status: 'warning' }];
+
+  assert.deepStrictEqual(evaluateAssertions(assertions, response('ok')), {
+    status: 'warning',
+    message: 'Invalid pattern /(unclosed/'
+  });
+});
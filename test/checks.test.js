@@ -0,0 +1,48 @@
+const { test, before, after } = require('node:test');
+const assert = require('node:assert');
+const net = require('net');
+const { getCheck, getCheckType } = require('../backend/services/checks');
+
+let server;
+let port;
+
+before(() => new Promise(resolve => {
+  server = net.createServer(socket => socket.end());
+  server.listen(0, '127.0.0.1', () => {
+    port = server.address().port;
+    resolve();
+  });
+}));
+
+after(() => {
+  server.close();
+});
+
+test('defaults to the http check type', () => {
+  assert.strictEqual(getCheckType({ endpoint: 'http://localhost/' }), 'http');
+  assert.strictEqual(getCheckType({ check: { type: 'tcp' } }), 'tcp');
+  assert.strictEqual(getCheck('unknown'), null);
+});
+
+test('tcp is healthy when the port accepts connections', async () => {
+  const tcp = getCheck('tcp');
+
+  const open = await tcp.run({ endpoint: `tcp://127.0.0.1:${port}` }, { timeout: 1000 });
+  assert.deepStrictEqual(open, { status: 'healthy', message: null });
+
+  const closed = await tcp.run({ endpoint: 'tcp://127.0.0.1', check: { type: 'tcp', port: 1 } }, { timeout: 1000 });
+  assert.deepStrictEqual(closed, { status: 'down', message: 'Connection Refused' });
+});
+
+test('tcp needs a port', () => {
+  assert.throws(() => getCheck('tcp').run({ endpoint: 'http://127.0.0.1' }, { timeout: 1000 }), /No port configured/);
+});
+
+test('exec maps exit codes to statuses and uses the first line of output', async () => {
+  const exec = getCheck('exec');
+  const script = code => ({ check: { type: 'exec', command: process.execPath, args: ['-e', `console.log("line one\\nline two"); process.exit(${code})`] } });
+
+  assert.deepStrictEqual(await exec.run(script(0), { timeout: 5000 }), { status: 'healthy', message: 'line one' });
+  assert.deepStrictEqual(await exec.run(script(1), { timeout: 5000 }), { status: 'warning', message: 'line one' });
+  assert.deepStrictEqual(await exec.run(script(2), { timeout: 5000 }), { status: 'down', message: 'line one' });
+});
@@ -0,0 +1,85 @@
+const { test } = require('node:test');
+const assert = require('node:assert');
+const { REDACTED } = require('../backend/services/redact');
+const { ImportError } = require('../backend/services/importers');
+const { createBundle, planBundle } = require('../backend/services/configBundle');
+
+function localConfig() {
+  return {
+    services: [
+      { id: 'api', name: 'Catalog API', endpoint: 'http://api.local/health', request: { headers: { Authorization: 'Bearer local' } } },
+      { id: 'db', name: 'Database', endpoint: 'http://db.local/health' }
+    ],
+    settings: { pollInterval: 30 },
+    alerts: {
+      notifiers: {
+        hook: { type: 'webhook', url: 'https://hooks.example.com/local-token' },
+        mail: { type: 'email', host: 'smtp.local', to: 'ops@example.com', user: 'status', pass: 'local-pass' }
+      },
+      rules: [{ notify: ['hook'] }]
+    }
+  };
+}
+
+test('merge adds what is missing and keeps local definitions on conflict', () => {
+  const bundle = createBundle({
+    services: [
+      { id: 'api', name: 'Catalog API', endpoint: 'http://elsewhere/health' },
+      { id: 'web', name: 'Website', endpoint: 'http://web.local/' }
+    ],
+    settings: { pollInterval: 60, timeout: 5000 },
+    alerts: { notifiers: {}, rules: [{ notify: ['hook'] }, { criticalOnly: true, notify: ['mail'] }] }
+  });
+
+  const plan = planBundle(localConfig(), bundle, 'merge');
+
+  assert.deepStrictEqual(plan.config.services.map(service => service.id), ['api', 'db', 'web']);
+  assert.strictEqual(plan.config.services[0].endpoint, 'http://api.local/health');
+  assert.deepStrictEqual(plan.config.settings, { pollInterval: 30, timeout: 5000 });
+  assert.strictEqual(plan.config.alerts.rules.length, 2);
+  assert.deepStrictEqual(plan.conflicts.map(conflict => `${conflict.section}:${conflict.id}`), ['services:api', 'settings:pollInterval']);
+  assert.deepStrictEqual(plan.warnings, []);
+});
+
+test('replace takes the bundle and restores redacted secrets from the local config', () => {
+  const bundle = createBundle(localConfig());
+  assert.strictEqual(bundle.alerts.notifiers.hook.url, REDACTED);
+  assert.strictEqual(bundle.alerts.notifiers.mail.pass, REDACTED);
+
+  bundle.services = bundle.services.filter(service => service.id !== 'db');
+  bundle.alerts.notifiers.pager = { type: 'webhook', url: REDACTED };
+
+  const plan = planBundle(localConfig(), bundle, 'replace');
+
+  assert.deepStrictEqual(plan.config.services.map(service => service.id), ['api']);
+  assert.strictEqual(plan.config.services[0].request.headers.Authorization, 'Bearer local');
+  assert.strictEqual(plan.config.alerts.notifiers.hook.url, 'https://hooks.example.com/local-token');
+  assert.strictEqual(plan.config.alerts.notifiers.mail.user, 'status');
+  assert.strictEqual(plan.config.alerts.notifiers.mail.pass, 'local-pass');
+  assert.deepStrictEqual(plan.warnings.map(warning => `${warning.section}:${warning.id}`), ['alerts:pager']);
+});
+
+test('refuses bundle services with inline secrets in either mode', () => {
+  const bundle = {
+    services: [{ id: 'web', name: 'Website', endpoint: 'http://web.local/', request: { auth: { type: 'bearer', token: 'abc' } } }]
+  };
+
+  ['merge', 'replace'].forEach(mode => {
+    assert.throws(() => planBundle(localConfig(), bundle, mode), ImportError);
+  });
+});
+
+test('accepts an exec check only when it matches the local one', () => {
+  const config = localConfig();
+  config.services.push({ id: 'disk', name: 'Disk', endpoint: 'http://localhost/', check: { type: 'exec', command: 'check-disk', env: { KEY: 'secret' } } });
+
+  const bundle = createBundle(config);
+  const plan = planBundle(config, bundle, 'replace');
+  assert.deepStrictEqual(plan.config.services[2].check.env, { KEY: 'secret' });
+
+  bundle.services[2].check.command = 'something-else';
+  assert.throws(() => planBundle(config, bundle, 'merge'), /exec checks must be configured in services.json/);
+
+  const added = { services: [{ id: 'new', name: 'New', endpoint: 'http://localhost/', check: { type: 'exec', command: 'true' } }] };
+  assert.throws(() => planBundle(config, added, 'merge'), ImportError);
+});
@@ -0,0 +1,96 @@
+const { test, beforeEach, after } = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const configSource = require('../backend/services/configSource');
+const { ConfigValidationError } = require('../backend/services/configValidator');
+
+const baseDir = fs.mkdtempSync(path.join(os.tmpdir(), 'config-'));
+const paths = {
+  configPath: path.join(baseDir, 'services.json'),
+  configDir: path.join(baseDir, 'conf.d'),
+  writePath: path.join(baseDir, 'services.json')
+};
+
+function service(id, endpoint = `http://${id}.local/health`) {
+  return { id, name: id.toUpperCase(), endpoint };
+}
+
+function writeJson(file, value) {
+  fs.writeFileSync(file, JSON.stringify(value, null, 2));
+}
+
+function readJson(file) {
+  return JSON.parse(fs.readFileSync(file, 'utf8'));
+}
+
+beforeEach(() => {
+  fs.rmSync(paths.configDir, { recursive: true, force: true });
+  fs.mkdirSync(paths.configDir);
+  writeJson(paths.configPath, { services: [service('api')], settings: { pollInterval: 30 } });
+  writeJson(path.join(paths.configDir, 'team.json'), {
+    services: [service('db', 'http://${DB_HOST:-db.local}:5432/')],
+    settings: { timeoutThreshold: 4000 },
+    alerts: { notifiers: { hook: { type: 'webhook', url: 'https://hooks.example.com/x' } }, rules: [{ notify: ['hook'] }] }
+  });
+});
+
+after(() => {
+  fs.rmSync(baseDir, { recursive: true, force: true });
+});
+
+test('merges conf.d files after the main file and resolves references', () => {
+  const { config, raw } = configSource.loadConfiguration(paths);
+
+  assert.deepStrictEqual(config.services.map(item => item.id), ['api', 'db']);
+  assert.deepStrictEqual(config.settings, { pollInterval: 30, timeoutThreshold: 4000 });
+  assert.deepStrictEqual(Object.keys(config.alerts.notifiers), ['hook']);
+  assert.strictEqual(config.services[1].endpoint, 'http://db.local:5432/');
+  assert.strictEqual(raw.services[1].endpoint, 'http://${DB_HOST:-db.local}:5432/');
+});
+
+test('refuses a setting defined in more than one file', () => {
+  writeJson(path.join(paths.configDir, 'other.json'), { settings: { pollInterval: 60 } });
+
+  assert.throws(() => configSource.loadConfiguration(paths), error => {
+    assert.ok(error instanceof ConfigValidationError);
+    assert.strictEqual(error.errors[0].path, 'settings.pollInterval');
+    assert.match(error.errors[0].message, /Also set in/);
+    return true;
+  });
+});
+
+test('writes only what the other files do not define', () => {
+  const raw = configSource.readRaw(paths);
+  raw.services.push(service('web'));
+  raw.settings.pollInterval = 15;
+
+  configSource.writeConfiguration(raw, paths);
+
+  assert.deepStrictEqual(readJson(paths.configPath), {
+    services: [service('api'), service('web')],
+    settings: { pollInterval: 15 }
+  });
+  assert.deepStrictEqual(configSource.readRaw(paths).services.map(item => item.id), ['api', 'web', 'db']);
+});
+
+test('refuses to change or remove what another file defines', () => {
+  const changed = configSource.readRaw(paths);
+  changed.services[1].endpoint = 'http://elsewhere/';
+  assert.match(configSource.checkConfiguration(changed, paths)[0].message, /Service "db" is defined in .*team\.json; change it there/);
+
+  const removed = configSource.readRaw(paths);
+  delete removed.alerts.notifiers.hook;
+  removed.alerts.rules = [];
+  assert.throws(() => configSource.writeConfiguration(removed, paths), ConfigValidationError);
+  assert.strictEqual(readJson(paths.configPath).services.length, 1);
+});
+
+test('reports unset variables and keeps escaped references literal', () => {
+  const { config, errors } = configSource.resolveConfig({ endpoint: 'http://${MISSING_HOST}/', note: '$${NOT_A_VAR}' }, {});
+
+  assert.deepStrictEqual(errors.map(error => error.path), ['endpoint']);
+  assert.match(errors[0].message, /MISSING_HOST is not set/);
+  assert.strictEqual(config.note, '${NOT_A_VAR}');
+});
@@ -0,0 +1,76 @@
+const { test, before, after } = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const historyStore = require('../backend/services/historyStore');
+
+const HOUR_MS = 60 * 60 * 1000;
+const DAY_MS = 24 * HOUR_MS;
+const dataDir = fs.mkdtempSync(path.join(os.tmpdir(), 'history-'));
+const today = Date.UTC(new Date().getUTCFullYear(), new Date().getUTCMonth(), new Date().getUTCDate());
+
+let history;
+
+function record(id, time, status, responseTime) {
+  history.record({ id, status, responseTime, lastChecked: new Date(time).toISOString(), message: null });
+}
+
+before(() => {
+  process.env.HISTORY_PATH = dataDir;
+  history = new historyStore.constructor();
+  history.initialize({});
+  clearInterval(history.pruneInterval);
+});
+
+after(() => {
+  fs.rmSync(dataDir, { recursive: true, force: true });
+});
+
+test('aggregates raw checks from more than one day file into buckets', () => {
+  const midnight = today;
+  record('api', midnight - 30 * 60 * 1000, 'healthy', 100);
+  record('api', midnight - 10 * 60 * 1000, 'down', 300);
+  record('api', midnight + 10 * 60 * 1000, 'healthy', 200);
+  record('api', midnight + 20 * 60 * 1000, 'pending', 50);
+  record('db', midnight + 20 * 60 * 1000, 'down', 10);
+
+  const buckets = history.getAggregates('api', new Date(midnight - HOUR_MS), new Date(midnight + HOUR_MS), '1h');
+
+  assert.deepStrictEqual(buckets.map(bucket => bucket.start), [
+    new Date(midnight - HOUR_MS).toISOString(),
+    new Date(midnight).toISOString()
+  ]);
+  assert.deepStrictEqual(buckets.map(bucket => [bucket.count, bucket.healthy, bucket.down, bucket.pending]), [[2, 1, 1, 0], [2, 1, 0, 1]]);
+  assert.deepStrictEqual(buckets.map(bucket => bucket.uptime), [50, 100]);
+  assert.deepStrictEqual(buckets[0].latency, { min: 100, max: 300, avg: 200, p50: 100, p95: 300 });
+});
+
+test('rolls old raw days up into hourly buckets that still aggregate', () => {
+  const day = today - 10 * DAY_MS;
+  record('api', day + 5 * 60 * 1000, 'healthy', 100);
+  record('api', day + 15 * 60 * 1000, 'healthy', 300);
+  record('api', day + HOUR_MS + 5 * 60 * 1000, 'down', 500);
+  record('api', day + HOUR_MS + 10 * 60 * 1000, 'maintenance', 0);
+
+  history.prune();
+
+  const dayKey = new Date(day).toISOString().slice(0, 10);
+  assert.ok(!fs.existsSync(history.rawFile(dayKey)));
+  assert.ok(fs.existsSync(history.rollupFile(dayKey)));
+
+  const [bucket] = history.getAggregates('api', new Date(day), new Date(day + DAY_MS - 1), '1d');
+  assert.strictEqual(bucket.count, 4);
+  assert.strictEqual(bucket.healthy, 2);
+  assert.strictEqual(bucket.down, 1);
+  assert.strictEqual(bucket.maintenance, 1);
+  assert.strictEqual(bucket.uptime, 66.67);
+  assert.strictEqual(bucket.latency.min, 0);
+  assert.strictEqual(bucket.latency.max, 500);
+});
+
+test('refuses ranges with too many buckets', () => {
+  const to = new Date();
+  assert.strictEqual(history.isTooManyBuckets(new Date(to.getTime() - 30 * DAY_MS), to, '1m'), true);
+  assert.strictEqual(history.isTooManyBuckets(new Date(to.getTime() - 30 * DAY_MS), to, '1h'), false);
+});
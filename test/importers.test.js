@@ -0,0 +1,36 @@
+const { test } = require('node:test');
+const assert = require('node:assert');
+const { ImportError, proposeServices } = require('../backend/services/importers');
+
+const spec = 'openapi: 3.0.0\ninfo: {}\npaths:\n  /health:\n    get: {}\n';
+
+test('proposes an OpenAPI service from its baseUrl', () => {
+  const { proposals } = proposeServices(spec, { baseUrl: 'http://orders.local:8080' });
+  assert.strictEqual(proposals[0].service.id, 'orders-local');
+  assert.strictEqual(proposals[0].service.endpoint, 'http://orders.local:8080/health');
+});
+
+test('refuses an OpenAPI baseUrl that is not an http URL', () => {
+  assert.throws(() => proposeServices(spec, { baseUrl: 'not a url' }), error => {
+    assert.ok(error instanceof ImportError);
+    assert.match(error.message, /baseUrl "not a url" must be an absolute http or https URL/);
+    return true;
+  });
+});
+
+test('refuses a compose service without a definition', () => {
+  assert.throws(() => proposeServices('services:\n  web:\n'), error => {
+    assert.ok(error instanceof ImportError);
+    assert.match(error.message, /Compose service "web" has no definition/);
+    return true;
+  });
+});
+
+test('reports a file with an unexpected shape as an ImportError', () => {
+  const tagged = 'openapi: 3.0.0\ninfo: {}\npaths:\n  /up:\n    get: { tags: health }\n';
+  assert.throws(() => proposeServices(tagged, { baseUrl: 'http://orders.local' }), error => {
+    assert.ok(error instanceof ImportError);
+    assert.match(error.message, /^Could not read the openapi file: /);
+    return true;
+  });
+});
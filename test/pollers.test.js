@@ -0,0 +1,84 @@
+const { test, beforeEach, afterEach } = require('node:test');
+const assert = require('node:assert');
+const healthCheckService = require('../backend/services/healthCheck');
+
+const HealthCheckService = healthCheckService.constructor;
+
+let health;
+let checked;
+let recorded;
+
+function service(id, fields = {}) {
+  return { id, name: id, endpoint: `http://${id}.local/`, pollInterval: 3600, ...fields };
+}
+
+beforeEach(() => {
+  health = new HealthCheckService();
+  checked = [];
+  recorded = [];
+  health.runServiceCheck = async checkedService => {
+    checked.push(checkedService.id);
+    return { id: checkedService.id, status: 'healthy' };
+  };
+  health.recordResult = result => recorded.push(result.id);
+  health.broadcastStatus = () => {};
+});
+
+afterEach(() => {
+  Array.from(health.pollers.keys()).forEach(serviceId => health.stopPoller(serviceId));
+});
+
+test('starts new services, restarts changed ones and stops removed ones', () => {
+  health.services = [service('api'), service('db'), service('web')];
+  health.syncPollers();
+  assert.deepStrictEqual(checked, ['api', 'db', 'web']);
+
+  const generation = health.pollers.get('api').generation;
+  checked.length = 0;
+
+  health.services = [
+    service('api', { endpoint: 'http://api.elsewhere/' }),
+    service('db', { pollInterval: 1800 })
+  ];
+  health.syncPollers();
+
+  // A new definition is checked straight away; a new interval only retimes the poller
+  assert.deepStrictEqual(checked, ['api']);
+  assert.notStrictEqual(health.pollers.get('api').generation, generation);
+  assert.strictEqual(health.pollers.get('db').interval, 1800 * 1000);
+  assert.deepStrictEqual(Array.from(health.pollers.keys()).sort(), ['api', 'db']);
+});
+
+test('drops the result of a check that finished after its poller was replaced', async () => {
+  let finish;
+  health.runServiceCheck = checkedService => new Promise(resolve => {
+    finish = () => resolve({ id: checkedService.id, status: 'healthy' });
+  });
+
+  health.services = [service('api')];
+  health.syncPollers();
+  const stale = finish;
+
+  health.services = [service('api', { endpoint: 'http://api.elsewhere/' })];
+  health.syncPollers();
+
+  stale();
+  await new Promise(resolve => setImmediate(resolve));
+  assert.deepStrictEqual(recorded, []);
+
+  finish();
+  await new Promise(resolve => setImmediate(resolve));
+  assert.deepStrictEqual(recorded, ['api']);
+});
+
+test('logs a failed check instead of rejecting from the timer', async () => {
+  health.runServiceCheck = async () => {
+    throw new Error('boom');
+  };
+
+  health.services = [service('api')];
+  health.syncPollers();
+  await new Promise(resolve => setImmediate(resolve));
+
+  assert.deepStrictEqual(recorded, []);
+});
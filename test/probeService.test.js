@@ -0,0 +1,94 @@
+const { test, beforeEach } = require('node:test');
+const assert = require('node:assert');
+const probeService = require('../backend/services/probeService');
+
+const ProbeService = probeService.constructor;
+const service = { id: 'plc', name: 'Line PLC', type: 'hardware', category: 'operations', probes: ['local', 'plant-a', 'plant-b'] };
+
+let probes;
+
+beforeEach(() => {
+  probes = new ProbeService();
+  probes.healthCheckService = {
+    services: [service],
+    rawServices: [service],
+    settings: {},
+    getPollInterval: () => 60000
+  };
+});
+
+function local(status, responseTime = 10) {
+  return { status, responseTime, lastChecked: new Date().toISOString(), message: status === 'down' ? 'Timeout' : null };
+}
+
+function report(probeId, status, responseTime = 30) {
+  probes.recordResults(probeId, [{ id: service.id, ...local(status, responseTime) }]);
+}
+
+test('is down once a majority of locations see it down', () => {
+  report('plant-a', 'down');
+  report('plant-b', 'healthy');
+
+  const result = probes.combineResults(service, local('down'));
+  assert.strictEqual(result.status, 'down');
+  assert.strictEqual(result.message, 'Down from 2 of 3 locations (local, plant-a)');
+  assert.deepStrictEqual(result.quorum, { down: 2, total: 3, required: 2 });
+});
+
+test('is a warning when fewer than quorum locations see it down', () => {
+  report('plant-a', 'down');
+  report('plant-b', 'healthy');
+
+  const result = probes.combineResults({ ...service, quorum: 3 }, local('down'));
+  assert.strictEqual(result.status, 'warning');
+  assert.deepStrictEqual(result.quorum, { down: 2, total: 3, required: 3 });
+});
+
+test('takes the worst status and the median response time when none are down', () => {
+  report('plant-a', 'warning', 2500);
+  report('plant-b', 'healthy', 40);
+
+  const result = probes.combineResults(service, local('healthy', 20));
+  assert.strictEqual(result.status, 'warning');
+  assert.strictEqual(result.responseTime, 40);
+  assert.deepStrictEqual(result.locations.map(location => location.probe), ['local', 'plant-a', 'plant-b']);
+});
+
+test('leaves out offline probes and stale results', () => {
+  report('plant-a', 'down');
+  report('plant-b', 'down');
+  probes.probes.get('plant-a').online = false;
+  probes.results.get(service.id).get('plant-b').receivedAt = Date.now() - 3 * 60000;
+
+  const result = probes.combineResults(service, local('healthy'));
+  assert.strictEqual(result.status, 'healthy');
+  assert.deepStrictEqual(result.locations.map(location => location.message), [null, 'Probe offline', 'No recent result']);
+  assert.deepStrictEqual(result.quorum, { down: 0, total: 3, required: 2 });
+});
+
+test('is pending while no location has reported', () => {
+  const result = probes.combineResults({ ...service, probes: ['plant-a', 'plant-b'] }, null);
+  assert.strictEqual(result.status, 'pending');
+  assert.strictEqual(result.message, 'No results from probes');
+});
+
+test('trims probe messages and caps their length', () => {
+  probes.recordResults('plant-a', [{ id: service.id, status: 'down', message: `  ${'x'.repeat(500)}  ` }]);
+  assert.strictEqual(probes.results.get(service.id).get('plant-a').message, 'x'.repeat(200));
+});
+
+test('sends probes only the check fields, with inline secrets redacted', () => {
+  probes.healthCheckService.rawServices = [{
+    ...service,
+    endpoint: 'http://plc.local/health',
+    metadata: { location: 'Line 1' },
+    request: { method: 'POST', headers: { 'X-Key': 'secret' }, auth: { type: 'bearer', token: 'secret' }, body: '{"ping":true}' }
+  }];
+
+  const { services } = probes.recordHeartbeat('plant-a');
+  assert.deepStrictEqual(services, [{
+    id: 'plc',
+    endpoint: 'http://plc.local/health',
+    request: { method: 'POST', headers: { 'X-Key': '********' }, auth: { type: 'bearer', token: '********' }, body: '{"ping":true}' }
+  }]);
+});
@@ -0,0 +1,101 @@
+const { test, before, after, beforeEach } = require('node:test');
+const assert = require('node:assert');
+const statusStream = require('../backend/services/statusStream');
+const statusUpdates = require('../backend/services/statusUpdates');
+
+const everything = { categories: [], types: [] };
+
+let stream;
+
+function result(id, fields = {}) {
+  return { id, category: 'core', type: 'internal', status: 'healthy', message: null, ...fields };
+}
+
+// A response that records what was written; full makes every write report backpressure
+function response({ full = false } = {}) {
+  const res = {
+    text: '',
+    destroyed: false,
+    writeHead() {},
+    write(text) {
+      res.text += text;
+      return !full;
+    },
+    on() {},
+    once() {},
+    destroy() {
+      res.destroyed = true;
+    }
+  };
+  return res;
+}
+
+function events(res) {
+  return res.text.split('\n\n')
+    .map(block => Object.fromEntries(block.split('\n').filter(line => /^(id|event): /.test(line)).map(line => line.split(': '))))
+    .filter(event => event.event);
+}
+
+function changes(...services) {
+  statusUpdates.emit('changes', { timestamp: new Date().toISOString(), services, removed: [] });
+}
+
+before(() => {
+  stream = new statusStream.constructor();
+  stream.initialize({ services: [], getAllStatuses: () => [result('api')] });
+});
+
+after(() => {
+  clearInterval(stream.heartbeatTimer);
+  statusUpdates.removeAllListeners('changes');
+});
+
+beforeEach(() => {
+  stream.clients.clear();
+});
+
+test('forwards every status change, not only new statuses', () => {
+  const res = response();
+  stream.addClient(res, everything, null);
+
+  changes(result('api', { status: 'down', message: 'Timeout' }));
+  changes(result('api', { status: 'down', message: 'Timeout', maintenance: { reason: 'Upgrade' } }));
+
+  assert.deepStrictEqual(events(res).map(event => event.event), ['snapshot', 'status', 'status']);
+});
+
+test('replays what a client missed after its Last-Event-ID', () => {
+  const first = response();
+  stream.addClient(first, everything, null);
+  changes(result('api', { status: 'warning' }));
+  const lastSeen = events(first).pop().id;
+
+  changes(result('api', { status: 'down' }));
+  changes(result('db', { category: 'edge' }));
+
+  const resumed = response();
+  stream.addClient(resumed, { categories: ['core'], types: [] }, lastSeen);
+  assert.deepStrictEqual(events(resumed).map(event => event.event), ['status']);
+  assert.match(resumed.text, /"status":"down"/);
+});
+
+test('sends a snapshot for an unknown or expired Last-Event-ID', () => {
+  const res = response();
+  stream.addClient(res, everything, 'earlier-boot-3');
+  assert.deepStrictEqual(events(res).map(event => event.event), ['snapshot']);
+
+  const expired = response();
+  const [boot] = events(res)[0].id.split('-');
+  for (let i = 0; i < 501; i++) changes(result('api', { responseTime: i }));
+  stream.addClient(expired, everything, `${boot}-1`);
+  assert.deepStrictEqual(events(expired).map(event => event.event), ['snapshot']);
+});
+
+test('disconnects a client that has not taken its last write', () => {
+  const res = response({ full: true });
+  stream.addClient(res, everything, null);
+
+  changes(result('api', { status: 'down' }));
+  assert.strictEqual(res.destroyed, true);
+  assert.strictEqual(stream.clients.size, 0);
+});
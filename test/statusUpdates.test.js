@@ -0,0 +1,71 @@
+const { test, beforeEach } = require('node:test');
+const assert = require('node:assert');
+const statusUpdates = require('../backend/services/statusUpdates');
+
+const StatusUpdateService = statusUpdates.constructor;
+
+let updates;
+let statuses;
+let deltas;
+
+function result(id, fields = {}) {
+  return { id, category: 'core', status: 'healthy', message: null, responseTime: 40, lastChecked: '2026-10-19T10:00:00.000Z', ...fields };
+}
+
+// Services in the "all" room's latest delta
+function sentIds() {
+  const delta = deltas.filter(item => item.room === 'all').pop();
+  return delta ? delta.services.map(service => service.id) : [];
+}
+
+beforeEach(() => {
+  updates = new StatusUpdateService();
+  statuses = [result('api'), result('db')];
+  deltas = [];
+  updates.healthCheckService = { getAllStatuses: () => statuses };
+  updates.io = { to: room => ({ emit: (event, data) => deltas.push({ room, event, ...data }) }) };
+  updates.publish();
+});
+
+test('sends a changed status straight away', () => {
+  assert.deepStrictEqual(sentIds(), ['api', 'db']);
+
+  deltas = [];
+  statuses = [result('api', { status: 'down', message: 'Timeout', lastChecked: '2026-10-19T10:00:30.000Z' }), result('db')];
+  updates.publish();
+
+  assert.deepStrictEqual(sentIds(), ['api']);
+  assert.deepStrictEqual(deltas.map(delta => delta.room).sort(), ['all', 'category:core', 'service:api']);
+});
+
+test('holds back a new response time until the timing interval has passed', () => {
+  deltas = [];
+  statuses = [result('api', { responseTime: 90, lastChecked: '2026-10-19T10:00:10.000Z' }), result('db')];
+  updates.publish();
+  assert.deepStrictEqual(deltas, []);
+
+  updates.lastSent.get('api').sentAt -= 30000;
+  updates.lastSent.get('db').sentAt -= 30000;
+  updates.publish();
+
+  // db hasn't been checked again, so there is nothing new to send
+  assert.deepStrictEqual(sentIds(), ['api']);
+  assert.strictEqual(deltas.find(delta => delta.room === 'all').services[0].responseTime, 90);
+});
+
+test('numbers deltas per room and reports removed services', () => {
+  const emitted = [];
+  updates.on('changes', changes => emitted.push(changes));
+
+  deltas = [];
+  statuses = [result('api', { category: 'edge', status: 'warning' })];
+  updates.publish();
+
+  const byRoom = Object.fromEntries(deltas.map(delta => [delta.room, delta]));
+  assert.strictEqual(byRoom.all.seq, 2);
+  assert.deepStrictEqual(byRoom.all.removed, ['db']);
+  assert.deepStrictEqual(byRoom['category:core'].removed, ['api', 'db']);
+  assert.strictEqual(byRoom['category:edge'].seq, 1);
+  assert.deepStrictEqual(byRoom['service:db'].removed, ['db']);
+  assert.deepStrictEqual(emitted[0].removed.map(item => item.id), ['db']);
+});
@@ -0,0 +1,73 @@
+const { test, beforeEach } = require('node:test');
+const assert = require('node:assert');
+const healthCheckService = require('../backend/services/healthCheck');
+
+const HealthCheckService = healthCheckService.constructor;
+const service = { id: 'api', name: 'Catalog API' };
+
+// A fresh service per test, so the shared one's settings and state are untouched
+let health;
+
+function check(status) {
+  return health.applyThresholds(service, {
+    id: service.id,
+    status: status,
+    message: status === 'down' ? 'HTTP 500' : null,
+    responseTime: 10,
+    lastChecked: new Date().toISOString()
+  });
+}
+
+beforeEach(() => {
+  health = new HealthCheckService();
+});
+
+test('passes results through with the default thresholds of 1', () => {
+  assert.strictEqual(check('down').status, 'down');
+  assert.strictEqual(check('healthy').status, 'healthy');
+  assert.strictEqual(check('warning').status, 'warning');
+});
+
+test('stays pending until failureThreshold consecutive failures', () => {
+  health.settings = { failureThreshold: 3 };
+
+  const first = check('down');
+  assert.strictEqual(first.status, 'pending');
+  assert.strictEqual(first.rawStatus, 'down');
+  assert.deepStrictEqual(first.confirmation, { direction: 'down', count: 1, threshold: 3 });
+  assert.strictEqual(check('down').status, 'pending');
+
+  const third = check('down');
+  assert.strictEqual(third.status, 'down');
+  assert.strictEqual(third.confirmation, null);
+});
+
+test('a success resets the failure count', () => {
+  health.settings = { failureThreshold: 2 };
+
+  assert.strictEqual(check('down').status, 'pending');
+  assert.strictEqual(check('healthy').status, 'healthy');
+  assert.strictEqual(check('down').status, 'pending');
+  assert.strictEqual(check('down').status, 'down');
+});
+
+test('stays pending while recovering until recoveryThreshold successes', () => {
+  health.settings = { recoveryThreshold: 2 };
+
+  assert.strictEqual(check('down').status, 'down');
+
+  const recovering = check('healthy');
+  assert.strictEqual(recovering.status, 'pending');
+  assert.strictEqual(recovering.message, 'Recovering');
+  assert.deepStrictEqual(recovering.confirmation, { direction: 'up', count: 1, threshold: 2 });
+
+  assert.strictEqual(check('healthy').status, 'healthy');
+});
+
+test('service thresholds override the settings', () => {
+  health.settings = { failureThreshold: 5 };
+  const strict = { ...service, failureThreshold: 1 };
+
+  const result = health.applyThresholds(strict, { id: service.id, status: 'down', message: 'Timeout' });
+  assert.strictEqual(result.status, 'down');
+});